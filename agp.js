@@ -0,0 +1,140 @@
+/**
+ * This file contains the builder of Ambulatory Glucose Profiles (AGP). An AGP folds the estimated glucose values of
+ * several days into a single "modal" day of 24 hours, and describes the distribution of the values recorded at each
+ * time of day by percentile curves.
+ *
+ * Times of day are those of the user's device, i.e. the times of the values' displayTime. The curves are not smoothed.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const helpers = require('./helpers.js');
+const metrics = require('./metrics.js');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The number of minutes in one day.
+ *
+ * @type {number}
+ */
+const minutesPerDay = 24 * 60;
+
+/**
+ * The options used to build an AGP, for the options that the caller does not specify.
+ */
+const defaultAgpOptions = {
+  binMinutes:          15,
+  minimumValuesPerBin: 5,
+  percentiles:         [5, 25, 50, 75, 95],
+};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Formats a number of minutes since midnight as 'HH:MM'.
+ */
+function formatTimeOfDay(minutes) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Gets the number of minutes since midnight of the time of day of an estimated glucose value record.
+ */
+function getMinuteOfDay(egv) {
+  // Dexcom times start with 'YYYY-MM-DDTHH:MM', whether or not they end with a UTC offset.
+  const time = egv.displayTime || egv.systemTime;
+  return parseInt(time.slice(11, 13), 10) * 60 + parseInt(time.slice(14, 16), 10);
+}
+
+/**
+ * Builds an Ambulatory Glucose Profile from estimated glucose value records.
+ *
+ * @param egvs
+ * An array of estimated glucose value records, such as the egvs property of the estimatedGlucoseValues object returned
+ * by getEstimatedGlucoseValuesAnyDateRange(). Records without a numeric value are ignored.
+ *
+ * @param options
+ * An optional object of the following format:
+ * {
+ *   binMinutes: the duration, in minutes, of each time-of-day bin; must divide 1440 (defaults to 15),
+ *   minimumValuesPerBin: the number of values below which the percentiles of a bin are not computed (defaults to 5),
+ *   percentiles: the percentiles to compute, in ascending order (defaults to [5, 25, 50, 75, 95])
+ * }
+ *
+ * @returns an object of the following format, whose values are in the unit of the records:
+ * {
+ *   binMinutes: the duration, in minutes, of each bin,
+ *   percentiles: [<the computed percentiles>],
+ *   nDays: the number of days, by displayTime, on which at least one value was recorded,
+ *   bins: [
+ *     {
+ *       startTime: 'HH:MM', the time of day at which the bin begins,
+ *       endTime: 'HH:MM', the time of day at which the bin ends,
+ *       nValues: the number of values recorded during the bin, all days together,
+ *       values: {p5: value, p25: value, ...}, or null if the bin holds fewer values than minimumValuesPerBin
+ *     },
+ *     ...
+ *   ],
+ *   curves: {p5: [<the value of p5 in each bin, or null>], p25: [...], ...}
+ * }
+ * The bins cover the whole day, from 00:00 to 24:00.
+ */
+function buildAmbulatoryGlucoseProfile(egvs, options) {
+  const settings     = Object.assign({}, defaultAgpOptions, options);
+  const records      = egvs.filter(egv => typeof egv.value === 'number');
+  const binCount     = minutesPerDay / settings.binMinutes;
+  const valuesByBin  = Array.from({length: binCount}, () => []);
+  const percentileOf = percentile => `p${percentile}`;
+
+  records.forEach(egv => {
+    valuesByBin[Math.floor(getMinuteOfDay(egv) / settings.binMinutes)].push(egv.value);
+  });
+
+  const bins = valuesByBin.map((values, idx) => {
+    const sortedValues = values.sort((value1, value2) => value1 - value2);
+    const hasEnough    = sortedValues.length > 0 && sortedValues.length >= settings.minimumValuesPerBin;
+    return {
+      startTime: formatTimeOfDay(idx * settings.binMinutes),
+      endTime:   formatTimeOfDay((idx + 1) * settings.binMinutes),
+      nValues:   sortedValues.length,
+      values:    !hasEnough ? null : settings.percentiles.reduce((percentileValues, percentile) => {
+        percentileValues[percentileOf(percentile)] = metrics.quantile(sortedValues, percentile / 100);
+        return percentileValues;
+      }, {}),
+    };
+  });
+
+  const curves = settings.percentiles.reduce((percentileCurves, percentile) => {
+    percentileCurves[percentileOf(percentile)] = bins.map(bin => bin.values && bin.values[percentileOf(percentile)]);
+    return percentileCurves;
+  }, {});
+
+  return {
+    binMinutes:  settings.binMinutes,
+    percentiles: settings.percentiles,
+    nDays:       new Set(records.map(helpers.getLocalDate)).size,
+    bins:        bins,
+    curves:      curves,
+  };
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.defaultAgpOptions             = defaultAgpOptions;
+exports.buildAmbulatoryGlucoseProfile = buildAmbulatoryGlucoseProfile;
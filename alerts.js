@@ -0,0 +1,144 @@
+/**
+ * This file contains the functions that summarize the alert history returned by the Dexcom alerts endpoint, so that
+ * the alarm burden of a user can be shown next to their glucose data.
+ *
+ * Each alert record returned by getAlerts() has the following format:
+ * {
+ *   recordId: string,
+ *   systemTime: string,
+ *   displayTime: string, the time displayed by the user's device, in the user's time zone,
+ *   alertName: 'high', 'low', 'urgentLow', 'urgentLowSoon', 'rise', 'fall', 'outOfRange', 'noReadings' or 'unknown',
+ *   alertState: 'unknown', 'inactive', 'activeSnoozed' or 'activeAlarming',
+ *   ...
+ * }
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const helpers = require('./helpers.js');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The alert names reported by Dexcom. Summaries count every one of them, so that summaries of different periods have
+ * the same properties, and also count the alerts of any other name that Dexcom reports.
+ *
+ * @type {string[]}
+ */
+const alertNames = ['urgentLow', 'urgentLowSoon', 'low', 'high', 'rise', 'fall', 'outOfRange', 'noReadings'];
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Keeps the alert records whose state is one of a list of states.
+ */
+function filterAlerts(alerts, options) {
+  const alertStates = options && options.alertStates;
+  return alertStates ? alerts.filter(alert => alertStates.includes(alert.alertState)) : alerts;
+}
+
+/**
+ * Creates an object that maps every alert name to 0.
+ */
+function createCounts() {
+  return alertNames.reduce((counts, alertName) => {
+    counts[alertName] = 0;
+    return counts;
+  }, {});
+}
+
+/**
+ * Counts alert records by alert name.
+ */
+function countAlerts(alerts) {
+  return alerts.reduce((counts, alert) => {
+    const alertName   = alert.alertName || 'unknown';
+    counts[alertName] = (counts[alertName] || 0) + 1;
+    return counts;
+  }, createCounts());
+}
+
+/**
+ * Summarizes alert records by alert name.
+ *
+ * @param alerts
+ * An array of alert records, as returned by getAlerts().
+ *
+ * @param options
+ * An optional object of the following format:
+ * {
+ *   alertStates: an array of the alert states to count (e.g. ['activeAlarming']); every record is counted by default
+ * }
+ *
+ * @returns an object of the following format:
+ * {
+ *   total: the number of alert records counted,
+ *   byType: {urgentLow: count, urgentLowSoon: count, low: count, high: count, rise: count, fall: count,
+ *            outOfRange: count, noReadings: count, <any other reported alert name>: count}
+ * }
+ */
+function summarizeAlertsByType(alerts, options) {
+  const counted = filterAlerts(alerts, options);
+  return {
+    total:  counted.length,
+    byType: countAlerts(counted),
+  };
+}
+
+/**
+ * Summarizes alert records by day, and by alert name within each day. Days are those of the user's device, i.e. the
+ * date of each record's displayTime.
+ *
+ * @param alerts
+ * An array of alert records, as returned by getAlerts().
+ *
+ * @param options
+ * The same as for summarizeAlertsByType().
+ *
+ * @returns an array of objects of the following format, one for each day on which at least one alert was counted,
+ * oldest first:
+ * {
+ *   date: 'YYYY-MM-DD',
+ *   total: the number of alert records counted on that day,
+ *   byType: {<the same as for summarizeAlertsByType()>}
+ * }
+ */
+function summarizeAlertsByDay(alerts, options) {
+  const alertsByDate = new Map();
+  filterAlerts(alerts, options).forEach(alert => {
+    const date = helpers.getLocalDate(alert);
+    if (!alertsByDate.has(date)) {
+      alertsByDate.set(date, []);
+    }
+    alertsByDate.get(date).push(alert);
+  });
+
+  return Array.from(alertsByDate.keys()).sort().map(date => {
+    const dayAlerts = alertsByDate.get(date);
+    return {
+      date:   date,
+      total:  dayAlerts.length,
+      byType: countAlerts(dayAlerts),
+    };
+  });
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.alertNames            = alertNames;
+exports.summarizeAlertsByType = summarizeAlertsByType;
+exports.summarizeAlertsByDay  = summarizeAlertsByDay;
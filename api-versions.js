@@ -0,0 +1,194 @@
+/**
+ * This file describes the versions of the Dexcom API supported by this package: the endpoints that each version
+ * provides, and how the responses of each version are normalized so that callers receive records of the same shape
+ * whichever version is used.
+ *
+ * The normalized shape is the one of the v2 API, i.e. each response holds its records in a property named after the
+ * endpoint (e.g. {unit, rateUnit, egvs: [...]}, {events: [...]}), and every record has a recordId property. The v3
+ * API identifies most records with a recordId; the other records, and those of the v2 API, have a null recordId,
+ * except for v2 events, whose eventId is used. The alert schedules of a device are held in its alertScheduleList
+ * property, which v3 names alertSchedules. Properties that only one version reports (e.g. the displayDevice and
+ * transmitterGeneration of v3 estimated glucose values, or the realtimeValue of v2 estimated glucose values) are
+ * passed through unchanged.
+ *
+ * Both versions use the v2 OAuth endpoints, so the tokens of a user remain valid when the user is migrated from one
+ * version to the other.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const errors = require('./errors.js');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The version of the Dexcom API used by clients whose options do not specify one.
+ *
+ * @type {string}
+ */
+const defaultApiVersion = 'v2';
+
+/**
+ * The supported versions of the Dexcom API, mapped to the path prefix and the user endpoints of each version.
+ */
+const apiVersions = {
+  v2: {
+    pathPrefix: '/v2',
+    endpoints:  ['egvs', 'events', 'calibrations', 'devices', 'dataRange', 'statistics'],
+  },
+  v3: {
+    pathPrefix: '/v3',
+    endpoints:  ['egvs', 'events', 'calibrations', 'devices', 'dataRange', 'alerts'],
+  },
+};
+
+/**
+ * The endpoints whose responses hold a list of records, mapped to the name of the property that holds the records
+ * in a normalized response.
+ */
+const recordEndpoints = {
+  egvs:         'egvs',
+  events:       'events',
+  calibrations: 'calibrations',
+  devices:      'devices',
+  alerts:       'alerts',
+};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Gets the version of the Dexcom API selected by a client's options.
+ *
+ * @param options
+ * The Dexcom access options (see setOptions()).
+ *
+ * @returns Either 'v2' or 'v3'.
+ */
+function getApiVersion(options) {
+  return options.apiVersion || defaultApiVersion;
+}
+
+/**
+ * Verifies that the version of the Dexcom API selected by a client's options provides an endpoint.
+ *
+ * @param options
+ * The Dexcom access options (see setOptions()).
+ *
+ * @param endpoint
+ * The name of the endpoint (e.g. 'statistics').
+ */
+function validateEndpoint(options, endpoint) {
+  const apiVersion = getApiVersion(options);
+  errors.assertValid(apiVersions[apiVersion].endpoints.includes(endpoint),
+    `the ${endpoint} endpoint is not available in version ${apiVersion} of the Dexcom API`);
+}
+
+/**
+ * Builds the URL of an endpoint that provides the data of the user who granted access to the client.
+ *
+ * @param options
+ * The Dexcom access options (see setOptions()).
+ *
+ * @param endpoint
+ * The name of the endpoint (e.g. 'egvs').
+ *
+ * @returns a URL such as https://sandbox-api.dexcom.com/v3/users/self/egvs.
+ */
+function buildUserEndpointUrl(options, endpoint) {
+  validateEndpoint(options, endpoint);
+  return `${options.apiUri}${apiVersions[getApiVersion(options)].pathPrefix}/users/self/${endpoint}`;
+}
+
+/**
+ * Adds a recordId property to a record of the v2 API.
+ */
+function normalizeV2Record(endpoint, record) {
+  const recordId = (endpoint === 'events' && record.eventId) ? record.eventId : null;
+  return Object.assign({recordId: recordId}, record);
+}
+
+/**
+ * Copies a record of the v3 API, adding the v2 properties that the record lacks, and renaming the v3 properties that
+ * the v2 API names differently. Records that v3 does not identify, such as devices, have a null recordId.
+ */
+function normalizeV3Record(endpoint, record) {
+  const normalized = Object.assign({recordId: null}, record);
+  if (endpoint === 'events' && !('eventId' in normalized)) {
+    normalized.eventId = normalized.recordId;
+  }
+  if (endpoint === 'devices' && 'alertSchedules' in normalized && !('alertScheduleList' in normalized)) {
+    normalized.alertScheduleList = normalized.alertSchedules;
+    delete normalized.alertSchedules;
+  }
+  return normalized;
+}
+
+/**
+ * Normalizes the object returned by an endpoint of the Dexcom API.
+ *
+ * @param options
+ * The Dexcom access options (see setOptions()) of the client that requested the object.
+ *
+ * @param endpoint
+ * The name of the endpoint (e.g. 'egvs').
+ *
+ * @param data
+ * The object returned by the endpoint.
+ *
+ * @returns a new object of the normalized shape, or data itself if it holds no records.
+ */
+function normalizeResponse(options, endpoint, data) {
+  const recordsProperty = recordEndpoints[endpoint];
+  if (!recordsProperty || !data || typeof data !== 'object') {
+    return data;
+  }
+
+  if (getApiVersion(options) === 'v2') {
+    if (!Array.isArray(data[recordsProperty])) {
+      return data;
+    }
+    const normalized = Object.assign({}, data);
+    normalized[recordsProperty] = data[recordsProperty].map(record => normalizeV2Record(endpoint, record));
+    return normalized;
+  }
+
+  // The v3 API returns {recordType, recordVersion, userId, records: [...]}, and reports the unit of each estimated
+  // glucose value in the record itself.
+  if (!Array.isArray(data.records)) {
+    return data;
+  }
+  const records    = data.records.map(record => normalizeV3Record(endpoint, record));
+  const normalized = Object.assign({}, data);
+  delete normalized.records;
+  normalized[recordsProperty] = records;
+
+  if (endpoint === 'egvs') {
+    const recordWithUnit = records.find(record => record.unit);
+    normalized.unit      = recordWithUnit ? recordWithUnit.unit : null;
+    normalized.rateUnit  = recordWithUnit ? recordWithUnit.rateUnit : null;
+  }
+  return normalized;
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.defaultApiVersion    = defaultApiVersion;
+exports.apiVersions          = apiVersions;
+exports.getApiVersion        = getApiVersion;
+exports.validateEndpoint     = validateEndpoint;
+exports.buildUserEndpointUrl = buildUserEndpointUrl;
+exports.normalizeResponse    = normalizeResponse;
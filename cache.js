@@ -0,0 +1,226 @@
+/**
+ * This file contains the caches provided by this package, and the functions that serve a time window from a cache. A
+ * cache holds the records that Dexcom returned for past time windows, keyed by user identifier, record type and time
+ * window, so that queries over windows that were already fetched are served locally, and only the uncovered parts of a
+ * time window are requested from Dexcom.
+ *
+ * A cache is any object that implements the following functions:
+ * {
+ *   get: function(userId, recordType), returning a Promise that wraps the array of the entries stored for the user and
+ *        record type (possibly empty), each entry being an object of the following format:
+ *        {
+ *          startTime: epochMilliseconds, the beginning of the time window,
+ *          endTime: epochMilliseconds, the end of the time window,
+ *          data: {<the normalized response of Dexcom for the time window (see api-versions.js)>}
+ *        },
+ *   put: function(userId, recordType, entry), returning a Promise that resolves once the entry is stored
+ * }
+ *
+ * Only time windows that end at least cacheableAgeMilliseconds ago and hold records are cached, since the user's
+ * devices may still upload records for more recent times. A cache that fails to store an entry does not fail the
+ * request that fetched it. The records of a cache are those of the API version of the client that fetched
+ * them, so a cache should not be shared by clients of different API versions.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const path      = require('path');
+const helpers   = require('./helpers.js');
+const jsonFiles = require('./json-file.js');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The age, in milliseconds, beyond which the records of a time window are considered final and may be cached.
+ *
+ * @type {number}
+ */
+const cacheableAgeMilliseconds = helpers.millisecondsPerDay;
+
+/**
+ * The file mode of cache files. Cache files contain health data, so only their owner may read them.
+ *
+ * @type {number}
+ */
+const cacheFileMode = 0o600;
+
+/**
+ * The file mode of the directories of cache files, which only their owner may list.
+ *
+ * @type {number}
+ */
+const cacheDirectoryMode = 0o700;
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates a cache that holds entries in memory. Entries are lost when the process exits.
+ *
+ * @returns a cache.
+ */
+function createMemoryCache() {
+  const entriesByKey = new Map();
+
+  return {
+    get: async function(userId, recordType) {
+      return (entriesByKey.get(JSON.stringify([userId, recordType])) || []).slice();
+    },
+    put: async function(userId, recordType, entry) {
+      const key = JSON.stringify([userId, recordType]);
+      entriesByKey.set(key, (entriesByKey.get(key) || []).concat([entry]));
+    },
+  };
+}
+
+/**
+ * Creates a cache that holds the entries of each user and record type in a JSON file of a directory, named after the
+ * user identifier and the record type. The directory, and its parents, are created when entries are first stored.
+ *
+ * Writes are serialized and atomic (see json-file.js); the files are not locked, so the directory must not be shared by
+ * several processes.
+ *
+ * @param directoryPath
+ * The path of the directory.
+ *
+ * @returns a cache.
+ */
+function createFileCache(directoryPath) {
+  const files = jsonFiles.createJsonFiles({fileMode: cacheFileMode, directoryMode: cacheDirectoryMode});
+
+  function getFilePath(userId, recordType) {
+    return path.join(directoryPath, `${encodeURIComponent(userId)}.${encodeURIComponent(recordType)}.json`);
+  }
+
+  return {
+    get: async function(userId, recordType) {
+      return files.read(getFilePath(userId, recordType), []);
+    },
+    put: function(userId, recordType, entry) {
+      return files.update(getFilePath(userId, recordType), [], entries => entries.concat([entry]));
+    },
+  };
+}
+
+/**
+ * Gets the parts of a time window that the entries of a cache do not cover.
+ *
+ * @param startTime
+ * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window.
+ *
+ * @param endTime
+ * A number that represents the UTC epoch time, in milliseconds, of the end of the time window.
+ *
+ * @param entries
+ * The entries of the cache, in any order.
+ *
+ * @returns An array of objects of the following format, in chronological order:
+ * {
+ *   startTime: epochMilliseconds,
+ *   endTime: epochMilliseconds
+ * }
+ */
+function findUncoveredWindows(startTime, endTime, entries) {
+  const sortedEntries = entries.slice().sort((entry1, entry2) => entry1.startTime - entry2.startTime);
+
+  const windows = [];
+  let coveredUntil = startTime;
+  sortedEntries.forEach(entry => {
+    if (entry.startTime > coveredUntil && coveredUntil < endTime) {
+      windows.push({startTime: coveredUntil, endTime: Math.min(entry.startTime, endTime)});
+    }
+    coveredUntil = Math.max(coveredUntil, entry.endTime);
+  });
+  if (coveredUntil < endTime) {
+    windows.push({startTime: coveredUntil, endTime: endTime});
+  }
+  return windows;
+}
+
+/**
+ * Restricts the records of a normalized Dexcom response to a time window.
+ *
+ * @param data
+ * The normalized response (see api-versions.js).
+ *
+ * @param endpoint
+ * The description of the Dexcom endpoint that returned the response, whose recordsProperty names the records of the
+ * response, and whose getRecordTime() function dates them.
+ *
+ * @param startTime
+ * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window.
+ *
+ * @param endTime
+ * A number that represents the UTC epoch time, in milliseconds, of the end of the time window.
+ *
+ * @returns a copy of the response that holds only the records of the time window, both ends included.
+ */
+function restrictToWindow(data, endpoint, startTime, endTime) {
+  const records = (data[endpoint.recordsProperty] || []).filter(record => {
+    const time = helpers.parseDexcomTime(endpoint.getRecordTime(record));
+    return time >= startTime && time <= endTime;
+  });
+  return Object.assign({}, data, {[endpoint.recordsProperty]: records});
+}
+
+/**
+ * Creates the cache entry for a time window fetched from Dexcom, restricted to the part of the window that is old
+ * enough to be cached.
+ *
+ * @param window
+ * An object of the following format:
+ * {
+ *   startTime: epochMilliseconds,
+ *   endTime: epochMilliseconds
+ * }
+ *
+ * @param data
+ * The normalized response of Dexcom for the time window (see api-versions.js).
+ *
+ * @param endpoint
+ * The description of the Dexcom endpoint that returned the response.
+ *
+ * @param now
+ * A number that represents the current UTC epoch time, in milliseconds.
+ *
+ * @returns a cache entry, or null if no part of the window may be cached, or if the part that may be cached holds no
+ * records. An empty window is not cached, since the user's devices may still upload its records later.
+ */
+function createCacheEntry(window, data, endpoint, now) {
+  const endTime = Math.min(window.endTime, now - cacheableAgeMilliseconds);
+  if (endTime <= window.startTime) {
+    return null;
+  }
+
+  const cachedData = restrictToWindow(data, endpoint, window.startTime, endTime);
+  if (!(cachedData[endpoint.recordsProperty] || []).length) {
+    return null;
+  }
+  return {
+    startTime: window.startTime,
+    endTime:   endTime,
+    data:      cachedData,
+  };
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.cacheableAgeMilliseconds = cacheableAgeMilliseconds;
+exports.createMemoryCache        = createMemoryCache;
+exports.createFileCache          = createFileCache;
+exports.findUncoveredWindows     = findUncoveredWindows;
+exports.restrictToWindow         = restrictToWindow;
+exports.createCacheEntry         = createCacheEntry;
@@ -0,0 +1,148 @@
+/**
+ * This file contains the columns that CSV exports may hold (see csv.js): their names, their headers and how their
+ * values are computed from the records. It requires no other module, so that the schema of the CSV options (see
+ * schema.js) can name the columns without depending on the exporters.
+ */
+
+'use strict';
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The event types of the Dexcom Clarity export, for each type of record and for each type of Dexcom event.
+ */
+const clarityEventTypes = {
+  egvs:         'EGV',
+  calibrations: 'Calibration',
+  events: {
+    carbs:        'Carbs',
+    insulin:      'Insulin',
+    exercise:     'Exercise',
+    health:       'Health',
+    bloodGlucose: 'Blood Glucose',
+    notes:        'Notes',
+  },
+};
+
+/**
+ * The columns that may be exported, by name. Each column has a header, which may depend on the units of the exported
+ * glucose values, and a value, which is computed from a row of the following format:
+ * {
+ *   index: the number of the row, from 1,
+ *   recordType: 'egvs', 'events' or 'calibrations',
+ *   record: {<the Dexcom record>},
+ *   unit: the glucose unit of the record, for estimated glucose values,
+ *   rateUnit: the rate unit of the record, for estimated glucose values,
+ *   time: the time of the record that is exported, i.e. its systemTime or its displayTime
+ * }
+ */
+const columns = {
+  index: {
+    header: () => 'Index',
+    value:  row => row.index,
+  },
+  timestamp: {
+    header: () => 'Timestamp (YYYY-MM-DDThh:mm:ss)',
+    value:  row => row.time && row.time.slice(0, 19),
+  },
+  systemTime: {
+    header: () => 'System Time',
+    value:  row => row.record.systemTime,
+  },
+  displayTime: {
+    header: () => 'Display Time',
+    value:  row => row.record.displayTime,
+  },
+  recordId: {
+    header: () => 'Record ID',
+    value:  row => row.record.recordId,
+  },
+  eventType: {
+    header: () => 'Event Type',
+    value:  row => (row.recordType !== 'events') ?
+      clarityEventTypes[row.recordType] :
+      clarityEventTypes.events[row.record.eventType] || row.record.eventType,
+  },
+  eventSubType: {
+    header: () => 'Event Subtype',
+    value:  row => row.record.eventSubType,
+  },
+  glucoseValue: {
+    header: units => `Glucose Value (${units.unit})`,
+    value:  row => isGlucoseRecord(row) ? row.record.value : null,
+  },
+  insulinValue: {
+    header: () => 'Insulin Value (u)',
+    value:  row => (row.recordType === 'events' && row.record.eventType === 'insulin') ? row.record.value : null,
+  },
+  carbValue: {
+    header: () => 'Carb Value (grams)',
+    value:  row => (row.recordType === 'events' && row.record.eventType === 'carbs') ? row.record.value : null,
+  },
+  duration: {
+    header: () => 'Duration (hh:mm:ss)',
+    value:  row => (row.recordType === 'events' && row.record.eventType === 'exercise') ?
+      formatDuration(row.record.value) :
+      null,
+  },
+  glucoseRateOfChange: {
+    header: units => `Glucose Rate of Change (${units.rateUnit})`,
+    value:  row => (row.recordType === 'egvs') ? row.record.trendRate : null,
+  },
+  trend: {
+    header: () => 'Trend',
+    value:  row => row.record.trend,
+  },
+  status: {
+    header: () => 'Status',
+    value:  row => row.record.status,
+  },
+  transmitterId: {
+    header: () => 'Transmitter ID',
+    value:  row => row.record.transmitterId,
+  },
+  value: {
+    header: () => 'Value',
+    value:  row => row.record.value,
+  },
+  unit: {
+    header: () => 'Unit',
+    value:  row => (row.recordType === 'egvs') ? row.unit : row.record.unit,
+  },
+};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Tells whether a row holds a glucose value: an estimated glucose value, a calibration, or a blood glucose event.
+ */
+function isGlucoseRecord(row) {
+  return row.recordType !== 'events' || row.record.eventType === 'bloodGlucose';
+}
+
+/**
+ * Formats a number of minutes as 'hh:mm:ss'.
+ */
+function formatDuration(minutes) {
+  if (typeof minutes !== 'number') {
+    return null;
+  }
+  const seconds = Math.round(minutes * 60);
+  const pad     = number => String(number).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.columns         = columns;
+exports.columnNames     = Object.keys(columns);
+exports.isGlucoseRecord = isGlucoseRecord;
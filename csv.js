@@ -0,0 +1,219 @@
+/**
+ * This file contains the exporters that turn the results of getEstimatedGlucoseValues(), getEvents() and
+ * getCalibrations(), or of their date range counterparts, into CSV (RFC 4180) for spreadsheets. By default, the export
+ * mirrors the layout of the Dexcom Clarity export: one row per record, oldest first, with the estimated glucose values,
+ * events and calibrations of the results in the same table, told apart by their event type.
+ *
+ * @see https://tools.ietf.org/html/rfc4180
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const stream     = require('stream');
+const errors     = require('./errors.js');
+const helpers    = require('./helpers.js');
+const csvColumns = require('./csv-columns.js');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The options used to export CSV, for the options that the caller does not specify. The default columns are those of
+ * the Dexcom Clarity export that the Dexcom API provides data for.
+ */
+const defaultCsvOptions = {
+  columns:   ['index', 'timestamp', 'eventType', 'eventSubType', 'glucoseValue', 'insulinValue', 'carbValue',
+    'duration', 'glucoseRateOfChange', 'transmitterId'],
+  timeField: 'displayTime',
+  header:    true,
+};
+
+/**
+ * The number of rows that a CSV stream formats each time it is read.
+ *
+ * @type {number}
+ */
+const rowsPerChunk = 500;
+
+/**
+ * The line terminator of CSV, as specified by RFC 4180.
+ *
+ * @type {string}
+ */
+const lineTerminator = '\r\n';
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Formats a value as a CSV field, quoting it if it holds a delimiter, a double quote or a line break.
+ */
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Gets the rows to export from results of getEstimatedGlucoseValues(), getEvents() and getCalibrations(), or of their
+ * date range counterparts, oldest first.
+ *
+ * @returns an object of the following format:
+ * {
+ *   rows: [<the rows described by the columns of csv-columns.js>],
+ *   units: {
+ *     unit: the glucose unit of every glucose value, or 'mg/dL' if there is none,
+ *     rateUnit: the rate unit of every rate of change, or 'mg/dL/min' if there is none
+ *   }
+ * }
+ *
+ * A DexcomError is thrown if the glucose values use different units.
+ */
+function collectRows(results, timeField) {
+  const rows         = [];
+  const payloadUnits = [];
+  [].concat(results).forEach(result => {
+    if (result.estimatedGlucoseValues) {
+      const payload = result.estimatedGlucoseValues;
+      payloadUnits.push({unit: payload.unit, rateUnit: payload.rateUnit});
+      (payload.egvs || []).forEach(record => {
+        rows.push({recordType: 'egvs', record: record, unit: payload.unit, rateUnit: payload.rateUnit});
+      });
+    }
+    if (result.events) {
+      (result.events.events || []).forEach(record => rows.push({recordType: 'events', record: record}));
+    }
+    if (result.calibrations) {
+      (result.calibrations.calibrations || []).forEach(record => {
+        rows.push({recordType: 'calibrations', record: record});
+      });
+    }
+  });
+
+  // The units of estimated glucose values are those of their payloads, which name them even when they are empty.
+  const unitSources  = payloadUnits.concat(rows
+    .filter(row => row.recordType !== 'egvs' && csvColumns.isGlucoseRecord(row))
+    .map(row => ({unit: row.record.unit})));
+  const unitsOf      = getUnit => Array.from(new Set(unitSources.map(getUnit).filter(Boolean)));
+  const glucoseUnits = unitsOf(source => source.unit);
+  const rateUnits    = unitsOf(source => source.rateUnit);
+  if (glucoseUnits.length > 1 || rateUnits.length > 1) {
+    throw new errors.DexcomError(`the glucose values use different units (${glucoseUnits.join(', ')}); set the ` +
+      'glucoseUnit option in order to have them converted');
+  }
+
+  const sortedRows = rows
+    .map(row => Object.assign(row, {time: row.record[timeField] || row.record.systemTime}))
+    .map(row => ({row: row, time: helpers.parseDexcomTime(row.record.systemTime)}))
+    .sort((e1, e2) => e1.time - e2.time)
+    .map((el, idx) => Object.assign(el.row, {index: idx + 1}));
+
+  return {
+    rows:  sortedRows,
+    units: {
+      unit:     glucoseUnits[0] || 'mg/dL',
+      rateUnit: rateUnits[0] || 'mg/dL/min',
+    },
+  };
+}
+
+/**
+ * Prepares a CSV export.
+ *
+ * @returns an object of the following format:
+ * {
+ *   header: the header line, or null if no header is exported,
+ *   rows: [<the rows to export>],
+ *   formatRow: function(row), returning the line of a row
+ * }
+ */
+function prepareExport(results, csvOptions) {
+  const settings  = Object.assign({}, defaultCsvOptions, csvOptions);
+  const collected = collectRows(results, settings.timeField);
+  const selected  = settings.columns.map(name => csvColumns.columns[name]);
+
+  return {
+    header:    !settings.header ? null :
+      selected.map(column => formatField(column.header(collected.units))).join(',') + lineTerminator,
+    rows:      collected.rows,
+    formatRow: row => selected.map(column => formatField(column.value(row))).join(',') + lineTerminator,
+  };
+}
+
+/**
+ * Exports records as CSV.
+ *
+ * @param results
+ * An object returned by getEstimatedGlucoseValues(), getEvents() or getCalibrations(), or by their date range
+ * counterparts, or an array of such objects, whose records are exported in the same table.
+ *
+ * @param csvOptions
+ * An optional object of the following format:
+ * {
+ *   columns: [<the names of the exported columns, among those of csv-columns.js>] (defaults to the columns of the
+ *            Dexcom Clarity export),
+ *   timeField: 'systemTime' or 'displayTime', the time exported in the timestamp column (defaults to 'displayTime',
+ *              the time of the user's device),
+ *   header: whether a header row is exported (defaults to true)
+ * }
+ *
+ * @returns a string that holds the CSV.
+ */
+function exportToCsv(results, csvOptions) {
+  const prepared = prepareExport(results, csvOptions);
+  return (prepared.header || '') + prepared.rows.map(prepared.formatRow).join('');
+}
+
+/**
+ * Exports records as a readable stream of CSV. The records are collected and sorted before the stream starts, so they
+ * are held in memory as they are by exportToCsv(); only their CSV lines are formatted as the stream is read, so that
+ * the CSV is never held as a single string.
+ *
+ * @param results
+ * The same as for exportToCsv().
+ *
+ * @param csvOptions
+ * The same as for exportToCsv().
+ *
+ * @returns a readable stream of the CSV, encoded in UTF-8.
+ */
+function createCsvStream(results, csvOptions) {
+  const prepared = prepareExport(results, csvOptions);
+  let nextRow    = 0;
+
+  return new stream.Readable({
+    read: function() {
+      if (nextRow === 0 && prepared.header) {
+        this.push(prepared.header);
+      }
+      if (nextRow >= prepared.rows.length) {
+        this.push(null);
+        return;
+      }
+      const chunkRows = prepared.rows.slice(nextRow, nextRow + rowsPerChunk);
+      nextRow += chunkRows.length;
+      this.push(chunkRows.map(prepared.formatRow).join(''));
+    },
+  });
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.csvColumns        = csvColumns.columnNames;
+exports.defaultCsvOptions = defaultCsvOptions;
+exports.exportToCsv       = exportToCsv;
+exports.createCsvStream   = createCsvStream;
@@ -0,0 +1,231 @@
+/**
+ * This file contains the errors thrown by this package. Every error is a DexcomError:
+ *
+ * DexcomError
+ * ├── DexcomValidationError: an argument or option is invalid; the request was not sent.
+ * ├── DexcomApiError: a request to the Dexcom platform failed.
+ * │   ├── DexcomAuthError: the user's tokens were rejected, or are missing; the user must grant access again.
+ * │   └── DexcomRateLimitError: Dexcom rate limited the request.
+ * └── NightscoutError: a request to a Nightscout site failed.
+ *
+ * HTTP errors never hold the request configuration, which contains the access token, the client secret and the
+ * refresh token, so they may be logged as they are.
+ */
+
+'use strict';
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The properties of the bodies of Dexcom responses whose values are replaced before the bodies are attached to errors.
+ *
+ * @type {string[]}
+ */
+const secretProperties = ['access_token', 'refresh_token', 'client_secret', 'clientSecret', 'code', 'authCode'];
+
+/**
+ * The OAuth 2.0 error codes with which the Dexcom token endpoint rejects an authorization code or a refresh token that
+ * is invalid, expired or revoked.
+ *
+ * @see https://tools.ietf.org/html/rfc6749#section-5.2
+ *
+ * @type {string[]}
+ */
+const authErrorCodes = ['invalid_grant', 'invalid_client', 'unauthorized_client'];
+
+
+//***********
+//* Classes *
+//***********
+
+/**
+ * The base class of the errors thrown by this package.
+ */
+class DexcomError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+
+  /**
+   * Includes the name and the message of the error in its JSON representation, so that it can be logged as JSON.
+   */
+  toJSON() {
+    return Object.assign({name: this.name, message: this.message}, this);
+  }
+}
+
+/**
+ * Thrown when an argument or an option is invalid.
+ */
+class DexcomValidationError extends DexcomError {
+}
+
+/**
+ * Thrown when a request to the Dexcom platform fails.
+ *
+ * @param message
+ * A description of the failure.
+ *
+ * @param details
+ * An object of the following format:
+ * {
+ *   status: the HTTP status of the response, or null if no response was received,
+ *   method: the HTTP method of the request (e.g. 'GET'),
+ *   endpoint: the URL of the request, without its query string,
+ *   body: the body of the response, with its secrets replaced, or null,
+ *   code: the error code of the network error (e.g. 'ECONNRESET'), or null,
+ *   attempts: the number of times the request was sent
+ * }
+ */
+class DexcomApiError extends DexcomError {
+  constructor(message, details) {
+    super(message);
+    Object.assign(this, {
+      status:   null,
+      method:   null,
+      endpoint: null,
+      body:     null,
+      code:     null,
+      attempts: 0,
+    }, details);
+  }
+}
+
+/**
+ * Thrown when Dexcom rejects the user's tokens or the client's credentials, or when a token store holds no tokens for
+ * a user. The user must grant this application access again.
+ */
+class DexcomAuthError extends DexcomApiError {
+}
+
+/**
+ * Thrown when Dexcom rate limits a request and the request cannot be retried. Property retryAfterMilliseconds holds
+ * the delay that Dexcom requested, or null.
+ */
+class DexcomRateLimitError extends DexcomApiError {
+}
+
+/**
+ * Thrown when a request to a Nightscout site fails. Its properties are those of a DexcomApiError, but it is not one:
+ * a status of 401 means that the site rejected its API secret, not that the user must grant access to Dexcom again.
+ *
+ * @param message
+ * A description of the failure.
+ *
+ * @param details
+ * The same as for DexcomApiError.
+ */
+class NightscoutError extends DexcomError {
+  constructor(message, details) {
+    super(message);
+    Object.assign(this, {
+      status:   null,
+      method:   null,
+      endpoint: null,
+      body:     null,
+      code:     null,
+      attempts: 0,
+    }, details);
+  }
+}
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Throws a DexcomValidationError unless a condition holds.
+ *
+ * @param condition
+ * The condition that must hold.
+ *
+ * @param message
+ * The message of the error.
+ */
+function assertValid(condition, message) {
+  if (!condition) {
+    throw new DexcomValidationError(message);
+  }
+}
+
+/**
+ * Copies the body of a Dexcom response, replacing the values of its secret properties.
+ */
+function redactBody(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return body === undefined ? null : body;
+  }
+
+  const redacted = Object.assign({}, body);
+  secretProperties.filter(property => property in redacted).forEach(property => {
+    redacted[property] = '[redacted]';
+  });
+  return redacted;
+}
+
+/**
+ * Creates the error with which a failed request to the Dexcom platform is reported.
+ *
+ * @param error
+ * The error with which the request was rejected by the HTTP client (e.g. an axios error).
+ *
+ * @param requestConfig
+ * The axios request configuration of the request.
+ *
+ * @param attempts
+ * The number of times the request was sent.
+ *
+ * @param retryAfterMilliseconds
+ * The delay that Dexcom requested through a Retry-After header, or null.
+ *
+ * @returns a DexcomAuthError, a DexcomRateLimitError or a DexcomApiError.
+ */
+function createHttpError(error, requestConfig, attempts, retryAfterMilliseconds) {
+  const response = error.response;
+  const details  = {
+    status:   response ? response.status : null,
+    method:   (requestConfig.method || 'get').toUpperCase(),
+    endpoint: String(requestConfig.url || '').split('?')[0],
+    body:     response ? redactBody(response.data) : null,
+    code:     error.code || null,
+    attempts: attempts,
+  };
+
+  const request = `${details.method} ${details.endpoint}`;
+  if (!response) {
+    return new DexcomApiError(`${request} failed: ${details.code || error.message}`, details);
+  }
+
+  const dexcomError = (details.body && typeof details.body === 'object') ?
+    (details.body.error_description || details.body.error || details.body.message) :
+    null;
+  const message     = `${request} failed with status ${details.status}` + (dexcomError ? `: ${dexcomError}` : '');
+
+  if (details.status === 401 || details.status === 403 ||
+      (details.body && authErrorCodes.includes(details.body.error))) {
+    return new DexcomAuthError(message, details);
+  }
+  if (details.status === 429) {
+    return new DexcomRateLimitError(message, Object.assign(details, {retryAfterMilliseconds: retryAfterMilliseconds}));
+  }
+  return new DexcomApiError(message, details);
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.DexcomError           = DexcomError;
+exports.DexcomValidationError = DexcomValidationError;
+exports.DexcomApiError        = DexcomApiError;
+exports.DexcomAuthError       = DexcomAuthError;
+exports.DexcomRateLimitError  = DexcomRateLimitError;
+exports.NightscoutError       = NightscoutError;
+exports.assertValid           = assertValid;
+exports.createHttpError       = createHttpError;
@@ -0,0 +1,249 @@
+/**
+ * This file contains the conversion of CGM data to HL7 FHIR (R4) resources, so that the results of this package can be
+ * uploaded to an electronic health record: estimated glucose values become LOINC-coded Observation resources, the
+ * statistics of a period become summary Observation resources, and both are gathered into a Bundle.
+ *
+ * The codes are those of the HL7 FHIR implementation guide for continuous glucose monitoring. CGM values are glucose
+ * in interstitial fluid, which LOINC codes only by mass, so glucose values in mmol/L are converted to mg/dL.
+ *
+ * @see https://hl7.org/fhir/R4/observation.html
+ * @see https://hl7.org/fhir/R4/bundle.html
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const crypto  = require('crypto');
+const errors  = require('./errors.js');
+const helpers = require('./helpers.js');
+const units   = require('./units.js');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The code systems of the resources.
+ */
+const codeSystems = {
+  loinc:               'http://loinc.org',
+  ucum:                'http://unitsofmeasure.org',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+};
+
+/**
+ * The LOINC code of estimated glucose values, whose values are always in mg/dL.
+ */
+const glucoseCode = {code: '99504-3', display: 'Glucose [Mass/volume] in Interstitial fluid', unit: 'mg/dL'};
+
+/**
+ * The LOINC codes of the summary observations, by the name of the statistic they report, and the UCUM unit of each.
+ * Mean glucose is always reported in mg/dL, as its code is defined by mass, like that of estimated glucose values.
+ */
+const summaryCodes = {
+  mean:               {code: '97507-8', display: 'Average glucose [Mass/volume] in Interstitial fluid during ' +
+    'reporting period', unit: 'mg/dL'},
+  gmi:                {code: '97506-0', display: 'Glucose management indicator', unit: '%'},
+  percentWithinRange: {code: '97510-2', display: 'Glucose measurements in range out of total glucose measurements ' +
+    'during reporting period', unit: '%'},
+};
+
+/**
+ * The options used to build a FHIR Bundle, for the options that the caller does not specify.
+ */
+const defaultFhirOptions = {
+  bundleType: 'transaction',
+};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates a version 4 (random) UUID, as a URN, to identify a resource within a Bundle.
+ */
+function createUuidUrn() {
+  const bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString('hex');
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Formats an epoch time, in milliseconds, as a FHIR instant in UTC.
+ */
+function formatInstant(epochTime) {
+  return new Date(epochTime).toISOString();
+}
+
+/**
+ * Creates the properties shared by every Observation: its status, its category and its subject.
+ */
+function createObservationBase(settings) {
+  return Object.assign({
+    resourceType: 'Observation',
+    status:       'final',
+    category:     [{coding: [{system: codeSystems.observationCategory, code: 'laboratory'}]}],
+  }, settings.patientReference ? {subject: {reference: settings.patientReference}} : {});
+}
+
+/**
+ * Creates a quantity of a given UCUM unit.
+ */
+function createQuantity(value, unit) {
+  return {value: value, unit: unit, system: codeSystems.ucum, code: unit};
+}
+
+/**
+ * Converts estimated glucose value records to Observation resources.
+ *
+ * @param estimatedGlucoseValues
+ * An estimatedGlucoseValues object returned by getEstimatedGlucoseValues() or getEstimatedGlucoseValuesAnyDateRange().
+ * Records without a numeric value are skipped. Values in mmol/L are converted to mg/dL.
+ *
+ * @param fhirOptions
+ * The same as for createFhirBundle().
+ *
+ * @returns an array of Observation resources, oldest first.
+ */
+function convertEgvsToObservations(estimatedGlucoseValues, fhirOptions) {
+  const settings = Object.assign({}, defaultFhirOptions, fhirOptions);
+  const unit     = estimatedGlucoseValues.unit || 'mg/dL';
+  units.validateGlucoseUnit(unit);
+
+  return (estimatedGlucoseValues.egvs || [])
+    .filter(egv => typeof egv.value === 'number')
+    .map(egv => ({egv: egv, time: helpers.parseDexcomTime(egv.systemTime)}))
+    .sort((el1, el2) => el1.time - el2.time)
+    .map(el => {
+      // Without a Device resource to reference, the transmitter is identified in place.
+      const device = settings.deviceReference ?
+        {reference: settings.deviceReference} :
+        Object.assign({display: 'Dexcom CGM'}, el.egv.transmitterId ? {identifier: {value: el.egv.transmitterId}} : {});
+
+      return Object.assign(createObservationBase(settings), {
+        code:              {coding: [
+          {system: codeSystems.loinc, code: glucoseCode.code, display: glucoseCode.display},
+        ]},
+        effectiveDateTime: formatInstant(el.time),
+        valueQuantity:     createQuantity(units.convertGlucose(el.egv.value, unit, glucoseCode.unit), glucoseCode.unit),
+        device:            device,
+      });
+    });
+}
+
+/**
+ * Converts the statistics of a period to summary Observation resources.
+ *
+ * @param statistics
+ * A statistics object returned by getStatistics(), or an object returned by computeGlycemicMetrics(). Its glucose
+ * statistics are in its unit property, or in mg/dL if it has none. Statistics that are missing or null are skipped.
+ *
+ * @param fhirOptions
+ * The same as for createFhirBundle(); its startTime and endTime give the period of the statistics, at least one of
+ * them being required when statistics are summarized, since every summary observation must have a period.
+ *
+ * @returns an array of Observation resources, in the order of the summaryCodes constant.
+ */
+function convertStatisticsToObservations(statistics, fhirOptions) {
+  const settings = Object.assign({}, defaultFhirOptions, fhirOptions);
+  const unit     = statistics.unit || 'mg/dL';
+  const period   = Object.assign(
+    {},
+    (settings.startTime !== undefined) ? {start: formatInstant(settings.startTime)} : {},
+    (settings.endTime !== undefined) ? {end: formatInstant(settings.endTime)} : {});
+  const names    = Object.keys(summaryCodes).filter(name => typeof statistics[name] === 'number');
+
+  errors.assertValid(!names.length || Object.keys(period).length,
+    'startTime or endTime must be provided to summarize statistics without estimated glucose values');
+  return names.map(name => {
+    const summaryCode = summaryCodes[name];
+    const value       = (name === 'mean') ? units.convertGlucose(statistics[name], unit, 'mg/dL') : statistics[name];
+    return Object.assign(createObservationBase(settings), {
+      code:            {coding: [{system: codeSystems.loinc, code: summaryCode.code, display: summaryCode.display}]},
+      valueQuantity:   createQuantity(value, summaryCode.unit),
+      effectivePeriod: period,
+    });
+  });
+}
+
+/**
+ * Finds the period covered by the estimated glucose values of results, from the oldest to the newest value.
+ *
+ * @param results
+ * The same as for createFhirBundle().
+ *
+ * @returns an object of the following format, or an empty object if results hold no estimated glucose value:
+ * {
+ *   startTime: epochMilliseconds, the system time of the oldest value,
+ *   endTime: epochMilliseconds, the system time of the newest value
+ * }
+ */
+function findEgvPeriod(results) {
+  const times = [].concat(results)
+    .filter(result => result.estimatedGlucoseValues)
+    .reduce((all, result) => all.concat(result.estimatedGlucoseValues.egvs || []), [])
+    .filter(egv => typeof egv.value === 'number')
+    .map(egv => helpers.parseDexcomTime(egv.systemTime));
+
+  return times.length ? {startTime: Math.min.apply(null, times), endTime: Math.max.apply(null, times)} : {};
+}
+
+/**
+ * Builds a FHIR Bundle of Observation resources from estimated glucose values and statistics.
+ *
+ * @param results
+ * An object returned by getEstimatedGlucoseValues(), getEstimatedGlucoseValuesAnyDateRange() or getStatistics(), i.e.
+ * an object with an estimatedGlucoseValues property or a statistics property, or an array of such objects.
+ *
+ * @param fhirOptions
+ * An optional object of the following format, all properties being optional:
+ * {
+ *   patientReference: the reference of the Patient resource of the user, such as 'Patient/123', used as the subject
+ *                     of every observation,
+ *   deviceReference: the reference of the Device resource of the user's CGM, such as 'Device/456'; when it is not
+ *                    given, observations identify the transmitter of their record, if known,
+ *   bundleType: 'transaction' (defaults), so that the Bundle can be posted to a FHIR server as is, or 'collection',
+ *   startTime: the UTC epoch time, in milliseconds, of the beginning of the period of the statistics (defaults to the
+ *              time of the oldest estimated glucose value of results),
+ *   endTime: the UTC epoch time, in milliseconds, of the end of the period of the statistics (defaults to the time of
+ *            the newest estimated glucose value of results)
+ * }
+ *
+ * @returns a Bundle resource, whose entries are the Observations of the estimated glucose values, oldest first,
+ * followed by the summary Observations of the statistics.
+ */
+function createFhirBundle(results, fhirOptions) {
+  const settings     = Object.assign({}, defaultFhirOptions, findEgvPeriod(results), fhirOptions);
+  const observations = [].concat(results).reduce((all, result) => all
+    .concat(result.estimatedGlucoseValues ? convertEgvsToObservations(result.estimatedGlucoseValues, settings) : [])
+    .concat(result.statistics ? convertStatisticsToObservations(result.statistics, settings) : []), []);
+
+  return {
+    resourceType: 'Bundle',
+    type:         settings.bundleType,
+    timestamp:    formatInstant(Date.now()),
+    entry:        observations.map(observation => Object.assign(
+      {fullUrl: createUuidUrn(), resource: observation},
+      (settings.bundleType === 'transaction') ? {request: {method: 'POST', url: 'Observation'}} : {})),
+  };
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.glucoseCode                     = glucoseCode;
+exports.summaryCodes                    = summaryCodes;
+exports.defaultFhirOptions              = defaultFhirOptions;
+exports.convertEgvsToObservations       = convertEgvsToObservations;
+exports.convertStatisticsToObservations = convertStatisticsToObservations;
+exports.createFhirBundle                = createFhirBundle;
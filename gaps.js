@@ -0,0 +1,173 @@
+/**
+ * This file contains the detection of gaps in series of estimated glucose values, and the completeness of each day of
+ * such a series. A Dexcom CGM records a value every five minutes while it is active; values are missing while a sensor
+ * warms up or fails, or while the receiving device is out of range, so a missing value means "no data", not "in range".
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const helpers = require('./helpers.js');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The options used to report the completeness of estimated glucose values, for the options that the caller does not
+ * specify.
+ */
+const defaultCompletenessOptions = {
+  readingIntervalMinutes: 5,
+  minimumGapMinutes:      15,
+};
+
+/**
+ * The precision, in milliseconds, to which the UTC offset of a user's device is rounded. Display times follow the
+ * device's clock, which may drift from the system time by a few seconds or minutes.
+ *
+ * @type {number}
+ */
+const utcOffsetPrecisionMilliseconds = 15 * helpers.millisecondsPerMinute;
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates the description of a gap between two epoch times.
+ */
+function createGap(startTime, endTime) {
+  return {
+    startTime:       startTime,
+    endTime:         endTime,
+    durationMinutes: (endTime - startTime) / helpers.millisecondsPerMinute,
+  };
+}
+
+/**
+ * Gets the UTC offset of the user's device when it recorded a record, i.e. the difference between its displayTime and
+ * its systemTime, rounded to a quarter of an hour.
+ */
+function getUtcOffset(egv) {
+  if (!egv.displayTime) {
+    return 0;
+  }
+  const offset = helpers.parseDexcomTime(egv.displayTime.slice(0, 19)) - helpers.parseDexcomTime(egv.systemTime);
+  return Math.round(offset / utcOffsetPrecisionMilliseconds) * utcOffsetPrecisionMilliseconds;
+}
+
+/**
+ * Gets the time window covered by a day of the user's device: from its midnight, at the UTC offset of its first
+ * record, to the next midnight, at the UTC offset of its last record, so that days of 23 or 25 hours at the changes of
+ * daylight saving time have their real length. The window is restricted to the period covered by the series, if any.
+ */
+function getDayWindow(date, dayRecords, settings) {
+  const midnight  = helpers.parseDexcomTime(`${date}T00:00:00`);
+  const startTime = midnight - getUtcOffset(dayRecords[0]);
+  const endTime   = midnight + helpers.millisecondsPerDay - getUtcOffset(dayRecords[dayRecords.length - 1]);
+  return {
+    startTime: (settings.startTime !== undefined) ? Math.max(startTime, settings.startTime) : startTime,
+    endTime:   (settings.endTime !== undefined) ? Math.min(endTime, settings.endTime) : endTime,
+  };
+}
+
+/**
+ * Reports the gaps of a series of estimated glucose values, and the completeness of each of its days.
+ *
+ * @param egvs
+ * An array of estimated glucose value records, in any order, such as the egvs property of the estimatedGlucoseValues
+ * object returned by getEstimatedGlucoseValuesAnyDateRange(). Records without a numeric value are ignored.
+ *
+ * @param options
+ * An optional object of the following format:
+ * {
+ *   readingIntervalMinutes: the number of minutes between two readings of an active CGM (defaults to 5),
+ *   minimumGapMinutes: the number of minutes between two readings beyond which they are separated by a gap (defaults
+ *                      to 15, i.e. more than two missing readings),
+ *   startTime: the UTC epoch time, in milliseconds, of the beginning of the period covered by the series, so that
+ *              missing readings at its beginning are reported as a gap (optional),
+ *   endTime: the UTC epoch time, in milliseconds, of the end of that period, so that missing readings at its end are
+ *            reported as a gap (optional)
+ * }
+ *
+ * @returns an object of the following format:
+ * {
+ *   gaps: [
+ *     {
+ *       startTime: epochMilliseconds, the system time of the last reading before the gap, or options.startTime,
+ *       endTime: epochMilliseconds, the system time of the first reading after the gap, or options.endTime,
+ *       durationMinutes: the number of minutes between startTime and endTime
+ *     },
+ *     ...
+ *   ],
+ *   days: [
+ *     {
+ *       date: "YYYY-MM-DD", the date of the user's device (see the displayTime of each record),
+ *       nValues: the number of values recorded on that date,
+ *       expectedValues: the number of values an active CGM records during that date, i.e. in 23, 24 or 25 hours,
+ *                       or during the part of it within startTime and endTime,
+ *       completenessPercent: nValues as a percentage of expectedValues, at most 100
+ *     },
+ *     ...
+ *   ]
+ * }
+ * Gaps and days are in chronological order. Days without any value are not listed; they fall within gaps.
+ */
+function reportDataCompleteness(egvs, options) {
+  const settings    = Object.assign({}, defaultCompletenessOptions, options);
+  const minimumGap  = settings.minimumGapMinutes * helpers.millisecondsPerMinute;
+  const records     = egvs.filter(egv => typeof egv.value === 'number');
+  const times       = records
+    .map(egv => helpers.parseDexcomTime(egv.systemTime))
+    .sort((time1, time2) => time1 - time2);
+
+  const bounds = []
+    .concat((settings.startTime !== undefined) ? [settings.startTime] : [])
+    .concat(times)
+    .concat((settings.endTime !== undefined) ? [settings.endTime] : []);
+  const gaps = bounds
+    .slice(1)
+    .map((time, idx) => createGap(bounds[idx], time))
+    .filter(gap => gap.endTime - gap.startTime > minimumGap);
+
+  const interval      = settings.readingIntervalMinutes * helpers.millisecondsPerMinute;
+  const recordsByDate = records
+    .slice()
+    .sort((egv1, egv2) => helpers.parseDexcomTime(egv1.systemTime) - helpers.parseDexcomTime(egv2.systemTime))
+    .reduce((recordsOfDates, egv) => {
+      const date = helpers.getLocalDate(egv);
+      recordsOfDates[date] = (recordsOfDates[date] || []).concat([egv]);
+      return recordsOfDates;
+    }, {});
+  const days = Object.keys(recordsByDate).sort().map(date => {
+    const nValues        = recordsByDate[date].length;
+    const dayWindow      = getDayWindow(date, recordsByDate[date], settings);
+    const expectedValues = Math.max(1, Math.floor((dayWindow.endTime - dayWindow.startTime) / interval));
+    return {
+      date:                date,
+      nValues:             nValues,
+      expectedValues:      expectedValues,
+      completenessPercent: Math.min(100, 100 * nValues / expectedValues),
+    };
+  });
+
+  return {
+    gaps: gaps,
+    days: days,
+  };
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.defaultCompletenessOptions = defaultCompletenessOptions;
+exports.reportDataCompleteness     = reportDataCompleteness;
@@ -10,10 +10,11 @@
 //***********
 
 const httpClient  = require('axios');
-const assert      = require('assert');
 const Validator   = require('jsonschema').Validator;
 const schema      = require('./schema.js');
 const querystring = require('querystring');
+const crypto      = require('crypto');
+const errors      = require('./errors.js');
 
 
 //*************
@@ -27,6 +28,28 @@ const querystring = require('querystring');
  */
 const millisecondsPerSecond = 1000;
 
+/**
+ * The number of milliseconds in one minute.
+ *
+ * @type {number}
+ */
+const millisecondsPerMinute = 60 * millisecondsPerSecond;
+
+/**
+ * The number of milliseconds in one day of 24 hours.
+ *
+ * @type {number}
+ */
+const millisecondsPerDay = 1440 * millisecondsPerMinute;
+
+/**
+ * The number of milliseconds added to the end of the available data of a record type, so that the newest record falls
+ * within the requested time window, whose end Dexcom expresses in whole seconds.
+ *
+ * @type {number}
+ */
+const availableDataEndMarginMilliseconds = millisecondsPerSecond;
+
 /**
  * The time, in seconds, prior to the actual expiration time of an access token, at which an access token will be
  * considered to be expired.
@@ -35,11 +58,59 @@ const millisecondsPerSecond = 1000;
  */
 const aboutToExpireThresholdSeconds = 60;
 
+/**
+ * The number of random bytes used to generate an OAuth 2.0 state value.
+ *
+ * @type {number}
+ */
+const oauthStateBytes = 32;
+
+/**
+ * The policy that governs how failed HTTP requests are retried, for the properties that a transport does not specify.
+ *
+ * maxAttempts:           the maximum number of times a request is sent, including the first time.
+ * baseDelayMilliseconds: the delay before the first retry; each subsequent delay is twice the previous one.
+ * maxDelayMilliseconds:  the longest delay before a retry. A Retry-After header that asks for a longer delay ends the
+ *                        retries.
+ * jitter:                whether delays are randomized, between half and all of their nominal value, so that clients
+ *                        that failed together do not retry together.
+ */
+const defaultRetryPolicy = {
+  maxAttempts:           3,
+  baseDelayMilliseconds: 500,
+  maxDelayMilliseconds:  30 * millisecondsPerSecond,
+  jitter:                true,
+};
+
+/**
+ * The error codes of the network errors after which a request is retried.
+ *
+ * @type {string[]}
+ */
+const retryableNetworkErrorCodes = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * The transport used by the functions in this file when the caller does not provide one. It sends requests through
+ * the shared axios instance, without any hooks.
+ */
+const defaultTransport = {
+  httpClient:  httpClient,
+  hooks:       {},
+  retryPolicy: defaultRetryPolicy,
+};
+
 
 //*************
 //* Functions *
 //*************
 
+/**
+ * Describes the first error reported by a jsonschema validator, without quoting the invalid value.
+ */
+function describeValidationError(validatorResult) {
+  return validatorResult.errors.length ? validatorResult.errors[0].stack : 'unknown error';
+}
+
 /**
  * Validates the contents of an options Object.
  *
@@ -49,28 +120,384 @@ const aboutToExpireThresholdSeconds = 60;
  *   clientId: string,
  *   clientSecret: string,
  *   redirectUri: string,
- *   apiUri: string
+ *   apiUri: string,
+ *   apiVersion: 'v2' or 'v3' (optional),
+ *   glucoseUnit: 'mg/dL' or 'mmol/L' (optional),
+ *   consentUri: string (optional)
  * }
- * In order for the options object to be valid, the object must exist, and all its properties must be non-empty string
- * values.
+ * In order for the options object to be valid, the object must exist, and all its required properties must be
+ * non-empty string values.
  */
 function validateOptions(options) {
-  assert(options, 'options must be provided');
+  errors.assertValid(options, 'options must be provided');
 
   const validator = new Validator();
   const validatorResult = validator.validate(options, schema.packageOptions);
-  assert(validatorResult.valid, 'options must be valid');
+  errors.assertValid(validatorResult.valid, `options must be valid: ${describeValidationError(validatorResult)}`);
 }
 
 /**
  * Validates a sandbox authentication code.
  */
 function validateSandboxAuthcode(authcode) {
-  assert(authcode, 'authcode must be provided');
+  errors.assertValid(authcode, 'authcode must be provided');
 
   const validator = new Validator();
   const validatorResult = validator.validate(authcode, schema.sandboxAuthCodes);
-  assert(validatorResult.valid, validatorResult.errors.length? validatorResult.errors[0].message : 'unknown error');
+  errors.assertValid(validatorResult.valid,
+    validatorResult.errors.length? validatorResult.errors[0].message : 'unknown error');
+}
+
+/**
+ * Validates a list of OAuth 2.0 scopes.
+ *
+ * @param scopes
+ * A non-empty array of non-empty strings (e.g. ['offline_access']).
+ */
+function validateOAuthScopes(scopes) {
+  errors.assertValid(scopes, 'scopes must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(scopes, schema.oauthScopes);
+  errors.assertValid(validatorResult.valid, `scopes must be valid: ${describeValidationError(validatorResult)}`);
+}
+
+/**
+ * Validates an authorization code that Dexcom passed to the redirect URI after the user granted access.
+ */
+function validateAuthorizationCode(code) {
+  errors.assertValid(code, 'code must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(code, schema.authorizationCode);
+  errors.assertValid(validatorResult.valid, `code must be valid: ${describeValidationError(validatorResult)}`);
+}
+
+/**
+ * Validates a string that identifies a user whose OAuth tokens are held by a token store.
+ */
+function validateUserId(userId) {
+  errors.assertValid(userId, 'userId must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(userId, schema.userId);
+  errors.assertValid(validatorResult.valid, `userId must be valid: ${describeValidationError(validatorResult)}`);
+}
+
+/**
+ * Validates that an object implements the token store interface described in token-store.js.
+ */
+function validateTokenStore(tokenStore) {
+  errors.assertValid(tokenStore, 'tokenStore must be provided');
+  errors.assertValid(typeof tokenStore.get === 'function', 'tokenStore must implement get()');
+  errors.assertValid(typeof tokenStore.set === 'function', 'tokenStore must implement set()');
+}
+
+/**
+ * Validates that an object implements the cache interface described in cache.js.
+ */
+function validateCache(cache) {
+  errors.assertValid(cache, 'cache must be provided');
+  errors.assertValid(typeof cache.get === 'function', 'cache must implement get()');
+  errors.assertValid(typeof cache.put === 'function', 'cache must implement put()');
+}
+
+/**
+ * Validates the options that control how a date range of any duration is fetched.
+ *
+ * @param rangeOptions
+ * An object of the following format, all properties being optional:
+ * {
+ *   concurrency: integer,
+ *   retries: integer,
+ *   allowPartialResults: boolean,
+ *   unit: 'mg/dL' or 'mmol/L'
+ * }
+ */
+function validateRangeOptions(rangeOptions) {
+  errors.assertValid(rangeOptions, 'rangeOptions must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(rangeOptions, schema.rangeOptions);
+  errors.assertValid(validatorResult.valid, describeValidationError(validatorResult));
+}
+
+/**
+ * Validates the options that control how estimated glucose values are split into days.
+ *
+ * @param shardOptions
+ * An object of the following format, all properties being optional:
+ * {
+ *   byDisplayDate: boolean,
+ *   timeZone: an IANA time zone name, such as 'America/Los_Angeles'
+ * }
+ */
+function validateShardOptions(shardOptions) {
+  errors.assertValid(shardOptions, 'shardOptions must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(shardOptions, schema.shardOptions);
+  errors.assertValid(validatorResult.valid, describeValidationError(validatorResult));
+
+  if (shardOptions.timeZone !== undefined) {
+    let isKnownTimeZone = true;
+    try {
+      new Intl.DateTimeFormat('en-US', {timeZone: shardOptions.timeZone});
+    }
+    catch (err) {
+      isKnownTimeZone = false;
+    }
+    errors.assertValid(isKnownTimeZone, `timeZone ${shardOptions.timeZone} is not a known IANA time zone`);
+    errors.assertValid(!shardOptions.byDisplayDate, 'byDisplayDate and timeZone must not be combined');
+  }
+}
+
+/**
+ * Validates the options that control how a user's data is synchronized incrementally (see sync.js).
+ *
+ * @param syncOptions
+ * An object of the following format, all properties being optional:
+ * {
+ *   overlapMinutes: integer,
+ *   recordTypes: ['egvs', 'events', 'calibrations'],
+ *   concurrency: integer,
+ *   retries: integer,
+ *   unit: 'mg/dL' or 'mmol/L'
+ * }
+ */
+function validateSyncOptions(syncOptions) {
+  errors.assertValid(syncOptions, 'syncOptions must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(syncOptions, schema.syncOptions);
+  errors.assertValid(validatorResult.valid, describeValidationError(validatorResult));
+}
+
+/**
+ * Validates a synchronization cursor (see sync.js).
+ *
+ * @param cursor
+ * An object of the following format, all properties being optional:
+ * {
+ *   egvs: {lastSystemTime: "YYYY-MM-DDThh:mm:ss", recentKeys: [string, ...]},
+ *   events: {...},
+ *   calibrations: {...}
+ * }
+ */
+function validateSyncCursor(cursor) {
+  errors.assertValid(cursor, 'cursor must be provided');
+
+  const validator = new Validator();
+  validator.addSchema(schema.syncCursorEntry, '/SyncCursorEntry');
+  const validatorResult = validator.validate(cursor, schema.syncCursor);
+  errors.assertValid(validatorResult.valid, describeValidationError(validatorResult));
+}
+
+/**
+ * Validates a retry policy.
+ *
+ * @param retryPolicy
+ * An object of the following format, all properties being optional (see defaultRetryPolicy):
+ * {
+ *   maxAttempts: integer,
+ *   baseDelayMilliseconds: integer,
+ *   maxDelayMilliseconds: integer,
+ *   jitter: boolean
+ * }
+ */
+function validateRetryPolicy(retryPolicy) {
+  errors.assertValid(retryPolicy, 'retryPolicy must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(retryPolicy, schema.retryPolicy);
+  errors.assertValid(validatorResult.valid, describeValidationError(validatorResult));
+}
+
+/**
+ * Validates the target ranges passed to the Dexcom statistics endpoint.
+ *
+ * @param targetRanges
+ * An array of objects of the following format:
+ * {
+ *   name: string,
+ *   startTime: 'HH:MM:SS',
+ *   endTime: 'HH:MM:SS',
+ *   egvRanges: [{name: 'urgentLow', 'low' or 'high', bound: mg/dL}, ...]
+ * }
+ * Within a target range, each name may appear once, and the bounds must increase from urgentLow to low to high.
+ */
+function validateTargetRanges(targetRanges) {
+  errors.assertValid(targetRanges, 'targetRanges must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(targetRanges, schema.targetRanges);
+  errors.assertValid(validatorResult.valid, `targetRanges must be valid: ${describeValidationError(validatorResult)}`);
+
+  const egvRangeOrder = ['urgentLow', 'low', 'high'];
+  targetRanges.forEach(targetRange => {
+    const egvRanges = targetRange.egvRanges.slice().sort((range1, range2) =>
+      egvRangeOrder.indexOf(range1.name) - egvRangeOrder.indexOf(range2.name));
+    egvRanges.forEach((egvRange, idx) => {
+      const previousRange = egvRanges[idx - 1];
+      const isOrdered     = !previousRange ||
+        (previousRange.name !== egvRange.name && previousRange.bound < egvRange.bound);
+      errors.assertValid(isOrdered,
+        `the egvRanges of target range ${targetRange.name} must have distinct names and increasing bounds`);
+    });
+  });
+}
+
+/**
+ * Validates the options that control how glycemic metrics are computed (see metrics.js).
+ *
+ * @param metricsOptions
+ * An object of the following format, all properties being optional:
+ * {
+ *   unit: 'mg/dL' or 'mmol/L',
+ *   startTime: epochMilliseconds,
+ *   endTime: epochMilliseconds,
+ *   readingIntervalMinutes: number
+ * }
+ */
+function validateMetricsOptions(metricsOptions) {
+  errors.assertValid(metricsOptions, 'metricsOptions must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(metricsOptions, schema.metricsOptions);
+  errors.assertValid(validatorResult.valid, describeValidationError(validatorResult));
+  errors.assertValid(metricsOptions.startTime === undefined || metricsOptions.endTime === undefined ||
+    metricsOptions.startTime < metricsOptions.endTime, 'startTime must be < endTime');
+}
+
+/**
+ * Validates the options that control how the gaps and completeness of estimated glucose values are reported (see
+ * gaps.js).
+ *
+ * @param completenessOptions
+ * An object of the following format, all properties being optional:
+ * {
+ *   readingIntervalMinutes: number,
+ *   minimumGapMinutes: number,
+ *   startTime: epochMilliseconds,
+ *   endTime: epochMilliseconds
+ * }
+ */
+function validateCompletenessOptions(completenessOptions) {
+  errors.assertValid(completenessOptions, 'completenessOptions must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(completenessOptions, schema.completenessOptions);
+  errors.assertValid(validatorResult.valid, describeValidationError(validatorResult));
+  errors.assertValid(completenessOptions.startTime === undefined || completenessOptions.endTime === undefined ||
+    completenessOptions.startTime < completenessOptions.endTime, 'startTime must be < endTime');
+}
+
+/**
+ * Validates the options that control how records are exported as CSV (see csv.js).
+ *
+ * @param csvOptions
+ * An object of the following format, all properties being optional:
+ * {
+ *   columns: [<column names>],
+ *   timeField: 'systemTime' or 'displayTime',
+ *   header: boolean
+ * }
+ */
+function validateCsvOptions(csvOptions) {
+  errors.assertValid(csvOptions, 'csvOptions must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(csvOptions, schema.csvOptions);
+  errors.assertValid(validatorResult.valid, describeValidationError(validatorResult));
+}
+
+/**
+ * Validates the options that control how CGM data is converted to a FHIR Bundle (see fhir.js).
+ *
+ * @param fhirOptions
+ * An object of the following format, all properties being optional:
+ * {
+ *   patientReference: string,
+ *   deviceReference: string,
+ *   bundleType: 'transaction' or 'collection',
+ *   startTime: epochMilliseconds,
+ *   endTime: epochMilliseconds
+ * }
+ */
+function validateFhirOptions(fhirOptions) {
+  errors.assertValid(fhirOptions, 'fhirOptions must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(fhirOptions, schema.fhirOptions);
+  errors.assertValid(validatorResult.valid, describeValidationError(validatorResult));
+  errors.assertValid(fhirOptions.startTime === undefined || fhirOptions.endTime === undefined ||
+    fhirOptions.startTime < fhirOptions.endTime, 'startTime must be < endTime');
+}
+
+/**
+ * Validates the options that control which alerts are counted by the alert summaries (see alerts.js).
+ *
+ * @param alertSummaryOptions
+ * An object of the following format:
+ * {
+ *   alertStates: ['unknown', 'inactive', 'activeSnoozed' or 'activeAlarming', ...] (optional)
+ * }
+ */
+function validateAlertSummaryOptions(alertSummaryOptions) {
+  errors.assertValid(alertSummaryOptions, 'options must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(alertSummaryOptions, schema.alertSummaryOptions);
+  errors.assertValid(validatorResult.valid, describeValidationError(validatorResult));
+}
+
+/**
+ * Validates the options that control how CGM data is converted for, and uploaded to, a Nightscout site (see
+ * nightscout.js).
+ *
+ * @param nightscoutOptions
+ * An object of the following format:
+ * {
+ *   baseUrl: 'http://...' or 'https://...', required for uploads,
+ *   apiSecret: string, required for uploads,
+ *   device: string (optional)
+ * }
+ *
+ * @param isUpload
+ * Whether the options are used to upload, in which case the Nightscout site must be given.
+ */
+function validateNightscoutOptions(nightscoutOptions, isUpload) {
+  errors.assertValid(nightscoutOptions, 'nightscoutOptions must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(nightscoutOptions, schema.nightscoutOptions);
+  errors.assertValid(validatorResult.valid, describeValidationError(validatorResult));
+  errors.assertValid(!isUpload || (nightscoutOptions.baseUrl && nightscoutOptions.apiSecret),
+    'baseUrl and apiSecret must be provided in order to upload to Nightscout');
+}
+
+/**
+ * Validates the options that control how an Ambulatory Glucose Profile is built (see agp.js).
+ *
+ * @param agpOptions
+ * An object of the following format, all properties being optional:
+ * {
+ *   binMinutes: integer that divides 1440,
+ *   minimumValuesPerBin: integer,
+ *   percentiles: [number, ...]
+ * }
+ */
+function validateAgpOptions(agpOptions) {
+  errors.assertValid(agpOptions, 'agpOptions must be provided');
+
+  const validator = new Validator();
+  const validatorResult = validator.validate(agpOptions, schema.agpOptions);
+  errors.assertValid(validatorResult.valid, describeValidationError(validatorResult));
+  errors.assertValid(agpOptions.binMinutes === undefined || 1440 % agpOptions.binMinutes === 0,
+    'binMinutes must divide the 1440 minutes of a day');
+  errors.assertValid(agpOptions.percentiles === undefined ||
+    agpOptions.percentiles.every((percentile, idx, percentiles) => idx === 0 || percentiles[idx - 1] < percentile),
+    'percentiles must be in strictly ascending order');
 }
 
 /**
@@ -92,7 +519,7 @@ function validateSandboxAuthcode(authcode) {
  * It's their token, not ours.
  */
 function validateOAuthTokens(oauthTokens) {
-  assert(oauthTokens, 'oauthTokens must be provided');
+  errors.assertValid(oauthTokens, 'oauthTokens must be provided');
 
   /*
   const validator = new Validator();
@@ -101,7 +528,7 @@ function validateOAuthTokens(oauthTokens) {
   validator.addSchema(schema.epochTime,        '/EpochTime');
 
   const validatorResult = validator.validate(oauthTokens, schema.oauthTokens);
-  assert(validatorResult.valid, 'oauthTokens must be valid');
+  errors.assertValid(validatorResult.valid, 'oauthTokens must be valid');
   */
 }
 
@@ -115,18 +542,18 @@ function validateOAuthTokens(oauthTokens) {
  * A number that represents an epoch time, in milliseconds. This value must be greater than startTime.
  */
 function validateTimeWindow(startTime, endTime) {
-  assert(startTime, 'startTime must be provided');
-  assert(endTime,   'endTime must be provided');
+  errors.assertValid(startTime, 'startTime must be provided');
+  errors.assertValid(endTime,   'endTime must be provided');
 
   const validator = new Validator();
 
   const startTimeValidatorResult = validator.validate(startTime, schema.epochTime);
-  assert(startTimeValidatorResult.valid, 'startTime must be valid');
+  errors.assertValid(startTimeValidatorResult.valid, 'startTime must be valid');
 
   const endTimeValidatorResult = validator.validate(endTime, schema.epochTime);
-  assert(endTimeValidatorResult.valid, 'endTime must be valid');
+  errors.assertValid(endTimeValidatorResult.valid, 'endTime must be valid');
 
-  assert(startTime < endTime, 'startTime must be < endTime');
+  errors.assertValid(startTime < endTime, 'startTime must be < endTime');
 }
 
 /**
@@ -146,6 +573,485 @@ function dexcomifyEpochTime(epochTime) {
   return dateString;
 }
 
+/**
+ * Gets the epoch time represented by a Dexcom "date/time" string. Dexcom system times are expressed in UTC, usually
+ * without a time zone designator, which the JavaScript Date parser would otherwise interpret as local time.
+ *
+ * @param dateString
+ * A string such as "2015-11-18T15:00:00", optionally followed by fractional seconds and a time zone designator.
+ *
+ * @returns A number that represents the UTC epoch time, in milliseconds.
+ */
+function parseDexcomTime(dateString) {
+  const hasTimeZoneDesignator = /(Z|[+-]\d\d:?\d\d)$/i.test(dateString);
+  return new Date(hasTimeZoneDesignator ? dateString : `${dateString}Z`).getTime();
+}
+
+/**
+ * Gets the date of the user's device on which a record was recorded. Display times start with the date of the user's
+ * device, whether or not they end with a UTC offset; records without a display time fall back to their system time.
+ *
+ * @param record
+ * A record returned by Dexcom, such as an estimated glucose value or an alert, with a displayTime or a systemTime.
+ *
+ * @returns A string that matches the following format: "YYYY-MM-DD".
+ */
+function getLocalDate(record) {
+  return (record.displayTime || record.systemTime).slice(0, 10);
+}
+
+/**
+ * Gets the calendar date of an epoch time in a time zone, taking daylight saving time into account.
+ *
+ * @param epochTime
+ * A number that represents the UTC epoch time, in milliseconds.
+ *
+ * @param timeZone
+ * An IANA time zone name, such as 'America/Los_Angeles'.
+ *
+ * @returns A string that matches the following format: "YYYY-MM-DD".
+ */
+function formatDateInTimeZone(epochTime, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    year:     'numeric',
+    month:    '2-digit',
+    day:      '2-digit',
+  });
+  const parts =  formatter.formatToParts(new Date(epochTime)).reduce((partsByType, part) => {
+    partsByType[part.type] = part.value;
+    return partsByType;
+  }, {});
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Gets the epoch time of the UTC midnight that begins the day of an epoch time. Dexcom system times are in UTC, so
+ * days that begin at UTC midnight do not depend on the time zone of the server.
+ *
+ * @param epochTime
+ * A number that represents the UTC epoch time, in milliseconds.
+ *
+ * @returns A number that represents the UTC epoch time, in milliseconds, of the midnight.
+ */
+function getUtcMidnight(epochTime) {
+  return Math.floor(epochTime / millisecondsPerDay) * millisecondsPerDay;
+}
+
+/**
+ * Restricts a time window to the data available for a record type. The end of the available data is followed by a
+ * one-second margin, so that the newest record is returned by Dexcom.
+ *
+ * @param startTime
+ * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window, or -Infinity.
+ *
+ * @param endTime
+ * A number that represents the UTC epoch time, in milliseconds, of the end of the time window, or Infinity.
+ *
+ * @param recordRange
+ * A property of the object returned by getDataRange(), i.e. an object of the following format:
+ * {
+ *   start: {systemTime: "YYYY-MM-DDThh:mm:ss", ...},
+ *   end: {systemTime: "YYYY-MM-DDThh:mm:ss", ...}
+ * }
+ *
+ * @returns an object of the following format, or null if the record type has no data within the time window:
+ * {
+ *   startTime: epochMilliseconds,
+ *   endTime: epochMilliseconds
+ * }
+ */
+function clampToAvailableData(startTime, endTime, recordRange) {
+  if (!recordRange || !recordRange.start || !recordRange.end) {
+    return null;    // no data of this record type
+  }
+
+  const clampedStartTime = Math.max(startTime, parseDexcomTime(recordRange.start.systemTime));
+  const clampedEndTime   = Math.min(endTime,
+    parseDexcomTime(recordRange.end.systemTime) + availableDataEndMarginMilliseconds);
+  return (clampedStartTime < clampedEndTime) ? {startTime: clampedStartTime, endTime: clampedEndTime} : null;
+}
+
+/**
+ * Splits a time window into consecutive windows that are no longer than a maximum duration. Consecutive windows share
+ * their boundary, so records that fall exactly on a boundary may be returned for both windows.
+ *
+ * @param startTime
+ * A number that represents an epoch time, in milliseconds. This value must be less than endTime.
+ *
+ * @param endTime
+ * A number that represents an epoch time, in milliseconds. This value must be greater than startTime.
+ *
+ * @param maximumDurationMilliseconds
+ * The maximum duration, in milliseconds, of each window.
+ *
+ * @returns An array of objects of the following format, in chronological order:
+ * {
+ *   startTime: epochMilliseconds,
+ *   endTime: epochMilliseconds
+ * }
+ */
+function splitTimeWindow(startTime, endTime, maximumDurationMilliseconds) {
+  errors.assertValid(maximumDurationMilliseconds > 0, 'maximumDurationMilliseconds must be > 0');
+
+  const windows = [];
+  for (let windowStartTime = startTime; windowStartTime < endTime; windowStartTime += maximumDurationMilliseconds) {
+    windows.push({
+      startTime: windowStartTime,
+      endTime:   Math.min(windowStartTime + maximumDurationMilliseconds, endTime),
+    });
+  }
+  return windows;
+}
+
+/**
+ * Merges several arrays of Dexcom records into a single array, newest record first as Dexcom itself returns them,
+ * keeping only the first of the records that share a key.
+ *
+ * @param recordArrays
+ * An array of arrays of records. Missing arrays are ignored.
+ *
+ * @param getRecordKey
+ * A function that returns the string that identifies a record.
+ *
+ * @param getRecordTime
+ * A function that returns the Dexcom "date/time" string by which a record is ordered.
+ *
+ * @returns An array of records.
+ */
+function mergeRecords(recordArrays, getRecordKey, getRecordTime) {
+  const recordsByKey = new Map();
+  recordArrays.forEach(records => {
+    (records || []).forEach(record => {
+      const key = getRecordKey(record);
+      if (!recordsByKey.has(key)) {
+        recordsByKey.set(key, record);
+      }
+    });
+  });
+
+  // Records with the same time keep their relative order, whether or not the sort is stable.
+  return Array.from(recordsByKey.values())
+    .map((record, index) => ({record: record, index: index, time: parseDexcomTime(getRecordTime(record))}))
+    .sort((e1, e2) => (e2.time - e1.time) || (e1.index - e2.index))
+    .map(el => el.record);
+}
+
+/**
+ * Maps the elements of an array through an asynchronous function, invoking the function for at most a given number of
+ * elements at a time.
+ *
+ * @param items
+ * The array whose elements are mapped.
+ *
+ * @param concurrency
+ * The maximum number of pending invocations of mapper.
+ *
+ * @param mapper
+ * An asynchronous function that is invoked with each element and its index.
+ *
+ * @returns a Promise that wraps the array of the results of mapper, in the order of items. The Promise is rejected as
+ * soon as an invocation of mapper fails, in which case no further invocations are started.
+ */
+async function mapWithConcurrency(items, concurrency, mapper) {
+  errors.assertValid(concurrency >= 1, 'concurrency must be >= 1');
+
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed    = false;
+
+  async function work() {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await mapper(items[index], index);
+      }
+      catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(work());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Waits for a number of milliseconds.
+ *
+ * @returns a Promise that resolves once the time has elapsed.
+ */
+function sleep(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Determines whether a failed HTTP request may succeed if it is sent again: the request was rate limited (429), the
+ * server failed (5xx), or no response was received because of a network error. Other client errors, in particular
+ * authentication errors, are never retried.
+ *
+ * @param error
+ * The error with which the axios request was rejected.
+ */
+function isRetryableError(error) {
+  if (error.response) {
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+  return retryableNetworkErrorCodes.includes(error.code);
+}
+
+/**
+ * Gets the delay, in milliseconds, requested by the Retry-After header of a failed HTTP request.
+ *
+ * @see https://tools.ietf.org/html/rfc7231#section-7.1.3
+ *
+ * @param error
+ * The error with which the axios request was rejected.
+ *
+ * @returns A number of milliseconds, or null if the response has no valid Retry-After header.
+ */
+function getRetryAfterMilliseconds(error) {
+  const headers    = (error.response && error.response.headers) || {};
+  const retryAfter = headers['retry-after'];
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+    return null;
+  }
+
+  if (/^\s*\d+\s*$/.test(retryAfter)) {
+    return parseInt(retryAfter, 10) * millisecondsPerSecond;
+  }
+  const retryTime = Date.parse(retryAfter);
+  return isNaN(retryTime) ? null : Math.max(0, retryTime - Date.now());
+}
+
+/**
+ * Gets the delay, in milliseconds, before a failed request is sent again.
+ *
+ * @param retryPolicy
+ * The retry policy of the transport (see defaultRetryPolicy).
+ *
+ * @param attempt
+ * The number of times the request has been sent so far.
+ *
+ * @param error
+ * The error with which the last attempt was rejected.
+ *
+ * @returns A number of milliseconds, or null if the request must not be retried because the server asked for a longer
+ * delay than the retry policy allows.
+ */
+function getRetryDelayMilliseconds(retryPolicy, attempt, error) {
+  const retryAfterMilliseconds = getRetryAfterMilliseconds(error);
+  if (retryAfterMilliseconds !== null) {
+    return retryAfterMilliseconds <= retryPolicy.maxDelayMilliseconds ? retryAfterMilliseconds : null;
+  }
+
+  const nominalDelay = Math.min(retryPolicy.maxDelayMilliseconds,
+    retryPolicy.baseDelayMilliseconds * Math.pow(2, attempt - 1));
+  return retryPolicy.jitter ? Math.round(nominalDelay * (0.5 + Math.random() / 2)) : nominalDelay;
+}
+
+/**
+ * Sends an HTTP request through a transport, invoking the transport's hooks around each attempt, and retrying the
+ * request according to the transport's retry policy when it fails in a way that may be temporary (see
+ * isRetryableError()).
+ *
+ * @param transport
+ * An object of the following format (a DexcomJS client satisfies it), or undefined for the default transport:
+ * {
+ *   httpClient: an axios instance, or any object with a compatible request(requestConfig) function,
+ *   hooks: {
+ *     onRequest: function(requestConfig), optional,
+ *     onResponse: function(response, requestConfig), optional,
+ *     onRetry: function(error, attempt, delayMilliseconds, requestConfig), optional
+ *   },
+ *   retryPolicy: {<see defaultRetryPolicy>}, optional
+ * }
+ *
+ * @param requestConfig
+ * An axios request configuration object.
+ *
+ * @returns a Promise that wraps the axios response. If the request fails, the Promise is rejected with a DexcomApiError
+ * (see errors.js) that describes the last attempt, and whose attempts property holds the number of times the request
+ * was sent. The onRetry hook receives the same kind of error.
+ */
+async function sendRequest(transport, requestConfig) {
+  const activeTransport = transport || defaultTransport;
+  const hooks           = activeTransport.hooks || {};
+  const retryPolicy     = Object.assign({}, defaultRetryPolicy, activeTransport.retryPolicy);
+
+  for (let attempt = 1; ; attempt++) {
+    if (hooks.onRequest) {
+      await hooks.onRequest(requestConfig);
+    }
+
+    let response;
+    try {
+      response = await activeTransport.httpClient.request(requestConfig);
+    }
+    catch (error) {
+      const delayMilliseconds = (attempt < retryPolicy.maxAttempts && isRetryableError(error)) ?
+        getRetryDelayMilliseconds(retryPolicy, attempt, error) :
+        null;
+      const dexcomError       = errors.createHttpError(error, requestConfig, attempt, getRetryAfterMilliseconds(error));
+      if (delayMilliseconds === null) {
+        throw dexcomError;
+      }
+
+      if (hooks.onRetry) {
+        await hooks.onRetry(dexcomError, attempt, delayMilliseconds, requestConfig);
+      }
+      await sleep(delayMilliseconds);
+      continue;
+    }
+
+    if (hooks.onResponse) {
+      await hooks.onResponse(response, requestConfig);
+    }
+    return response;
+  }
+}
+
+/**
+ * Derives a transport that sends each request only once, for requests that are not idempotent: a request that failed
+ * after the server processed it, such as the exchange of an authorization code or of a refresh token, which Dexcom
+ * accepts only once, must not be sent again.
+ *
+ * @param transport
+ * The transport whose HTTP client and hooks are used (see sendRequest()), or undefined for the default transport.
+ *
+ * @returns a transport whose retry policy allows a single attempt.
+ */
+function toSingleAttemptTransport(transport) {
+  const activeTransport = transport || defaultTransport;
+  return {
+    httpClient:  activeTransport.httpClient,
+    hooks:       activeTransport.hooks,
+    retryPolicy: Object.assign({}, activeTransport.retryPolicy, {maxAttempts: 1}),
+  };
+}
+
+/**
+ * Creates an unguessable OAuth 2.0 state value, used to bind an authorization response to the request that caused it.
+ *
+ * @see https://tools.ietf.org/html/rfc6749#section-10.12
+ *
+ * @returns A string of hexadecimal characters.
+ */
+function createOAuthState() {
+  return crypto.randomBytes(oauthStateBytes).toString('hex');
+}
+
+/**
+ * Builds the Dexcom URL to which a user is sent in order to log in and grant this application access to their data.
+ *
+ * @see https://developer.dexcom.com/authentication
+ *
+ * @param options
+ * The Dexcom access options. The caller is assumed to have validated the options object prior to invoking this
+ * function.
+ *
+ * @param scopes
+ * An array of the OAuth 2.0 scopes being requested.
+ *
+ * @param state
+ * The OAuth 2.0 state value that Dexcom will pass back to the redirect URI.
+ *
+ * @returns A string that contains the authorization URL.
+ */
+function buildAuthorizationUrl(options, scopes, state) {
+  // Step One: Authorization
+  const query = querystring.stringify({
+    client_id:     options.clientId,
+    redirect_uri:  options.redirectUri,
+    response_type: 'code',
+    scope:         scopes.join(' '),
+    state:         state,
+  });
+
+  return `${options.apiUri}/v2/oauth2/login?${query}`;
+}
+
+/**
+ * Uses the Dexcom OAuth API to exchange an authorization code for an access token and a refresh token.
+ *
+ * @param options
+ * The Dexcom access options. The caller is assumed to have validated the options object prior to invoking this
+ * function.
+ *
+ * @param code
+ * The authorization code that Dexcom passed to the redirect URI.
+ *
+ * @param transport
+ * The transport through which the request is sent (see sendRequest()). Optional. The request is never retried, since
+ * Dexcom accepts each authorization code and refresh token only once.
+ *
+ * @returns a Promise that wraps an Object of the following format:
+ * {
+ *   "timestamp": epochMilliseconds,
+ *   "dexcomOAuthToken": {
+ *     "access_token": "your access token",
+ *     "expires_in": timeToLiveInSeconds,
+ *     "token_type": "Bearer",
+ *     "refresh_token": "your refresh token"
+ *   }
+ * }
+ */
+async function exchangeAuthorizationCode(options, code, transport) {
+  // @see https://developer.dexcom.com/authentication
+  // Step Three: Obtain Access Token
+  const urlEncodedForm = querystring.stringify({
+    client_id:     options.clientId,
+    client_secret: options.clientSecret,
+    code:          code,
+    grant_type:    'authorization_code',
+    redirect_uri:  options.redirectUri,
+  });
+  const httpConfig = {
+    headers: {
+      "cache-control": "no-cache",
+      "Content-Type":  "application/x-www-form-urlencoded"
+    }
+  };
+
+  const result = await sendRequest(toSingleAttemptTransport(transport), Object.assign({
+    method: 'post',
+    url:    `${options.apiUri}/v2/oauth2/token`,
+    data:   urlEncodedForm,
+  }, httpConfig));
+
+  return {
+    timestamp:        new Date().getTime(),
+    dexcomOAuthToken: result.data,
+  };
+}
+
+/**
+ * Determines whether the access token of an oauthTokens object has expired, or is about to expire.
+ *
+ * @param oauthTokens
+ * An object of the following format:
+ * {
+ *   "timestamp": epochMilliseconds,
+ *   "dexcomOAuthToken": {
+ *     "access_token": "your access token",
+ *     "expires_in": timeToLiveInSeconds,
+ *     "token_type": "Bearer",
+ *     "refresh_token": "your refresh token"
+ *   }
+ * }
+ *
+ * @returns true if the access token must be refreshed before it is used, false otherwise.
+ */
+function isAccessTokenExpired(oauthTokens) {
+  return Date.now() + (aboutToExpireThresholdSeconds * millisecondsPerSecond) >=
+    oauthTokens.timestamp + (oauthTokens.dexcomOAuthToken.expires_in * millisecondsPerSecond);
+}
+
 /**
  * Uses the Dexcom OAuth API to obtain a new access token if the access token passed to this function has expired,
  * or is about to expire.
@@ -170,6 +1076,10 @@ function dexcomifyEpochTime(epochTime) {
  * A boolean value that indicates if a new access token is to be acquired, regardless of the state of the access
  * token passed to this function.
  *
+ * @param transport
+ * The transport through which the request is sent (see sendRequest()). Optional. The request is never retried, since
+ * Dexcom accepts each authorization code and refresh token only once.
+ *
  * @returns a Promise that wraps an Object of the following format:
  * {
  *   "timestamp": epochMilliseconds,
@@ -188,16 +1098,13 @@ function dexcomifyEpochTime(epochTime) {
  *    Downstream users may use the timestamp and the dexcomOAuthToken.expires_in values to determine if the Dexcom
  *    access token has expired and must be refreshed.
  */
-async function refreshAccessToken(options, oauthTokens, force) {
-  if (!force &&
-    (Date.now() + (aboutToExpireThresholdSeconds * millisecondsPerSecond) <
-      oauthTokens.timestamp + (oauthTokens.dexcomOAuthToken.expires_in * millisecondsPerSecond)))
-  {
+async function refreshAccessToken(options, oauthTokens, force, transport) {
+  if (!force && !isAccessTokenExpired(oauthTokens)) {
     return oauthTokens;
   }
 
   // @see https://developer.dexcom.com/authentication
-  // Step Six: Refresh Tokens
+  // Step Six: Refresh Tokens. Every version of the Dexcom API, v3 included, uses the v2 OAuth endpoints.
   const urlEncodedForm = querystring.stringify({
     client_id:     options.clientId,
     client_secret: options.clientSecret,
@@ -212,7 +1119,11 @@ async function refreshAccessToken(options, oauthTokens, force) {
     }
   };
 
-  const result = await httpClient.post(`${options.apiUri}/v2/oauth2/token`, urlEncodedForm, httpConfig);
+  const result = await sendRequest(toSingleAttemptTransport(transport), Object.assign({
+    method: 'post',
+    url:    `${options.apiUri}/v2/oauth2/token`,
+    data:   urlEncodedForm,
+  }, httpConfig));
   //console.log(result.status);
   //console.log(result.data);
 
@@ -227,9 +1138,46 @@ async function refreshAccessToken(options, oauthTokens, force) {
 //* Public API *
 //**************
 
-exports.validateOptions         = validateOptions;
-exports.validateSandboxAuthcode = validateSandboxAuthcode;
-exports.dexcomifyEpochTime      = dexcomifyEpochTime;
-exports.validateTimeWindow      = validateTimeWindow;
-exports.validateOAuthTokens     = validateOAuthTokens;
-exports.refreshAccessToken      = refreshAccessToken;
+exports.millisecondsPerSecond       = millisecondsPerSecond;
+exports.millisecondsPerMinute       = millisecondsPerMinute;
+exports.millisecondsPerDay          = millisecondsPerDay;
+exports.validateOptions             = validateOptions;
+exports.validateSandboxAuthcode     = validateSandboxAuthcode;
+exports.validateOAuthScopes         = validateOAuthScopes;
+exports.validateAuthorizationCode   = validateAuthorizationCode;
+exports.dexcomifyEpochTime          = dexcomifyEpochTime;
+exports.parseDexcomTime             = parseDexcomTime;
+exports.getLocalDate                = getLocalDate;
+exports.formatDateInTimeZone        = formatDateInTimeZone;
+exports.getUtcMidnight              = getUtcMidnight;
+exports.clampToAvailableData        = clampToAvailableData;
+exports.splitTimeWindow             = splitTimeWindow;
+exports.mergeRecords                = mergeRecords;
+exports.mapWithConcurrency          = mapWithConcurrency;
+exports.validateTimeWindow          = validateTimeWindow;
+exports.validateUserId              = validateUserId;
+exports.validateTokenStore          = validateTokenStore;
+exports.validateCache               = validateCache;
+exports.validateRangeOptions        = validateRangeOptions;
+exports.validateShardOptions        = validateShardOptions;
+exports.validateSyncOptions         = validateSyncOptions;
+exports.validateSyncCursor          = validateSyncCursor;
+exports.validateRetryPolicy         = validateRetryPolicy;
+exports.validateTargetRanges        = validateTargetRanges;
+exports.validateMetricsOptions      = validateMetricsOptions;
+exports.validateAgpOptions          = validateAgpOptions;
+exports.validateCompletenessOptions = validateCompletenessOptions;
+exports.validateCsvOptions          = validateCsvOptions;
+exports.validateFhirOptions         = validateFhirOptions;
+exports.validateNightscoutOptions   = validateNightscoutOptions;
+exports.validateAlertSummaryOptions = validateAlertSummaryOptions;
+exports.validateOAuthTokens         = validateOAuthTokens;
+exports.isAccessTokenExpired        = isAccessTokenExpired;
+exports.refreshAccessToken          = refreshAccessToken;
+exports.sendRequest                 = sendRequest;
+exports.toSingleAttemptTransport    = toSingleAttemptTransport;
+exports.isRetryableError            = isRetryableError;
+exports.getRetryAfterMilliseconds   = getRetryAfterMilliseconds;
+exports.createOAuthState            = createOAuthState;
+exports.buildAuthorizationUrl       = buildAuthorizationUrl;
+exports.exchangeAuthorizationCode   = exchangeAuthorizationCode;
\ No newline at end of file
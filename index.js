@@ -14,14 +14,191 @@
 const httpClient  = require('axios');
 const querystring = require('querystring');
 const helpers     = require('./helpers.js');
+const errors      = require('./errors.js');
+const apiVersions = require('./api-versions.js');
+const alerts      = require('./alerts.js');
+const metrics     = require('./metrics.js');
+const agp         = require('./agp.js');
+const sync        = require('./sync.js');
+const caches      = require('./cache.js');
+const gaps        = require('./gaps.js');
+const csv         = require('./csv.js');
+const fhir        = require('./fhir.js');
+const nightscout  = require('./nightscout.js');
+const tokenStores = require('./token-store.js');
+const units       = require('./units.js');
 const _           = require('lodash');
 
 
+//*************
+//* Constants *
+//*************
+
+/**
+ * The OAuth 2.0 scopes requested by getAuthorizationUrl() when the caller does not specify any.
+ *
+ * @type {string[]}
+ */
+const defaultAuthorizationScopes = ['offline_access'];
+
+/**
+ * The URI of the consent endpoint of the Dexcom developer portal, through which getSandboxAuthenticationToken() logs in
+ * sandbox users when the options do not specify a consentUri.
+ *
+ * @type {string}
+ */
+const defaultSandboxConsentUri = 'https://developer-portal-dot-g5-dexcom-prod-us-5.appspot.com/consent';
+
+/**
+ * The time, in milliseconds, during which a state value issued by getAuthorizationUrl() may be redeemed by
+ * exchangeAuthorizationCode().
+ *
+ * @type {number}
+ */
+const authorizationStateTimeToLiveMilliseconds = 10 * helpers.millisecondsPerMinute;
+
+/**
+ * The time, in milliseconds, during which the result of a completed access token refresh is shared with requests that
+ * present the refresh token it replaced.
+ *
+ * @type {number}
+ */
+const completedTokenRefreshRetentionMilliseconds = helpers.millisecondsPerMinute;
+
+/**
+ * The maximum duration, in milliseconds, of the time window of a single request to a Dexcom endpoint that accepts a
+ * time window. Dexcom accepts at most 90 days; one day less avoids rounding issues at the window boundaries.
+ *
+ * @type {number}
+ */
+const maximumRequestWindowMilliseconds = 89 * helpers.millisecondsPerDay;
+
+/**
+ * The maximum duration, in milliseconds, of the time window of a single request to the Dexcom alerts endpoint, which
+ * accepts at most 30 days.
+ *
+ * @type {number}
+ */
+const maximumAlertsRequestWindowMilliseconds = 29 * helpers.millisecondsPerDay;
+
+/**
+ * The options used to fetch a date range of any duration, for the options that the caller does not specify.
+ */
+const defaultRangeOptions = {
+  concurrency:         4,
+  allowPartialResults: false,
+};
+
+/**
+ * The target ranges for which getStatistics() computes time in range when the caller does not specify any: a day range
+ * from 07:00 to 20:00, and a night range from 20:00 to 07:00, with bounds in mg/dL.
+ */
+const defaultStatisticsTargetRanges = [
+  {
+    name:      'day',
+    startTime: '07:00:00',
+    endTime:   '20:00:00',
+    egvRanges: [
+      {
+        name: 'urgentLow',
+        bound: 55,
+      },
+      {
+        name: 'low',
+        bound: 70,
+      },
+      {
+        name: 'high',
+        bound: 180,
+      },
+    ]
+  },
+  {
+    name:      'night',
+    startTime: '20:00:00',
+    endTime:   '07:00:00',
+    egvRanges: [
+      {
+        name: 'urgentLow',
+        bound: 55,
+      },
+      {
+        name: 'low',
+        bound: 80,
+      },
+      {
+        name: 'high',
+        bound: 200,
+      },
+    ]
+  },
+];
+
+/**
+ * Describes, for each Dexcom endpoint that accepts a time window, how the records it returns are extracted from its
+ * normalized response (see api-versions.js), identified, and ordered. These descriptions are used to merge the
+ * responses to several time windows. Time windows are split into windows of at most maximumWindowMilliseconds. The
+ * responses of cacheable endpoints, whose records do not change once uploaded, may be cached (see cache.js).
+ */
+const rangeEndpoints = {
+  egvs: {
+    path:                      'egvs',
+    recordsProperty:           'egvs',
+    getRecordKey:              record => record.recordId || record.systemTime,
+    getRecordTime:             record => record.systemTime,
+    maximumWindowMilliseconds: maximumRequestWindowMilliseconds,
+    cacheable:                 true,
+  },
+  events: {
+    path:                      'events',
+    recordsProperty:           'events',
+    getRecordKey:              record => record.recordId || record.eventId ||
+                                 [record.systemTime, record.eventType, record.eventSubType, record.value].join('|'),
+    getRecordTime:             record => record.systemTime,
+    maximumWindowMilliseconds: maximumRequestWindowMilliseconds,
+    cacheable:                 true,
+  },
+  calibrations: {
+    path:                      'calibrations',
+    recordsProperty:           'calibrations',
+    getRecordKey:              record => record.recordId || [record.systemTime, record.value].join('|'),
+    getRecordTime:             record => record.systemTime,
+    maximumWindowMilliseconds: maximumRequestWindowMilliseconds,
+    cacheable:                 true,
+  },
+  devices: {
+    path:                      'devices',
+    recordsProperty:           'devices',
+    getRecordKey:              record =>
+                                 [record.transmitterGeneration, record.displayDevice, record.lastUploadDate].join('|'),
+    getRecordTime:             record => record.lastUploadDate,
+    maximumWindowMilliseconds: maximumRequestWindowMilliseconds,
+  },
+  alerts: {
+    path:                      'alerts',
+    recordsProperty:           'alerts',
+    getRecordKey:              record => record.recordId ||
+                                 [record.systemTime, record.alertName, record.alertState].join('|'),
+    getRecordTime:             record => record.systemTime,
+    maximumWindowMilliseconds: maximumAlertsRequestWindowMilliseconds,
+  },
+};
+
+
 //**************
 //* Public API *
 //**************
 
-const DexcomJS = Object.create({});
+/**
+ * The prototype shared by every DexcomJS client. The functions in this file are defined on it, and access the state of
+ * the client through which they are invoked via `this`.
+ */
+const DexcomClient = Object.create({});
+
+/**
+ * The default client, used by callers that require this package and invoke its functions directly.
+ */
+const DexcomJS = Object.create(DexcomClient);
 module.exports = DexcomJS;
 
 
@@ -36,11 +213,480 @@ DexcomJS.options = {
   apiUri:       'https://sandbox-api.dexcom.com',
 };
 
+/**
+ * The HTTP client through which the default client sends requests to the Dexcom platform.
+ */
+DexcomJS.httpClient = httpClient;
+
+/**
+ * The functions invoked by the default client before and after each HTTP request (see createClient()).
+ */
+DexcomJS.hooks = {};
+
+/**
+ * The policy that governs how the default client retries failed HTTP requests (see createClient()).
+ */
+DexcomJS.retryPolicy = {};
+
+/**
+ * The store that holds the OAuth tokens of the users that the default client accesses by user identifier.
+ */
+DexcomJS.tokenStore = tokenStores.createMemoryTokenStore();
+
+/**
+ * The cache that holds the records already fetched by the default client for the users it accesses by user identifier,
+ * or null if records are not cached (see cache.js).
+ */
+DexcomJS.cache = null;
+
+/**
+ * The OAuth 2.0 state values issued by getAuthorizationUrl() that have not yet been redeemed, mapped to the epoch
+ * time, in milliseconds, at which each of them expires.
+ */
+DexcomJS.authorizationStates = new Map();
+
+/**
+ * The outstanding and recently completed access token refreshes of the default client, keyed by the refresh token
+ * being redeemed (see startTokenRefresh()).
+ */
+DexcomJS.tokenRefreshes = new Map();
+
+
+//*********************
+//* Private Functions *
+//*********************
+
+/**
+ * Removes the expired entries from a client's collection of outstanding OAuth 2.0 state values.
+ */
+function purgeExpiredAuthorizationStates(client) {
+  const now = Date.now();
+  client.authorizationStates.forEach((expiresAt, state) => {
+    if (expiresAt <= now) {
+      client.authorizationStates.delete(state);
+    }
+  });
+}
+
+/**
+ * Verifies that an OAuth 2.0 state value was issued by getAuthorizationUrl(), has not expired and has not already been
+ * redeemed. A state value can be redeemed only once.
+ */
+function consumeAuthorizationState(client, state) {
+  purgeExpiredAuthorizationStates(client);
+
+  errors.assertValid(typeof state === 'string' && state.length, 'state must be provided');
+  errors.assertValid(client.authorizationStates.has(state),
+    'state must match an unexpired value issued by getAuthorizationUrl()');
+  client.authorizationStates.delete(state);
+}
+
+/**
+ * Runs a step that persists refreshed OAuth tokens, such as saving them to the token store. A failure is passed to the
+ * onTokenPersistenceFailed hook of the client, or else emitted as a process warning, instead of being thrown.
+ */
+async function persistRefreshedTokens(client, persist, refreshedOauthTokens, userId) {
+  try {
+    await persist();
+  }
+  catch (error) {
+    if (!client.hooks.onTokenPersistenceFailed) {
+      process.emitWarning(`the refreshed OAuth tokens could not be persisted: ${error.message}`, 'DexcomWarning');
+      return;
+    }
+    try {
+      await client.hooks.onTokenPersistenceFailed(error, refreshedOauthTokens, userId);
+    }
+    catch (hookError) {
+      process.emitWarning(`the refreshed OAuth tokens could not be persisted: ${hookError.message}`, 'DexcomWarning');
+    }
+  }
+}
+
+/**
+ * Stores an entry in the cache of the client. A failure is passed to the onCacheWriteFailed hook of the client, or else
+ * emitted as a process warning, instead of being thrown, since the records were fetched all the same.
+ */
+async function storeCacheEntry(client, userId, recordType, entry) {
+  try {
+    await client.cache.put(userId, recordType, entry);
+  }
+  catch (error) {
+    if (!client.hooks.onCacheWriteFailed) {
+      process.emitWarning(`the fetched records could not be cached: ${error.message}`, 'DexcomWarning');
+      return;
+    }
+    try {
+      await client.hooks.onCacheWriteFailed(error, userId, recordType);
+    }
+    catch (hookError) {
+      process.emitWarning(`the fetched records could not be cached: ${hookError.message}`, 'DexcomWarning');
+    }
+  }
+}
+
+/**
+ * Starts refreshing the access token of an oauthTokens object, and registers the refresh with the client so that
+ * concurrent requests for the same refresh token share it instead of starting refreshes of their own. Dexcom rotates
+ * refresh tokens, so a second refresh with the same refresh token would fail, or invalidate the tokens issued by the
+ * first one.
+ *
+ * A completed refresh remains registered for a short while, so that requests that read the previous tokens from a
+ * token store just before the refreshed tokens were saved still obtain the refreshed tokens.
+ *
+ * @returns an object of the following format:
+ * {
+ *   userId: the identifier of the user whose tokens are refreshed, or null,
+ *   promise: a Promise that wraps the refreshed oauthTokens object
+ * }
+ */
+function startTokenRefresh(client, oauthTokens, userId) {
+  const refreshToken = oauthTokens.dexcomOAuthToken.refresh_token;
+
+  async function refresh() {
+    let refreshedOauthTokens = null;
+    try {
+      refreshedOauthTokens = await helpers.refreshAccessToken(client.options, oauthTokens, true, client);
+    }
+    catch (error) {
+      client.tokenRefreshes.delete(refreshToken);
+      throw error;
+    }
+
+    // Dexcom has already rotated the refresh token, so the refreshed tokens are the only valid ones: a failure to
+    // persist them is reported on its own, and never rejects the requests that wait for them.
+    if (userId !== null) {
+      await persistRefreshedTokens(client, () => client.tokenStore.set(userId, refreshedOauthTokens),
+        refreshedOauthTokens, userId);
+    }
+    if (client.hooks.onTokensRefreshed) {
+      await persistRefreshedTokens(client,
+        () => client.hooks.onTokensRefreshed(refreshedOauthTokens, oauthTokens, userId), refreshedOauthTokens, userId);
+    }
+
+    setTimeout(() => client.tokenRefreshes.delete(refreshToken), completedTokenRefreshRetentionMilliseconds).unref();
+    return refreshedOauthTokens;
+  }
+
+  const tokenRefresh = {
+    userId:  userId,
+    promise: refresh(),
+  };
+  client.tokenRefreshes.set(refreshToken, tokenRefresh);
+  return tokenRefresh;
+}
+
+/**
+ * Obtains the OAuth tokens with which a client accesses a user's data, refreshing the access token if it has expired
+ * or is about to expire.
+ *
+ * @param client
+ * The client through which the user's data is accessed.
+ *
+ * @param oauthTokensOrUserId
+ * Either an oauthTokens object, or a string that identifies a user whose tokens are held by the client's token store.
+ * In the latter case, refreshed tokens are saved to the token store before this function returns.
+ *
+ * @returns a Promise that wraps an object of the following format:
+ * {
+ *   oauthTokens: {<the possibly refreshed oauthTokens object>},
+ *   refreshed: true if the access token was refreshed, false otherwise
+ * }
+ */
+async function authorize(client, oauthTokensOrUserId) {
+  let oauthTokens = oauthTokensOrUserId;
+  let userId      = null;
+
+  if (typeof oauthTokensOrUserId === 'string') {
+    userId = oauthTokensOrUserId;
+    helpers.validateUserId(userId);
+
+    oauthTokens = await client.tokenStore.get(userId);
+    if (!oauthTokens) {
+      throw new errors.DexcomAuthError(`the token store must contain OAuth tokens for user ${userId}`);
+    }
+  }
+  helpers.validateOAuthTokens(oauthTokens);
+
+  const tokenRefresh = client.tokenRefreshes.get(oauthTokens.dexcomOAuthToken.refresh_token);
+  if (!tokenRefresh && !helpers.isAccessTokenExpired(oauthTokens)) {
+    return {
+      oauthTokens: oauthTokens,
+      refreshed:   false,
+    };
+  }
+
+  const sharedTokenRefresh   = tokenRefresh || startTokenRefresh(client, oauthTokens, userId);
+  const refreshedOauthTokens = await sharedTokenRefresh.promise;
+
+  // The refresh saved its tokens for the user that started it; a request made on behalf of another identifier for the
+  // same tokens saves them too.
+  if (userId !== null && userId !== sharedTokenRefresh.userId) {
+    await persistRefreshedTokens(client, () => client.tokenStore.set(userId, refreshedOauthTokens),
+      refreshedOauthTokens, userId);
+  }
+  return {
+    oauthTokens: refreshedOauthTokens,
+    refreshed:   true,
+  };
+}
+/**
+ * Converts the glucose values of a normalized Dexcom response (see api-versions.js) to the unit requested by the
+ * caller, or else to the glucoseUnit option of the client. The response is returned unchanged when no unit is set.
+ *
+ * @param client
+ * The client through which the response was obtained.
+ *
+ * @param endpointPath
+ * The path of the endpoint that returned the response: 'egvs', 'events', 'calibrations', 'devices' or 'statistics'.
+ *
+ * @param data
+ * The normalized response.
+ *
+ * @param requestedUnit
+ * The unit requested by the caller, either 'mg/dL' or 'mmol/L'. Optional.
+ *
+ * @returns the converted response.
+ */
+function convertToGlucoseUnit(client, endpointPath, data, requestedUnit) {
+  const unit = requestedUnit || client.options.glucoseUnit;
+  if (!unit) {
+    return data;
+  }
+
+  switch (endpointPath) {
+    case 'egvs':
+      return units.convertEgvPayload(data, unit);
+    case 'statistics':
+      return units.convertStatistics(data, unit);
+    case 'devices':
+      return units.convertDevicePayload(data, unit);
+    default:
+      return units.convertUnitRecordPayload(data, endpointPath, unit);
+  }
+}
+
+/**
+ * Gets the records of a Dexcom endpoint for a time window of any duration, by splitting the time window into windows
+ * that Dexcom accepts, requesting a bounded number of them at a time, and merging the records of all the responses.
+ * When the client has a cache, the endpoint is cacheable and the user is passed by identifier, the parts of the time
+ * window held by the cache are served from it, only the other parts are requested, and the responses are cached (see
+ * cache.js).
+ *
+ * @param client
+ * The client through which the user's data is accessed.
+ *
+ * @param oauthTokens
+ * Either an oauthTokens object, or a string that identifies a user whose tokens are held by the client's token store.
+ *
+ * @param startTime
+ * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window.
+ *
+ * @param endTime
+ * A number that represents the UTC epoch time, in milliseconds, of the end of the time window.
+ *
+ * @param endpoint
+ * One of the values of rangeEndpoints.
+ *
+ * @param rangeOptions
+ * An optional object of the following format, all properties being optional:
+ * {
+ *   concurrency: the maximum number of concurrent requests (defaults to 4),
+ *   retries: the number of times a failed request is sent again before its window is considered failed, when the
+ *            failure may be temporary (defaults to the maxAttempts of the client's retry policy, less one),
+ *   allowPartialResults: if true, failed windows are reported instead of failing the whole time window (defaults to
+ *                        false)
+ * }
+ *
+ * @returns a Promise that wraps an object of the following format:
+ * {
+ *   authorization: {<the object returned by authorize()>, whose oauthTokens are null if nothing was requested>},
+ *   responses: [<the axios response for each successfully fetched window, in chronological order, with its data
+ *               normalized by api-versions.js; the responses served by the cache have a cached property set to true>],
+ *   records: [<the merged records, newest first, without the duplicates returned for adjacent windows>],
+ *   failedWindows: [{startTime, endTime, error}, ...] if allowPartialResults is true, null otherwise
+ * }
+ */
+async function fetchAnyDateRange(client, oauthTokens, startTime, endTime, endpoint, rangeOptions) {
+  helpers.validateOptions(client.options);
+  apiVersions.validateEndpoint(client.options, endpoint.path);
+  helpers.validateTimeWindow(startTime, endTime);
+  if (rangeOptions !== undefined) {
+    helpers.validateRangeOptions(rangeOptions);
+  }
+  const settings = Object.assign({}, defaultRangeOptions, rangeOptions);
+
+  // The windows already fetched for a user are served by the client's cache, if any; only the remaining gaps are
+  // requested from Dexcom.
+  const userId        = (client.cache && endpoint.cacheable && typeof oauthTokens === 'string') ? oauthTokens : null;
+  if (userId !== null) {
+    helpers.validateUserId(userId);
+  }
+  const cachedEntries = (userId === null) ? [] : (await client.cache.get(userId, endpoint.path))
+    .filter(entry => entry.startTime <= endTime && entry.endTime >= startTime);
+  const windows       = _.flatMap(caches.findUncoveredWindows(startTime, endTime, cachedEntries),
+    gap => helpers.splitTimeWindow(gap.startTime, gap.endTime, endpoint.maximumWindowMilliseconds));
+
+  const authorization = (windows.length === 0) ?
+    {oauthTokens: null, refreshed: false} :
+    await authorize(client, oauthTokens);
+  const accessToken   = authorization.oauthTokens && authorization.oauthTokens.dexcomOAuthToken.access_token;
+
+  // Windows are retried by sendRequest() alone, and only when that may help, so that the attempts of a window are
+  // neither multiplied nor spent on errors that cannot go away; the retries option overrides the client's retry policy.
+  const transport     = (settings.retries === undefined) ? client : {
+    httpClient:  client.httpClient,
+    hooks:       client.hooks,
+    retryPolicy: Object.assign({}, client.retryPolicy, {maxAttempts: settings.retries + 1}),
+  };
+
+  async function fetchWindow(window) {
+    const startDateString = helpers.dexcomifyEpochTime(window.startTime);
+    const endDateString   = helpers.dexcomifyEpochTime(window.endTime);
+    const parameters      = { startDate: startDateString, endDate: endDateString };
+    const httpConfig      = { headers: {Authorization:  `Bearer ${accessToken}`}, params: parameters };
+
+    const response = await helpers.sendRequest(transport, Object.assign({
+      method: 'get',
+      url:    apiVersions.buildUserEndpointUrl(client.options, endpoint.path),
+    }, httpConfig));
+    return Object.assign({}, response, {
+      data: apiVersions.normalizeResponse(client.options, endpoint.path, response.data),
+    });
+  }
+
+  const outcomes = await helpers.mapWithConcurrency(windows, settings.concurrency, async window => {
+    if (!settings.allowPartialResults) {
+      return {window: window, response: await fetchWindow(window)};
+    }
+    try {
+      return {window: window, response: await fetchWindow(window)};
+    }
+    catch (error) {
+      return {window: window, error: error};
+    }
+  });
+
+  if (userId !== null) {
+    const now = Date.now();
+    for (const outcome of outcomes.filter(outcome => outcome.response)) {
+      const entry = caches.createCacheEntry(outcome.window, outcome.response.data, endpoint, now);
+      if (entry) {
+        await storeCacheEntry(client, userId, endpoint.path, entry);
+      }
+    }
+  }
+
+  const cachedOutcomes = cachedEntries.map(entry => ({
+    window:   {startTime: entry.startTime, endTime: entry.endTime},
+    response: {status: 200, headers: {}, data: caches.restrictToWindow(entry.data, endpoint, startTime, endTime),
+      cached: true},
+  }));
+  const responses = cachedOutcomes.concat(outcomes)
+    .filter(outcome => outcome.response)
+    .sort((outcome1, outcome2) => outcome1.window.startTime - outcome2.window.startTime)
+    .map(outcome => outcome.response);
+  const records   = helpers.mergeRecords(
+    responses.map(response => response.data[endpoint.recordsProperty]),
+    endpoint.getRecordKey,
+    endpoint.getRecordTime);
+
+  return {
+    authorization: authorization,
+    responses:     responses,
+    records:       records,
+    failedWindows: !settings.allowPartialResults ? null : outcomes
+      .filter(outcome => outcome.error)
+      .map(outcome => ({startTime: outcome.window.startTime, endTime: outcome.window.endTime, error: outcome.error})),
+  };
+}
 
 //********************
 //* Public Functions *
 //********************
 
+/**
+ * Creates a client with its own options, HTTP client and hooks, so that a process may access several Dexcom
+ * applications, or both the sandbox and production platforms, at once. A client exposes the same functions as this
+ * package, with the exception of createClient().
+ *
+ * @param options
+ * An object that conforms to the format accepted by setOptions().
+ *
+ * @param settings
+ * An optional object of the following format:
+ * {
+ *   httpClient: an axios instance through which the client sends its requests (defaults to a new axios instance),
+ *   hooks: {
+ *     onRequest: function(requestConfig), invoked before each HTTP request (optional),
+ *     onResponse: function(response, requestConfig), invoked after each successful HTTP request (optional),
+ *     onRetry: function(error, attempt, delayMilliseconds, requestConfig), invoked before a failed HTTP request is
+ *              sent again (optional),
+ *     onTokensRefreshed: function(refreshedOauthTokens, previousOauthTokens, userId), invoked once each time an
+ *                        access token is refreshed, userId being null when the tokens were not passed by user
+ *                        identifier (optional),
+ *     onTokenPersistenceFailed: function(error, refreshedOauthTokens, userId), invoked when refreshed tokens could not
+ *                               be saved to the token store, or when onTokensRefreshed failed; the request still
+ *                               obtains the refreshed tokens (optional, defaults to emitting a process warning),
+ *     onCacheWriteFailed: function(error, userId, recordType), invoked when fetched records could not be saved to the
+ *                         cache; the request still returns them (optional, defaults to emitting a process warning)
+ *   },
+ *   tokenStore: the store that holds the OAuth tokens of the users accessed by user identifier (defaults to a new
+ *               in-memory token store),
+ *   cache: the cache that holds the estimated glucose values, events and calibrations already fetched for the users
+ *          accessed by user identifier (defaults to none, see cache.js),
+ *   retryPolicy: {
+ *     maxAttempts: the maximum number of times a request is sent, including the first time (defaults to 3),
+ *     baseDelayMilliseconds: the delay before the first retry, doubled before each subsequent retry (defaults to 500),
+ *     maxDelayMilliseconds: the longest delay before a retry (defaults to 30000),
+ *     jitter: whether delays are randomized between half and all of their nominal value (defaults to true)
+ *   }
+ * }
+ * Requests are retried only when they are rate limited (429), when the server fails (5xx), or when the connection
+ * fails; a Retry-After header sets the delay before the next attempt. The error of a request that fails for good has
+ * an attempts property holding the number of times the request was sent.
+ * Hooks may be asynchronous; the request waits for them to complete.
+ *
+ * @returns a new client.
+ */
+function createClient(options, settings) {
+  helpers.validateOptions(options);
+
+  const clientSettings = settings || {};
+  if (clientSettings.tokenStore) {
+    helpers.validateTokenStore(clientSettings.tokenStore);
+  }
+  if (clientSettings.retryPolicy) {
+    helpers.validateRetryPolicy(clientSettings.retryPolicy);
+  }
+  if (clientSettings.cache) {
+    helpers.validateCache(clientSettings.cache);
+  }
+
+  const client               = Object.create(DexcomClient);
+  client.options             = options;
+  client.httpClient          = clientSettings.httpClient || httpClient.create();
+  client.hooks               = Object.assign({}, clientSettings.hooks);
+  client.tokenStore          = clientSettings.tokenStore || tokenStores.createMemoryTokenStore();
+  client.retryPolicy         = Object.assign({}, clientSettings.retryPolicy);
+  client.cache               = clientSettings.cache || null;
+  client.authorizationStates = new Map();
+  client.tokenRefreshes      = new Map();
+  return client;
+}
+
+DexcomJS.createClient           = createClient;
+DexcomJS.createMemoryTokenStore = tokenStores.createMemoryTokenStore;
+DexcomJS.createFileTokenStore   = tokenStores.createFileTokenStore;
+DexcomJS.createMemoryCache      = caches.createMemoryCache;
+DexcomJS.createFileCache        = caches.createFileCache;
+DexcomJS.DexcomError            = errors.DexcomError;
+DexcomJS.DexcomValidationError  = errors.DexcomValidationError;
+DexcomJS.DexcomApiError         = errors.DexcomApiError;
+DexcomJS.DexcomAuthError        = errors.DexcomAuthError;
+DexcomJS.DexcomRateLimitError   = errors.DexcomRateLimitError;
+DexcomJS.NightscoutError        = errors.NightscoutError;
+
 /**
  * Sets this package's options for accessing the Dexcom platform API.
  *
@@ -50,14 +696,48 @@ DexcomJS.options = {
  *   clientId: string,
  *   clientSecret: string,
  *   redirectUri: string,
- *   apiUri: string
+ *   apiUri: string,
+ *   apiVersion: 'v2' or 'v3', the version of the Dexcom API to use (optional, defaults to 'v2'),
+ *   glucoseUnit: 'mg/dL' or 'mmol/L', the unit to which glucose values are converted (optional, defaults to the unit
+ *                reported by Dexcom),
+ *   consentUri: string, the consent endpoint used by getSandboxAuthenticationToken() (optional, defaults to the one of
+ *               the Dexcom developer portal; see mock-server.js)
  * }
+ * Responses are normalized to the same shape whichever version of the Dexcom API is used (see api-versions.js). When
+ * glucoseUnit is set, the estimated glucose values and their trend rates, the calibrations, the blood glucose events
+ * and the statistics returned by every function are converted to that unit (see units.js).
  */
-DexcomJS.setOptions = function(newOptions) {
+DexcomClient.setOptions = function(newOptions) {
   helpers.validateOptions(newOptions);
   this.options = newOptions;
 };
 
+/**
+ * Sets the store that holds the OAuth tokens of the users whose data is accessed by user identifier.
+ *
+ * @param newTokenStore
+ * An object that implements the token store interface described in token-store.js, such as the stores returned by
+ * createMemoryTokenStore() and createFileTokenStore().
+ */
+DexcomClient.setTokenStore = function(newTokenStore) {
+  helpers.validateTokenStore(newTokenStore);
+  this.tokenStore = newTokenStore;
+};
+
+/**
+ * Sets the cache that holds the records already fetched for the users whose data is accessed by user identifier.
+ *
+ * @param newCache
+ * An object that implements the cache interface described in cache.js, such as the caches returned by
+ * createMemoryCache() and createFileCache(), or null to stop caching records.
+ */
+DexcomClient.setCache = function(newCache) {
+  if (newCache !== null) {
+    helpers.validateCache(newCache);
+  }
+  this.cache = newCache;
+};
+
 /**
  * Obtains a Dexcom OAuth 2.0 access token for the Dexcom "sandbox" data.
  *
@@ -85,7 +765,7 @@ DexcomJS.setOptions = function(newOptions) {
  *    Downstream users may use the timestamp and the expires_in values to determine if the Dexcom access token has
  *    expired and must be refreshed.
  */
-DexcomJS.getSandboxAuthenticationToken = async function(user) {
+DexcomClient.getSandboxAuthenticationToken = async function(user) {
   helpers.validateOptions(this.options);
   helpers.validateSandboxAuthcode(user);
 
@@ -113,7 +793,11 @@ DexcomJS.getSandboxAuthenticationToken = async function(user) {
     ]
   };
   //console.log(form);
-  const result = await httpClient.post('https://developer-portal-dot-g5-dexcom-prod-us-5.appspot.com/consent', form);
+  const result = await helpers.sendRequest(this, {
+    method: 'post',
+    url:    this.options.consentUri || defaultSandboxConsentUri,
+    data:   form,
+  });
   //console.log(result);
   //console.log(result.status);
   //console.log(result.data);
@@ -132,7 +816,11 @@ DexcomJS.getSandboxAuthenticationToken = async function(user) {
 		}
   };
 
-  const authResult = await httpClient.post('https://sandbox-api.dexcom.com/v2/oauth2/token', urlEncodedForm);
+  const authResult = await helpers.sendRequest(helpers.toSingleAttemptTransport(this), {
+    method: 'post',
+    url:    `${this.options.apiUri}/v2/oauth2/token`,
+    data:   urlEncodedForm,
+  });
 
   //console.log(authResult);
   //console.log(authResult.data);
@@ -143,6 +831,88 @@ DexcomJS.getSandboxAuthenticationToken = async function(user) {
   };
 }
 
+/**
+ * Builds the URL of the Dexcom login page to which a user must be sent in order to grant this application access to
+ * their data. After the user logs in, Dexcom redirects the user's browser to options.redirectUri with `code` and
+ * `state` query parameters, which are then passed to exchangeAuthorizationCode().
+ *
+ * @see https://developer.dexcom.com/authentication
+ *
+ * @param scopes
+ * An optional array of OAuth 2.0 scopes. Defaults to ['offline_access'], which is required in order for Dexcom to
+ * issue a refresh token.
+ *
+ * @returns an Object of the following format:
+ * {
+ *   "url": "the Dexcom login URL",
+ *   "state": "the state value embedded in the URL"
+ * }
+ *
+ * Notes:
+ *
+ * 1. The state value protects the redirect URI against cross-site request forgery. It is remembered by this package
+ *    and may be redeemed once, within ten minutes. Callers may additionally bind it to the user's session.
+ * 2. Outstanding state values are held in memory, so the login and the code exchange must be handled by the same
+ *    process.
+ */
+DexcomClient.getAuthorizationUrl = function(scopes) {
+  helpers.validateOptions(this.options);
+
+  const requestedScopes = scopes || defaultAuthorizationScopes;
+  helpers.validateOAuthScopes(requestedScopes);
+
+  purgeExpiredAuthorizationStates(this);
+  const state = helpers.createOAuthState();
+  this.authorizationStates.set(state, Date.now() + authorizationStateTimeToLiveMilliseconds);
+
+  return {
+    url:   helpers.buildAuthorizationUrl(this.options, requestedScopes, state),
+    state: state,
+  };
+};
+
+/**
+ * Exchanges the authorization code that Dexcom passed to the redirect URI for a Dexcom OAuth 2.0 access token.
+ *
+ * @see https://developer.dexcom.com/authentication
+ *
+ * @param code
+ * The value of the `code` query parameter that Dexcom passed to the redirect URI.
+ *
+ * @param state
+ * The value of the `state` query parameter that Dexcom passed to the redirect URI. It must match a state value issued
+ * by getAuthorizationUrl() that has neither expired nor already been redeemed.
+ *
+ * @param userId
+ * An optional string that identifies the user. If provided, the tokens are saved to the client's token store, after
+ * which the user's data may be accessed by passing the user identifier instead of the tokens.
+ *
+ * @returns a Promise that wraps an Object of the following format:
+ * {
+ *   "timestamp": epochMilliseconds,
+ *   "dexcomOAuthToken": {
+ *     "access_token": "your access token",
+ *     "expires_in": timeToLiveInSeconds,
+ *     "token_type": "Bearer",
+ *     "refresh_token": "your refresh token"
+ *   }
+ * }
+ */
+DexcomClient.exchangeAuthorizationCode = async function(code, state, userId) {
+  helpers.validateOptions(this.options);
+  helpers.validateAuthorizationCode(code);
+  if (userId !== undefined) {
+    helpers.validateUserId(userId);
+  }
+  consumeAuthorizationState(this, state);
+
+  const oauthTokens = await helpers.exchangeAuthorizationCode(this.options, code, this);
+  if (userId !== undefined) {
+    await this.tokenStore.set(userId, oauthTokens);
+  }
+  return oauthTokens;
+};
+
 /**
  * @brief Gets the Dexcom estimated glucose values for a particular date range.
  *
@@ -157,6 +927,7 @@ DexcomJS.getSandboxAuthenticationToken = async function(user) {
  *     "refresh_token": "your refresh token"
  *   }
  * }
+ * Alternatively, a string that identifies a user whose OAuth tokens are held by the client's token store.
  *
  * @param startTime
  * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window for which to
@@ -180,81 +951,379 @@ DexcomJS.getSandboxAuthenticationToken = async function(user) {
  *   }
  * }
  *
- * Note that the oauthTokens property will exist only if the access token was refreshed.
+ * Note that the oauthTokens property will exist only if the access token was refreshed. When the oauthTokens argument
+ * is a user identifier, the refreshed tokens have already been saved to the client's token store.
  *
  * @see https://developer.dexcom.com/get-egvs
  */
-DexcomJS.getEstimatedGlucoseValues = async function(oauthTokens, startTime, endTime) {
+DexcomClient.getEstimatedGlucoseValues = async function(oauthTokens, startTime, endTime) {
   helpers.validateOptions(this.options);
-  helpers.validateOAuthTokens(oauthTokens);
   helpers.validateTimeWindow(startTime, endTime);
+  if (this.cache && typeof oauthTokens === 'string') {
+    // The windows already fetched for the user are served by the cache, which the date range function consults.
+    return this.getEstimatedGlucoseValuesAnyDateRange(oauthTokens, startTime, endTime);
+  }
 
-  const possiblyRefreshedOauthTokens = await helpers.refreshAccessToken(this.options, oauthTokens, false);
+  const authorization                = await authorize(this, oauthTokens);
+  const possiblyRefreshedOauthTokens = authorization.oauthTokens;
   const startDateString              = helpers.dexcomifyEpochTime(startTime);
   const endDateString                = helpers.dexcomifyEpochTime(endTime);
   const parameters                   = { startDate: startDateString, endDate: endDateString };
   const httpConfig                   = { headers: {Authorization:  `Bearer ${possiblyRefreshedOauthTokens.dexcomOAuthToken.access_token}`}, params: parameters };
 
-  const result = await httpClient.get(`${this.options.apiUri}/v2/users/self/egvs`, httpConfig);
+  const result = await helpers.sendRequest(this, Object.assign({
+    method: 'get',
+    url:    apiVersions.buildUserEndpointUrl(this.options, 'egvs'),
+  }, httpConfig));
 
-  const returnValue = {estimatedGlucoseValues: result.data};
-  if (possiblyRefreshedOauthTokens !== oauthTokens) {
+  const returnValue = {
+    estimatedGlucoseValues: convertToGlucoseUnit(this, 'egvs',
+      apiVersions.normalizeResponse(this.options, 'egvs', result.data)),
+  };
+  if (authorization.refreshed) {
     returnValue['oauthTokens'] = possiblyRefreshedOauthTokens;
   }
   return returnValue;
 };
 
+/**
+ * @brief Gets the Dexcom estimated glucose values for a date range of any duration. Dexcom limits each request to 90
+ * days, so longer date ranges are split into several requests, whose results are merged.
+ *
+ * @param oauthTokens
+ * The same as for getEstimatedGlucoseValues().
+ *
+ * @param startTime
+ * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window for which to
+ * acquire estimated glucose values.
+ *
+ * @param endTime
+ * A number that represents the UTC epoch time, in milliseconds, of the end of the time window for which to
+ * acquire estimated glucose values.
+ *
+ * @param rangeOptions
+ * An optional object of the following format, all properties being optional:
+ * {
+ *   concurrency: the maximum number of concurrent requests (defaults to 4),
+ *   retries: the number of times a failed request is sent again before it is considered failed (defaults to the
+ *            maxAttempts of the client's retry policy, less one),
+ *   allowPartialResults: if true, the time windows whose requests failed are listed in the failedWindows property of
+ *                        the result, instead of the whole call being rejected (defaults to false),
+ *   unit: 'mg/dL' or 'mmol/L', the unit to which glucose values are converted (optional, defaults to the glucoseUnit
+ *         option of the client)
+ * }
+ * The unit option applies to estimated glucose values, calibrations and blood glucose events.
+ *
+ * @returns a Promise that wraps an object of the same format as the one returned by getEstimatedGlucoseValues(). The
+ * unit and rateUnit properties are those reported by Dexcom, or the requested unit; if Dexcom reports different units
+ * for different requests and no unit was requested, the Promise is rejected. The estimated glucose values are ordered
+ * newest first, as Dexcom returns them, and values that fall on the boundary of two requests are returned only once.
+ * If rangeOptions.allowPartialResults is true, the object also contains a failedWindows property, an array of
+ * {startTime, endTime, error} objects that describe the time windows that could not be fetched.
+ *
+ * @see https://developer.dexcom.com/get-egvs
+ */
+DexcomClient.getEstimatedGlucoseValuesAnyDateRange = async function(oauthTokens, startTime, endTime, rangeOptions) {
+  const endpoint   = rangeEndpoints.egvs;
+  const fetched    = await fetchAnyDateRange(this, oauthTokens, startTime, endTime, endpoint, rangeOptions);
+  const reconciled = units.reconcileEgvPayloads(
+    fetched.responses.map(response => response.data),
+    (rangeOptions && rangeOptions.unit) || this.options.glucoseUnit);
+
+  const returnValue = {
+    estimatedGlucoseValues: {
+      unit:     reconciled.unit,
+      rateUnit: reconciled.rateUnit,
+      egvs:     helpers.mergeRecords(
+        reconciled.payloads.map(payload => payload.egvs),
+        endpoint.getRecordKey,
+        endpoint.getRecordTime),
+    }
+  };
+  if (fetched.failedWindows) {
+    returnValue['failedWindows'] = fetched.failedWindows;
+  }
+  if (fetched.authorization.refreshed) {
+    returnValue['oauthTokens'] = fetched.authorization.oauthTokens;
+  }
+  return returnValue;
+};
 
-DexcomJS.getEstimatedGlucoseValuesAnyDateRange  = async function(oauthTokens, startTime, endTime) {
+/*
+ * @brief Gets the Dexcom user-specified events for a particular date range.
+ *
+ * @param oauthTokens
+ * An object that conforms to the following format:
+ * {
+ *   "timestamp": epochMilliseconds,
+ *   "dexcomOAuthToken": {
+ *     "access_token": "your access token",
+ *     "expires_in": timeToLiveInSeconds,
+ *     "token_type": "Bearer",
+ *     "refresh_token": "your refresh token"
+ *   }
+ * }
+ * Alternatively, a string that identifies a user whose OAuth tokens are held by the client's token store.
+ *
+ * @param startTime
+ * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window for which to
+ * acquire user-specified events.
+ *
+ * @param endTime
+ * A number that represents the UTC epoch time, in milliseconds, of the end of the time window for which to
+ * acquire user-specified events.
+ *
+ * @returns a Promise that wraps an object of the following format:
+ * {
+ *   events: {<object returned by Dexcom API>},
+ *   oauthTokens: {
+ *     "timestamp": epochMilliseconds,
+ *     "dexcomOAuthToken": {
+ *       "access_token": "your access token",
+ *       "expires_in": timeToLiveInSeconds,
+ *       "token_type": "Bearer",
+ *       "refresh_token": "your refresh token"
+ *     }
+ *   }
+ * }
+ *
+ * Note that the oauthTokens property will exist only if the access token was refreshed. When the oauthTokens argument
+ * is a user identifier, the refreshed tokens have already been saved to the client's token store.
+ *
+ * @see https://developer.dexcom.com/get-events
+ */
+DexcomClient.getEvents = async function(oauthTokens, startTime, endTime) {
   helpers.validateOptions(this.options);
-  helpers.validateOAuthTokens(oauthTokens);
   helpers.validateTimeWindow(startTime, endTime);
+  if (this.cache && typeof oauthTokens === 'string') {
+    // The windows already fetched for the user are served by the cache, which the date range function consults.
+    return this.getEventsAnyDateRange(oauthTokens, startTime, endTime);
+  }
 
-  const possiblyRefreshedOauthTokens = await helpers.refreshAccessToken(this.options, oauthTokens, false);
-
-  //
-  // split the data range up into 89 day ranges (90 is the max, we're skirting around rounding issues by going one less than that)
-  //
-  const maxTimeRangeMilliSec = 89 * 86400 * 1000;
-  let timeIndex = startTime;
-  const times = [];
-  while (timeIndex <= endTime) {
-    let endTimeWindow = timeIndex + maxTimeRangeMilliSec;
-    endTimeWindow = endTimeWindow <= endTime? endTimeWindow : endTime;
-    times.push({
-      startTime: timeIndex,
-      endTime: endTimeWindow,
-    });
-    timeIndex = timeIndex + maxTimeRangeMilliSec;
-  }
-  const requests = times.map(el => {
-    const startDateString              = helpers.dexcomifyEpochTime(el.startTime);
-    const endDateString                = helpers.dexcomifyEpochTime(el.endTime);
-    const parameters                   = { startDate: startDateString, endDate: endDateString };
-    const httpConfig                   = { headers: {Authorization:  `Bearer ${possiblyRefreshedOauthTokens.dexcomOAuthToken.access_token}`}, params: parameters };
-    return httpClient.get(`${this.options.apiUri}/v2/users/self/egvs`, httpConfig);
-  });
-  const results = await Promise.all(requests);
-  const combinedEgvs = results.reduce((a, el)  => {
-    // @see https://stackoverflow.com/questions/10865025/merge-flatten-an-array-of-arrays
-    return a.concat(el.data.egvs);
-  }, []);
+  const authorization                = await authorize(this, oauthTokens);
+  const possiblyRefreshedOauthTokens = authorization.oauthTokens;
+  const startDateString              = helpers.dexcomifyEpochTime(startTime);
+  const endDateString                = helpers.dexcomifyEpochTime(endTime);
+  const parameters                   = { startDate: startDateString, endDate: endDateString };
+  const httpConfig                   = { headers: {Authorization:  `Bearer ${possiblyRefreshedOauthTokens.dexcomOAuthToken.access_token}`}, params: parameters };
+
+  const result = await helpers.sendRequest(this, Object.assign({
+    method: 'get',
+    url:    apiVersions.buildUserEndpointUrl(this.options, 'events'),
+  }, httpConfig));
+
+  const returnValue = {
+    events: convertToGlucoseUnit(this, 'events', apiVersions.normalizeResponse(this.options, 'events', result.data)),
+  };
+  if (authorization.refreshed) {
+    returnValue['oauthTokens'] = possiblyRefreshedOauthTokens;
+  }
+  return returnValue;
+};
+
+/**
+ * @brief Gets the Dexcom user-specified events for a date range of any duration. Dexcom limits each request to 90
+ * days, so longer date ranges are split into several requests, whose results are merged.
+ *
+ * @param oauthTokens
+ * The same as for getEvents().
+ *
+ * @param startTime
+ * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window.
+ *
+ * @param endTime
+ * A number that represents the UTC epoch time, in milliseconds, of the end of the time window.
+ *
+ * @param rangeOptions
+ * The same as for getEstimatedGlucoseValuesAnyDateRange().
+ *
+ * @returns a Promise that wraps an object of the same format as the one returned by getEvents(). The records are
+ * ordered newest first, and records that were returned for two adjacent requests are returned only once. See
+ * getEstimatedGlucoseValuesAnyDateRange() for the failedWindows property.
+ */
+DexcomClient.getEventsAnyDateRange = async function(oauthTokens, startTime, endTime, rangeOptions) {
+  const endpoint = rangeEndpoints.events;
+  const fetched  = await fetchAnyDateRange(this, oauthTokens, startTime, endTime, endpoint, rangeOptions);
+
+  const returnValue = {
+    events: convertToGlucoseUnit(this, 'events', {events: fetched.records}, rangeOptions && rangeOptions.unit),
+  };
+  if (fetched.failedWindows) {
+    returnValue['failedWindows'] = fetched.failedWindows;
+  }
+  if (fetched.authorization.refreshed) {
+    returnValue['oauthTokens'] = fetched.authorization.oauthTokens;
+  }
+  return returnValue;
+};
+
+/**
+ * @brief Gets a Dexcom user's earliest and latest times for calibration, EGV, and event records.
+ *
+ * @param oauthTokens
+ * An object that conforms to the following format:
+ * {
+ *   "timestamp": epochMilliseconds,
+ *   "dexcomOAuthToken": {
+ *     "access_token": "your access token",
+ *     "expires_in": timeToLiveInSeconds,
+ *     "token_type": "Bearer",
+ *     "refresh_token": "your refresh token"
+ *   }
+ * }
+ * Alternatively, a string that identifies a user whose OAuth tokens are held by the client's token store.
+ *
+ * @returns a Promise that wraps an object of the following format:
+ * {
+ *   dataRange: {<object returned by Dexcom API>},
+ *   oauthTokens: {
+ *     "timestamp": epochMilliseconds,
+ *     "dexcomOAuthToken": {
+ *       "access_token": "your access token",
+ *       "expires_in": timeToLiveInSeconds,
+ *       "token_type": "Bearer",
+ *       "refresh_token": "your refresh token"
+ *     }
+ *   }
+ * }
+ *
+ * Note that the oauthTokens property will exist only if the access token was refreshed. When the oauthTokens argument
+ * is a user identifier, the refreshed tokens have already been saved to the client's token store.
+ *
+ * @see https://developer.dexcom.com/get-datarange
+ */
+DexcomClient.getDataRange = async function(oauthTokens) {
+  helpers.validateOptions(this.options);
+
+  const authorization                = await authorize(this, oauthTokens);
+  const possiblyRefreshedOauthTokens = authorization.oauthTokens;
+  const httpConfig                   = { headers: {Authorization:  `Bearer ${possiblyRefreshedOauthTokens.dexcomOAuthToken.access_token}`}};
+
+  const result = await helpers.sendRequest(this, Object.assign({
+    method: 'get',
+    url:    apiVersions.buildUserEndpointUrl(this.options, 'dataRange'),
+  }, httpConfig));
+
+  const returnValue = {dataRange: apiVersions.normalizeResponse(this.options, 'dataRange', result.data)};
+  if (authorization.refreshed) {
+    returnValue['oauthTokens'] = possiblyRefreshedOauthTokens;
+  }
+  return returnValue;
+};
+
+/**
+ * @brief Gets a Dexcom user's of a user's calibration events.
+ *
+ * @param oauthTokens
+ * An object that conforms to the following format:
+ * {
+ *   "timestamp": epochMilliseconds,
+ *   "dexcomOAuthToken": {
+ *     "access_token": "your access token",
+ *     "expires_in": timeToLiveInSeconds,
+ *     "token_type": "Bearer",
+ *     "refresh_token": "your refresh token"
+ *   }
+ * }
+ * Alternatively, a string that identifies a user whose OAuth tokens are held by the client's token store.
+ *
+ * @param startTime
+ * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window for which to
+ * acquire calibration events.
+ *
+ * @param endTime
+ * A number that represents the UTC epoch time, in milliseconds, of the end of the time window for which to
+ * acquire calibration events.
+ *
+ * @returns a Promise that wraps an object of the following format:
+ * {
+ *   calibrations: {<object returned by Dexcom API>},
+ *   oauthTokens: {
+ *     "timestamp": epochMilliseconds,
+ *     "dexcomOAuthToken": {
+ *       "access_token": "your access token",
+ *       "expires_in": timeToLiveInSeconds,
+ *       "token_type": "Bearer",
+ *       "refresh_token": "your refresh token"
+ *     }
+ *   }
+ * }
+ *
+ * Note that the oauthTokens property will exist only if the access token was refreshed. When the oauthTokens argument
+ * is a user identifier, the refreshed tokens have already been saved to the client's token store.
+ *
+ * @see https://developer.dexcom.com/get-calibrations
+ */
+DexcomClient.getCalibrations = async function(oauthTokens, startTime, endTime) {
+  helpers.validateOptions(this.options);
+  helpers.validateTimeWindow(startTime, endTime);
+  if (this.cache && typeof oauthTokens === 'string') {
+    // The windows already fetched for the user are served by the cache, which the date range function consults.
+    return this.getCalibrationsAnyDateRange(oauthTokens, startTime, endTime);
+  }
+
+  const authorization                = await authorize(this, oauthTokens);
+  const possiblyRefreshedOauthTokens = authorization.oauthTokens;
+  const startDateString              = helpers.dexcomifyEpochTime(startTime);
+  const endDateString                = helpers.dexcomifyEpochTime(endTime);
+  const parameters                   = { startDate: startDateString, endDate: endDateString };
+  const httpConfig                   = { headers: {Authorization:  `Bearer ${possiblyRefreshedOauthTokens.dexcomOAuthToken.access_token}`}, params: parameters };
+
+  const result = await helpers.sendRequest(this, Object.assign({
+    method: 'get',
+    url:    apiVersions.buildUserEndpointUrl(this.options, 'calibrations'),
+  }, httpConfig));
+
+  const returnValue = {
+    calibrations: convertToGlucoseUnit(this, 'calibrations',
+      apiVersions.normalizeResponse(this.options, 'calibrations', result.data)),
+  };
+  if (authorization.refreshed) {
+    returnValue['oauthTokens'] = possiblyRefreshedOauthTokens;
+  }
+  return returnValue;
+};
+
+/**
+ * @brief Gets the Dexcom calibration events for a date range of any duration. Dexcom limits each request to 90 days,
+ * so longer date ranges are split into several requests, whose results are merged.
+ *
+ * @param oauthTokens
+ * The same as for getCalibrations().
+ *
+ * @param startTime
+ * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window.
+ *
+ * @param endTime
+ * A number that represents the UTC epoch time, in milliseconds, of the end of the time window.
+ *
+ * @param rangeOptions
+ * The same as for getEstimatedGlucoseValuesAnyDateRange().
+ *
+ * @returns a Promise that wraps an object of the same format as the one returned by getCalibrations(). The records are
+ * ordered newest first, and records that were returned for two adjacent requests are returned only once. See
+ * getEstimatedGlucoseValuesAnyDateRange() for the failedWindows property.
+ */
+DexcomClient.getCalibrationsAnyDateRange = async function(oauthTokens, startTime, endTime, rangeOptions) {
+  const endpoint = rangeEndpoints.calibrations;
+  const fetched  = await fetchAnyDateRange(this, oauthTokens, startTime, endTime, endpoint, rangeOptions);
 
   const returnValue = {
-    estimatedGlucoseValues: {
-      unit: results[0].unit,          // ugh, 0 may not exist, and each fetched time period in theory could have different units
-      rateUnit: results[0].rateUnit,  // ugh, 0 may not exist, and each fetched time period in theory could have different units
-      egvs: combinedEgvs,
-    }
+    calibrations: convertToGlucoseUnit(this, 'calibrations', {calibrations: fetched.records},
+      rangeOptions && rangeOptions.unit),
   };
-  if (possiblyRefreshedOauthTokens !== oauthTokens) {
-    returnValue['oauthTokens'] = possiblyRefreshedOauthTokens;
+  if (fetched.failedWindows) {
+    returnValue['failedWindows'] = fetched.failedWindows;
+  }
+  if (fetched.authorization.refreshed) {
+    returnValue['oauthTokens'] = fetched.authorization.oauthTokens;
   }
   return returnValue;
 };
 
-/*
- * @brief Gets the Dexcom user-specified events for a particular date range.
+/**
+ * @brief Gets the devices that uploaded a Dexcom user's data, including the transmitter, the receiver or display
+ * device, and the alert schedules configured on each device.
  *
  * @param oauthTokens
  * An object that conforms to the following format:
@@ -267,18 +1336,19 @@ DexcomJS.getEstimatedGlucoseValuesAnyDateRange  = async function(oauthTokens, st
  *     "refresh_token": "your refresh token"
  *   }
  * }
+ * Alternatively, a string that identifies a user whose OAuth tokens are held by the client's token store.
  *
  * @param startTime
  * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window for which to
- * acquire user-specified events.
+ * acquire the devices that uploaded data.
  *
  * @param endTime
  * A number that represents the UTC epoch time, in milliseconds, of the end of the time window for which to
- * acquire user-specified events.
+ * acquire the devices that uploaded data.
  *
  * @returns a Promise that wraps an object of the following format:
  * {
- *   events: {<object returned by Dexcom API>},
+ *   devices: {<object returned by Dexcom API>},
  *   oauthTokens: {
  *     "timestamp": epochMilliseconds,
  *     "dexcomOAuthToken": {
@@ -290,81 +1360,77 @@ DexcomJS.getEstimatedGlucoseValuesAnyDateRange  = async function(oauthTokens, st
  *   }
  * }
  *
- * Note that the oauthTokens property will exist only if the access token was refreshed.
+ * Note that the oauthTokens property will exist only if the access token was refreshed. When the oauthTokens argument
+ * is a user identifier, the refreshed tokens have already been saved to the client's token store.
  *
- * @see https://developer.dexcom.com/get-events
+ * @see https://developer.dexcom.com/get-devices
  */
-DexcomJS.getEvents = async function(oauthTokens, startTime, endTime) {
+DexcomClient.getDevices = async function(oauthTokens, startTime, endTime) {
   helpers.validateOptions(this.options);
-  helpers.validateOAuthTokens(oauthTokens);
   helpers.validateTimeWindow(startTime, endTime);
 
-  const possiblyRefreshedOauthTokens = await helpers.refreshAccessToken(this.options, oauthTokens, false);
+  const authorization                = await authorize(this, oauthTokens);
+  const possiblyRefreshedOauthTokens = authorization.oauthTokens;
   const startDateString              = helpers.dexcomifyEpochTime(startTime);
   const endDateString                = helpers.dexcomifyEpochTime(endTime);
   const parameters                   = { startDate: startDateString, endDate: endDateString };
   const httpConfig                   = { headers: {Authorization:  `Bearer ${possiblyRefreshedOauthTokens.dexcomOAuthToken.access_token}`}, params: parameters };
 
-  const result = await httpClient.get(`${this.options.apiUri}/v2/users/self/events`, httpConfig);
+  const result = await helpers.sendRequest(this, Object.assign({
+    method: 'get',
+    url:    apiVersions.buildUserEndpointUrl(this.options, 'devices'),
+  }, httpConfig));
 
-  const returnValue = {events: result.data};
-  if (possiblyRefreshedOauthTokens !== oauthTokens) {
+  const returnValue = {
+    devices: convertToGlucoseUnit(this, 'devices', apiVersions.normalizeResponse(this.options, 'devices', result.data)),
+  };
+  if (authorization.refreshed) {
     returnValue['oauthTokens'] = possiblyRefreshedOauthTokens;
   }
   return returnValue;
 };
 
 /**
- * @brief Gets a Dexcom user's earliest and latest times for calibration, EGV, and event records.
+ * @brief Gets the devices that uploaded a Dexcom user's data for a date range of any duration. Dexcom limits each
+ * request to 90 days, so longer date ranges are split into several requests, whose results are merged.
  *
  * @param oauthTokens
- * An object that conforms to the following format:
- * {
- *   "timestamp": epochMilliseconds,
- *   "dexcomOAuthToken": {
- *     "access_token": "your access token",
- *     "expires_in": timeToLiveInSeconds,
- *     "token_type": "Bearer",
- *     "refresh_token": "your refresh token"
- *   }
- * }
+ * The same as for getDevices().
  *
- * @returns a Promise that wraps an object of the following format:
- * {
- *   dataRange: {<object returned by Dexcom API>},
- *   oauthTokens: {
- *     "timestamp": epochMilliseconds,
- *     "dexcomOAuthToken": {
- *       "access_token": "your access token",
- *       "expires_in": timeToLiveInSeconds,
- *       "token_type": "Bearer",
- *       "refresh_token": "your refresh token"
- *     }
- *   }
- * }
+ * @param startTime
+ * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window.
  *
- * Note that the oauthTokens property will exist only if the access token was refreshed.
+ * @param endTime
+ * A number that represents the UTC epoch time, in milliseconds, of the end of the time window.
  *
- * @see https://developer.dexcom.com/get-datarange
+ * @param rangeOptions
+ * The same as for getEstimatedGlucoseValuesAnyDateRange().
+ *
+ * @returns a Promise that wraps an object of the same format as the one returned by getDevices(). The records are
+ * ordered newest first, and records that were returned for two adjacent requests are returned only once. See
+ * getEstimatedGlucoseValuesAnyDateRange() for the failedWindows property.
  */
-DexcomJS.getDataRange = async function(oauthTokens) {
-  helpers.validateOptions(this.options);
-  helpers.validateOAuthTokens(oauthTokens);
-
-  const possiblyRefreshedOauthTokens = await helpers.refreshAccessToken(this.options, oauthTokens, false);
-  const httpConfig                   = { headers: {Authorization:  `Bearer ${possiblyRefreshedOauthTokens.dexcomOAuthToken.access_token}`}};
-
-  const result = await httpClient.get(`${this.options.apiUri}/v2/users/self/dataRange`, httpConfig);
+DexcomClient.getDevicesAnyDateRange = async function(oauthTokens, startTime, endTime, rangeOptions) {
+  const endpoint = rangeEndpoints.devices;
+  const fetched  = await fetchAnyDateRange(this, oauthTokens, startTime, endTime, endpoint, rangeOptions);
 
-  const returnValue = {dataRange: result.data};
-  if (possiblyRefreshedOauthTokens !== oauthTokens) {
-    returnValue['oauthTokens'] = possiblyRefreshedOauthTokens;
+  const returnValue = {
+    devices: convertToGlucoseUnit(this, 'devices', {devices: fetched.records}, rangeOptions && rangeOptions.unit),
+  };
+  if (fetched.failedWindows) {
+    returnValue['failedWindows'] = fetched.failedWindows;
+  }
+  if (fetched.authorization.refreshed) {
+    returnValue['oauthTokens'] = fetched.authorization.oauthTokens;
   }
   return returnValue;
 };
 
 /**
- * @brief Gets a Dexcom user's of a user's calibration events.
+ * @brief Gets a Dexcom user's alert history: the high, low, urgent low, rise and fall rate, out of range and no
+ * readings alerts raised by the user's devices. The alerts endpoint is available in version v3 of the Dexcom API only
+ * (see setOptions()). Dexcom limits each request to 30 days, so longer date ranges are split into several requests,
+ * whose results are merged.
  *
  * @param oauthTokens
  * An object that conforms to the following format:
@@ -377,18 +1443,24 @@ DexcomJS.getDataRange = async function(oauthTokens) {
  *     "refresh_token": "your refresh token"
  *   }
  * }
+ * Alternatively, a string that identifies a user whose OAuth tokens are held by the client's token store.
  *
  * @param startTime
  * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window for which to
- * acquire calibration events.
+ * acquire alerts.
  *
  * @param endTime
  * A number that represents the UTC epoch time, in milliseconds, of the end of the time window for which to
- * acquire calibration events.
+ * acquire alerts.
+ *
+ * @param rangeOptions
+ * The same as for getEstimatedGlucoseValuesAnyDateRange(). Optional.
  *
  * @returns a Promise that wraps an object of the following format:
  * {
- *   calibrations: {<object returned by Dexcom API>},
+ *   alerts: {
+ *     alerts: [<alert records, newest first (see alerts.js)>]
+ *   },
  *   oauthTokens: {
  *     "timestamp": epochMilliseconds,
  *     "dexcomOAuthToken": {
@@ -400,28 +1472,74 @@ DexcomJS.getDataRange = async function(oauthTokens) {
  *   }
  * }
  *
- * Note that the oauthTokens property will exist only if the access token was refreshed.
- *
- * @see https://developer.dexcom.com/get-calibrations
+ * Note that the oauthTokens property will exist only if the access token was refreshed. When the oauthTokens argument
+ * is a user identifier, the refreshed tokens have already been saved to the client's token store. See
+ * getEstimatedGlucoseValuesAnyDateRange() for the failedWindows property.
  */
-DexcomJS.getCalibrations = async function(oauthTokens, startTime, endTime) {
-  helpers.validateOptions(this.options);
-  helpers.validateOAuthTokens(oauthTokens);
-  helpers.validateTimeWindow(startTime, endTime);
+DexcomClient.getAlerts = async function(oauthTokens, startTime, endTime, rangeOptions) {
+  const endpoint = rangeEndpoints.alerts;
+  const fetched  = await fetchAnyDateRange(this, oauthTokens, startTime, endTime, endpoint, rangeOptions);
 
-  const possiblyRefreshedOauthTokens = await helpers.refreshAccessToken(this.options, oauthTokens, false);
-  const startDateString              = helpers.dexcomifyEpochTime(startTime);
-  const endDateString                = helpers.dexcomifyEpochTime(endTime);
-  const parameters                   = { startDate: startDateString, endDate: endDateString };
-  const httpConfig                   = { headers: {Authorization:  `Bearer ${possiblyRefreshedOauthTokens.dexcomOAuthToken.access_token}`}, params: parameters };
+  const returnValue = {alerts: {alerts: fetched.records}};
+  if (fetched.failedWindows) {
+    returnValue['failedWindows'] = fetched.failedWindows;
+  }
+  if (fetched.authorization.refreshed) {
+    returnValue['oauthTokens'] = fetched.authorization.oauthTokens;
+  }
+  return returnValue;
+};
 
-  const result = await httpClient.get(`${this.options.apiUri}/v2/users/self/calibrations`, httpConfig);
+/**
+ * @brief Counts alerts by type, e.g. to show a user's alarm burden over a period.
+ *
+ * @param input
+ * An array of alert records, as returned by getAlerts().
+ *
+ * @param options
+ * An optional object of the following format:
+ * {
+ *   alertStates: an array of the alert states to count (e.g. ['activeAlarming']); every record is counted by default
+ * }
+ *
+ * @returns an object of the following format:
+ * {
+ *   total: the number of alerts counted,
+ *   byType: {urgentLow: count, urgentLowSoon: count, low: count, high: count, rise: count, fall: count,
+ *            outOfRange: count, noReadings: count, <any other reported alert name>: count}
+ * }
+ * Every known type is counted, even when no alert of that type was raised. Alerts whose name is not among the known
+ * types are counted too, under their own name, or under 'unknown' if they have none.
+ */
+DexcomClient.summarizeAlertsByType = function(input, options) {
+  if (options !== undefined) {
+    helpers.validateAlertSummaryOptions(options);
+  }
+  return alerts.summarizeAlertsByType(input, options);
+};
 
-  const returnValue = {calibrations: result.data};
-  if (possiblyRefreshedOauthTokens !== oauthTokens) {
-    returnValue['oauthTokens'] = possiblyRefreshedOauthTokens;
+/**
+ * @brief Counts alerts by day, and by type within each day, e.g. to show a user's alarm burden next to their daily
+ * glucose data. Days are those of the user's device, i.e. the dates of the alerts' displayTime.
+ *
+ * @param input
+ * An array of alert records, as returned by getAlerts().
+ *
+ * @param options
+ * The same as for summarizeAlertsByType().
+ *
+ * @returns an array of objects of the following format, one for each day on which an alert was counted, oldest first:
+ * {
+ *   date: 'YYYY-MM-DD',
+ *   total: the number of alerts counted on that day,
+ *   byType: {<the same as for summarizeAlertsByType()>}
+ * }
+ */
+DexcomClient.summarizeAlertsByDay = function(input, options) {
+  if (options !== undefined) {
+    helpers.validateAlertSummaryOptions(options);
   }
-  return returnValue;
+  return alerts.summarizeAlertsByDay(input, options);
 };
 
 /**
@@ -438,6 +1556,7 @@ DexcomJS.getCalibrations = async function(oauthTokens, startTime, endTime) {
  *     "refresh_token": "your refresh token"
  *   }
  * }
+ * Alternatively, a string that identifies a user whose OAuth tokens are held by the client's token store.
  *
  * @param startTime
  * A number that represents the UTC epoch time, in milliseconds, of the beginning of the time window for which to
@@ -447,9 +1566,24 @@ DexcomJS.getCalibrations = async function(oauthTokens, startTime, endTime) {
  * A number that represents the UTC epoch time, in milliseconds, of the end of the time window for which to
  * acquire statistics.
  *
+ * @param targetRanges
+ * An optional array of objects of the following format, which defaults to defaultStatisticsTargetRanges:
+ * {
+ *   name: the name of the target range (e.g. 'day'),
+ *   startTime: the time of day at which the target range begins, as 'HH:MM:SS',
+ *   endTime: the time of day at which the target range ends, as 'HH:MM:SS',
+ *   egvRanges: [
+ *     {name: 'urgentLow', 'low' or 'high', bound: the bound of the range, in mg/dL},
+ *     ...
+ *   ]
+ * }
+ * Within a target range, the bounds must increase from urgentLow to low to high. Bounds are always in mg/dL, as Dexcom
+ * requires, whatever the glucoseUnit option of the client.
+ *
  * @returns a Promise that wraps an object of the following format:
  * {
- *   statistics: {<object returned by Dexcom API>},
+ *   statistics: {<object returned by Dexcom API, converted to the glucoseUnit option of the client if it is set, in
+ *                which case it has a unit property>},
  *   oauthTokens: {
  *     "timestamp": epochMilliseconds,
  *     "dexcomOAuthToken": {
@@ -461,91 +1595,341 @@ DexcomJS.getCalibrations = async function(oauthTokens, startTime, endTime) {
  *   }
  * }
  *
- * Note that the oauthTokens property will exist only if the access token was refreshed.
+ * Note that the oauthTokens property will exist only if the access token was refreshed. When the oauthTokens argument
+ * is a user identifier, the refreshed tokens have already been saved to the client's token store.
  *
  * @see https://developer.dexcom.com/post-statistics
  */
-DexcomJS.getStatistics = async function(oauthTokens, startTime, endTime) {
+DexcomClient.getStatistics = async function(oauthTokens, startTime, endTime, targetRanges) {
   helpers.validateOptions(this.options);
-  helpers.validateOAuthTokens(oauthTokens);
+  apiVersions.validateEndpoint(this.options, 'statistics');
   helpers.validateTimeWindow(startTime, endTime);
+  if (targetRanges !== undefined) {
+    helpers.validateTargetRanges(targetRanges);
+  }
 
-  const possiblyRefreshedOauthTokens = await helpers.refreshAccessToken(this.options, oauthTokens, false);
+  const authorization                = await authorize(this, oauthTokens);
+  const possiblyRefreshedOauthTokens = authorization.oauthTokens;
   const startDateString              = helpers.dexcomifyEpochTime(startTime);
   const endDateString                = helpers.dexcomifyEpochTime(endTime);
   const parameters                   = { startDate: startDateString, endDate: endDateString };
   const httpConfig                   = { headers: {Authorization:  `Bearer ${possiblyRefreshedOauthTokens.dexcomOAuthToken.access_token}`}, params: parameters };
 
   const requestBody = {
-    targetRanges: [
-      {
-        name:      'day',
-        startTime: '07:00:00',
-        endTime:   '20:00:00',
-        egvRanges: [
-          {
-            name: 'urgentLow',
-            bound: 55,
-          },
-          {
-            name: 'low',
-            bound: 70,
-          },
-          {
-            name: 'high',
-            bound: 180,
-          },
-        ]
-      },
-      {
-        name:      'night',
-        startTime: '20:00:00',
-        endTime:   '07:00:00',
-        egvRanges: [
-          {
-            name: 'urgentLow',
-            bound: 55,
-          },
-          {
-            name: 'low',
-            bound: 80,
-          },
-          {
-            name: 'high',
-            bound: 200,
-          },
-        ]
-      },
-    ]
+    targetRanges: targetRanges || defaultStatisticsTargetRanges,
   };
 
-  const result = await httpClient.post(`${this.options.apiUri}/v2/users/self/statistics`, requestBody, httpConfig);
+  const result = await helpers.sendRequest(this, Object.assign({
+    method: 'post',
+    url:    apiVersions.buildUserEndpointUrl(this.options, 'statistics'),
+    data:   requestBody,
+  }, httpConfig));
 
-  const returnValue = {statistics: result.data};
-  if (possiblyRefreshedOauthTokens !== oauthTokens) {
+  const returnValue = {statistics: convertToGlucoseUnit(this, 'statistics', result.data)};
+  if (authorization.refreshed) {
     returnValue['oauthTokens'] = possiblyRefreshedOauthTokens;
   }
   return returnValue;
 };
 
+/**
+ * @brief Computes glycemic metrics from estimated glucose values, without requesting the Dexcom statistics endpoint,
+ * e.g. for cached values or for clients of the v3 API. The metrics share the names of the properties returned by
+ * getStatistics() wherever they overlap, and time in range is computed with the ranges of the international consensus.
+ *
+ * @param egvs
+ * An array of estimated glucose value records, such as the egvs property of the estimatedGlucoseValues object returned
+ * by getEstimatedGlucoseValues() or getEstimatedGlucoseValuesAnyDateRange().
+ *
+ * @param options
+ * An optional object of the following format, all properties being optional:
+ * {
+ *   unit: the unit of the values, either 'mg/dL' or 'mmol/L' (defaults to the glucoseUnit option of the client, or
+ *         else to 'mg/dL'),
+ *   startTime: the UTC epoch time, in milliseconds, of the beginning of the period during which the CGM may have been
+ *              active (defaults to the time of the oldest value),
+ *   endTime: the UTC epoch time, in milliseconds, of the end of that period (defaults to 5 minutes after the time of
+ *            the newest value),
+ *   readingIntervalMinutes: the number of minutes between two readings of an active CGM (defaults to 5)
+ * }
+ *
+ * @returns an object that holds the metrics (see computeGlycemicMetrics() in metrics.js).
+ */
+DexcomClient.computeGlycemicMetrics = function(egvs, options) {
+  if (options !== undefined) {
+    helpers.validateMetricsOptions(options);
+  }
+  const glucoseUnit = this.options && this.options.glucoseUnit;
+  return metrics.computeGlycemicMetrics(egvs, glucoseUnit ? Object.assign({unit: glucoseUnit}, options) : options);
+};
+
+/**
+ * @brief Builds an Ambulatory Glucose Profile (AGP): folds estimated glucose values of several days into a single day
+ * of 24 hours, divided into bins by the time of day of the user's device, and computes percentile curves of the values
+ * recorded in each bin.
+ *
+ * @param egvs
+ * An array of estimated glucose value records, such as the egvs property of the estimatedGlucoseValues object returned
+ * by getEstimatedGlucoseValuesAnyDateRange().
+ *
+ * @param options
+ * An optional object of the following format, all properties being optional:
+ * {
+ *   binMinutes: the duration, in minutes, of each time-of-day bin; must divide 1440 (defaults to 15),
+ *   minimumValuesPerBin: the number of values below which the percentiles of a bin are null (defaults to 5),
+ *   percentiles: the percentiles to compute, in ascending order (defaults to [5, 25, 50, 75, 95])
+ * }
+ *
+ * @returns an object that holds the bins and the percentile curves (see buildAmbulatoryGlucoseProfile() in agp.js).
+ */
+DexcomClient.buildAmbulatoryGlucoseProfile = function(egvs, options) {
+  if (options !== undefined) {
+    helpers.validateAgpOptions(options);
+  }
+  return agp.buildAmbulatoryGlucoseProfile(egvs, options);
+};
+
+
+/**
+ * @brief Reports the gaps of a series of estimated glucose values, such as those left by sensor warm-ups and failures,
+ * or by a receiving device out of range, and the completeness of each of its days, so that missing data is not
+ * mistaken for data in range.
+ *
+ * @param egvs
+ * An array of estimated glucose value records, such as the egvs property of the estimatedGlucoseValues object returned
+ * by getEstimatedGlucoseValuesAnyDateRange().
+ *
+ * @param options
+ * An optional object of the following format, all properties being optional:
+ * {
+ *   readingIntervalMinutes: the number of minutes between two readings of an active CGM (defaults to 5),
+ *   minimumGapMinutes: the number of minutes between two readings beyond which they are separated by a gap (defaults
+ *                      to 15),
+ *   startTime: the UTC epoch time, in milliseconds, of the beginning of the period covered by the values,
+ *   endTime: the UTC epoch time, in milliseconds, of the end of that period
+ * }
+ *
+ * @returns an object that holds the gaps and the completeness of each day (see reportDataCompleteness() in gaps.js).
+ */
+DexcomClient.reportDataCompleteness = function(egvs, options) {
+  if (options !== undefined) {
+    helpers.validateCompletenessOptions(options);
+  }
+  return gaps.reportDataCompleteness(egvs, options);
+};
+
+
+/**
+ * @brief Exports estimated glucose values, events and calibrations as CSV, in the layout of the Dexcom Clarity export
+ * by default: one row per record, oldest first, told apart by an "Event Type" column.
+ *
+ * @param results
+ * An object returned by getEstimatedGlucoseValues(), getEvents() or getCalibrations(), or by their date range
+ * counterparts, or an array of such objects, whose records are exported in the same table. Glucose values must all be
+ * in the same unit, which the glucoseUnit option guarantees.
+ *
+ * @param csvOptions
+ * An optional object of the following format, all properties being optional:
+ * {
+ *   columns: [<the names of the exported columns (see the columns constant of csv.js)>] (defaults to the columns of
+ *            the Dexcom Clarity export),
+ *   timeField: 'systemTime' or 'displayTime', the time exported in the timestamp column (defaults to 'displayTime'),
+ *   header: whether a header row is exported (defaults to true)
+ * }
+ *
+ * @returns a string that holds the CSV.
+ */
+DexcomClient.exportToCsv = function(results, csvOptions) {
+  if (csvOptions !== undefined) {
+    helpers.validateCsvOptions(csvOptions);
+  }
+  return csv.exportToCsv(results, csvOptions);
+};
+
+
+/**
+ * @brief Exports estimated glucose values, events and calibrations as a readable stream of CSV.
+ *
+ * The records are sorted before the stream starts, so they are held in memory as they are by exportToCsv(); only their
+ * CSV lines are formatted as the stream is read, so that the CSV is never held as a single string.
+ *
+ * @param results
+ * The same as for exportToCsv().
+ *
+ * @param csvOptions
+ * The same as for exportToCsv().
+ *
+ * @returns a readable stream of the CSV, which may be piped to a file or an HTTP response.
+ */
+DexcomClient.createCsvStream = function(results, csvOptions) {
+  if (csvOptions !== undefined) {
+    helpers.validateCsvOptions(csvOptions);
+  }
+  return csv.createCsvStream(results, csvOptions);
+};
+
+
+/**
+ * @brief Converts estimated glucose values and statistics to a FHIR Bundle of LOINC-coded Observation resources, which
+ * can be uploaded to an electronic health record as is.
+ *
+ * @param results
+ * An object returned by getEstimatedGlucoseValues(), getEstimatedGlucoseValuesAnyDateRange() or getStatistics(), or an
+ * array of such objects. An object returned by computeGlycemicMetrics() may be passed as {statistics: metrics}.
+ *
+ * @param fhirOptions
+ * An optional object of the following format, all properties being optional:
+ * {
+ *   patientReference: the reference of the user's Patient resource, such as 'Patient/123',
+ *   deviceReference: the reference of the Device resource of the user's CGM, such as 'Device/456',
+ *   bundleType: 'transaction' (defaults) or 'collection',
+ *   startTime: the UTC epoch time, in milliseconds, of the beginning of the period of the statistics (defaults to the
+ *              time of the oldest estimated glucose value of results),
+ *   endTime: the UTC epoch time, in milliseconds, of the end of the period of the statistics (defaults to the time of
+ *            the newest estimated glucose value of results)
+ * }
+ * Statistics passed without estimated glucose values require startTime or endTime.
+ *
+ * @returns a Bundle resource (see createFhirBundle() in fhir.js).
+ *
+ * @see https://hl7.org/fhir/R4/observation.html
+ */
+DexcomClient.createFhirBundle = function(results, fhirOptions) {
+  if (fhirOptions !== undefined) {
+    helpers.validateFhirOptions(fhirOptions);
+  }
+  return fhir.createFhirBundle(results, fhirOptions);
+};
+
+
+/**
+ * @brief Converts estimated glucose values to Nightscout entries, and carbs, insulin and exercise events to Nightscout
+ * treatments.
+ *
+ * @param results
+ * An object returned by getEstimatedGlucoseValues(), getEvents() or their date range counterparts, or an array of such
+ * objects.
+ *
+ * @param nightscoutOptions
+ * An optional object of the following format:
+ * {
+ *   device: the name of the uploading device, recorded in each document (defaults to 'dexcom-js')
+ * }
+ *
+ * @returns an object of the following format (see convertToNightscout() in nightscout.js):
+ * {
+ *   entries: [{type: 'sgv', sgv: valueInMgdl, direction: 'Flat', trend: 4, date: epochMilliseconds, ...}, ...],
+ *   treatments: [{eventType: 'Carb Correction', carbs: grams, created_at: "YYYY-MM-DDThh:mm:ss.sssZ", ...}, ...]
+ * }
+ */
+DexcomClient.convertToNightscout = function(results, nightscoutOptions) {
+  if (nightscoutOptions !== undefined) {
+    helpers.validateNightscoutOptions(nightscoutOptions, false);
+  }
+  return nightscout.convertToNightscout(results, nightscoutOptions);
+};
+
+
+/**
+ * @brief Uploads estimated glucose values and events to a Nightscout site, as entries and treatments.
+ *
+ * Documents are posted through the v1 API of the site, authenticated by the SHA-1 hash of its API secret. Requests are
+ * sent through the client's HTTP client and hooks, but are never retried: Nightscout does not deduplicate treatments,
+ * so a post that failed after the site stored its documents would store them twice. Failures are reported with a
+ * NightscoutError, whose status is that of the site's response.
+ *
+ * @param results
+ * The same as for convertToNightscout().
+ *
+ * @param nightscoutOptions
+ * An object of the following format:
+ * {
+ *   baseUrl: the URL of the Nightscout site, such as 'https://example.herokuapp.com',
+ *   apiSecret: the API secret of the site, in plain text; only its hash is sent,
+ *   device: the name of the uploading device, recorded in each document (defaults to 'dexcom-js')
+ * }
+ *
+ * @returns a Promise that wraps an object of the following format:
+ * {
+ *   entries: the number of entries uploaded,
+ *   treatments: the number of treatments uploaded
+ * }
+ */
+DexcomClient.uploadToNightscout = async function(results, nightscoutOptions) {
+  helpers.validateNightscoutOptions(nightscoutOptions, true);
+
+  const documents = nightscout.convertToNightscout(results, nightscoutOptions);
+  const requests  = nightscout.buildUploadRequests(nightscoutOptions.baseUrl, nightscoutOptions.apiSecret, documents);
+  const transport = helpers.toSingleAttemptTransport(this);
+  for (const request of requests) {
+    try {
+      await helpers.sendRequest(transport, request);
+    }
+    catch (error) {
+      if (!(error instanceof errors.DexcomApiError)) {
+        throw error;
+      }
+      throw new errors.NightscoutError(error.message, {
+        status:   error.status,
+        method:   error.method,
+        endpoint: error.endpoint,
+        body:     error.body,
+        code:     error.code,
+        attempts: error.attempts,
+      });
+    }
+  }
+
+  return {
+    entries:    documents.entries.length,
+    treatments: documents.treatments.length,
+  };
+};
 
 /*
- * @brief split data up into an array of daily arrays, sorted by time in forward order
+ * @brief split data up into daily arrays, sorted by time in forward order
+ *
+ * By default, each record is assigned to the day that starts at the last midnight, in the time zone of the server, of
+ * its systemTime, and days are keyed by the epoch time of that midnight. Days may instead be keyed by date, in which
+ * case each record is assigned to the calendar day of its displayTime, i.e. the day of the user's device, or to the
+ * day of its systemTime in a given time zone. Days keyed by date that are 23 or 25 hours long because of daylight
+ * saving time are handled like any other day. The input array is not modified.
  *
  * @param input
- * Data as received from Dexcom via a function in this modulee
+ * Data as received from Dexcom via a function in this module
+ *
+ * @param shardOptions
+ * An optional object of the following format, all properties being optional:
+ * {
+ *   byDisplayDate: if true, days are keyed by the date of the records' displayTime (defaults to false),
+ *   timeZone: an IANA time zone name, such as 'America/Los_Angeles', in which days keyed by date begin and end
+ * }
+ *
+ * @returns an object whose keys are, oldest first, the epoch times in milliseconds of the midnights that begin the
+ * days, or their dates in the format "YYYY-MM-DD" when byDisplayDate or timeZone is given, and whose values are new
+ * arrays of the records of each day.
  *
  * @see https://developer.dexcom.com/get-events
  */
-DexcomJS.shardEgvsByDay = function(input) {
+DexcomClient.shardEgvsByDay = function(input, shardOptions) {
   helpers.validateOptions(this.options);
+  if (shardOptions !== undefined) {
+    helpers.validateShardOptions(shardOptions);
+  }
 
-  const sortedInput = input.sort((e1, e2) => {
+  const settings    = shardOptions || {};
+  const sortedInput = input.slice().sort((e1, e2) => {
     const e1ms = new Date(e1.systemTime).getTime();
     const e2ms = new Date(e2.systemTime).getTime();
     return e1ms - e2ms;
   });
   const groupedByDay = _.groupBy(sortedInput, el => {
+    if (settings.timeZone) {
+      return helpers.formatDateInTimeZone(helpers.parseDexcomTime(el.systemTime), settings.timeZone);
+    }
+    if (settings.byDisplayDate) {
+      return helpers.getLocalDate(el);
+    }
     // @see https://stackoverflow.com/questions/3894048/what-is-the-best-way-to-initialize-a-javascript-date-to-midnight
     const elDate = new Date(el.systemTime);
     return elDate.setHours(0,0,0,0);  // last midnight
@@ -555,29 +1939,174 @@ DexcomJS.shardEgvsByDay = function(input) {
 
 /**
  * @brief
- * calculate a legal fetch range that starts at the midnight prior
- * to the requested time, or the midnight following if the request3ed
- * time is less than the valid time ranges Dexcom has returned
+ * calculate a legal fetch range that starts at the UTC midnight prior
+ * to the requested time, or at the beginning of the available data if the
+ * midnight precedes it, and that ends at the requested time, or just after
+ * the end of the available data if the requested time follows it (see
+ * helpers.clampToAvailableData(), which sync() uses as well)
+ *
+ * @param dataRange
+ * Either the dataRange object returned by getDataRange(), or one of its egvs, events or calibrations properties, i.e.
+ * an object of the following format:
+ * {
+ *   start: {systemTime: "YYYY-MM-DDThh:mm:ss", ...},
+ *   end: {systemTime: "YYYY-MM-DDThh:mm:ss", ...}
+ * }
+ *
+ * @param endTime
+ * A number that represents the UTC epoch time, in milliseconds, at which the fetch range ends.
+ *
+ * @param daysPast
+ * The number of days before endTime at which the fetch range begins, before it is moved back to UTC midnight.
+ *
+ * @param recordType
+ * The record type whose range is used when dataRange is the object returned by getDataRange(): 'egvs' (the default),
+ * 'events' or 'calibrations'.
+ *
+ * @returns an object of the following format:
+ * {
+ *   startTime: epochMilliseconds,
+ *   endTime: epochMilliseconds,
+ *   valid: false if no data is available within the requested range, in which case startTime and endTime are 0,
+ *   windows: [{startTime: epochMilliseconds, endTime: epochMilliseconds}, ...], the time windows in which the range is
+ *            fetched without exceeding the maximum time window of a Dexcom request, in chronological order
+ * }
  */
-DexcomJS.rangeInDayIntervals = function(dataRange, endTime, daysPast) {
+DexcomClient.rangeInDayIntervals = function(dataRange, endTime, daysPast, recordType = 'egvs') {
+  errors.assertValid(['egvs', 'events', 'calibrations'].includes(recordType),
+    'recordType must be one of egvs, events or calibrations');
+  errors.assertValid(Number.isFinite(endTime), 'endTime must be valid');
+  errors.assertValid(daysPast >= 0, 'daysPast must be >= 0');
+
   const returnValue = {
     startTime: 0,
     endTime: 0,
     valid: false,
+    windows: [],
+  };
+
+  const recordRange = (dataRange && 'start' in dataRange) ? dataRange : (dataRange && dataRange[recordType]);
+
+  // go back to (UTC) midnight of start time if possible
+  const midnightStartTime = helpers.getUtcMidnight(endTime - daysPast * helpers.millisecondsPerDay);
+  const clampedWindow     = helpers.clampToAvailableData(midnightStartTime, endTime, recordRange);
+  if (!clampedWindow) {
+    return returnValue;    // no data of this record type within the requested range
+  }
+
+  returnValue.startTime = clampedWindow.startTime;
+  returnValue.endTime   = clampedWindow.endTime;
+  returnValue.valid     = true;
+  returnValue.windows   = helpers.splitTimeWindow(clampedWindow.startTime, clampedWindow.endTime,
+    rangeEndpoints[recordType].maximumWindowMilliseconds);
+  return returnValue;
+};
+
+/**
+ * @brief Synchronizes a user's data incrementally: obtains the range of the user's data from getDataRange(), and
+ * fetches only the estimated glucose values, events and calibrations recorded since the previous synchronization,
+ * described by a cursor. The records of a short overlap before the end of the previous synchronization are fetched
+ * again, in order to catch records that the user's devices uploaded late, and the records that the previous
+ * synchronization already returned are removed.
+ *
+ * @param userId
+ * A string that identifies a user whose OAuth tokens are held by the client's token store. Alternatively, an
+ * oauthTokens object.
+ *
+ * @param cursor
+ * The cursor returned by the previous synchronization (see sync.js), or null to synchronize all of the user's data.
+ *
+ * @param syncOptions
+ * An optional object of the following format, all properties being optional:
+ * {
+ *   overlapMinutes: the number of minutes before the end of the previous synchronization whose records are fetched
+ *                   again (defaults to 60),
+ *   recordTypes: the record types to synchronize (defaults to ['egvs', 'events', 'calibrations']),
+ *   concurrency: the maximum number of concurrent requests (defaults to 4),
+ *   retries: the number of times a failed request is sent again before it is considered failed (defaults to the
+ *            maxAttempts of the client's retry policy, less one),
+ *   unit: 'mg/dL' or 'mmol/L', the unit to which glucose values are converted (optional, defaults to the glucoseUnit
+ *         option of the client)
+ * }
+ *
+ * @returns a Promise that wraps an object of the following format:
+ * {
+ *   records: {
+ *     egvs: [<the new estimated glucose values, newest first>],
+ *     events: [<the new events, newest first>],
+ *     calibrations: [<the new calibrations, newest first>]
+ *   },
+ *   unit: the unit of the estimated glucose values, or null if none was fetched,
+ *   rateUnit: the rate unit of the estimated glucose values, or null if none was fetched,
+ *   cursor: {<the cursor to pass to the next synchronization>},
+ *   oauthTokens: {<the refreshed OAuth tokens, if the access token was refreshed>}
+ * }
+ *
+ * The cursor should be saved only once the records were saved, so that a failed synchronization is started again.
+ */
+DexcomClient.sync = async function(userId, cursor, syncOptions) {
+  helpers.validateOptions(this.options);
+  if (cursor !== undefined && cursor !== null) {
+    helpers.validateSyncCursor(cursor);
+  }
+  if (syncOptions !== undefined) {
+    helpers.validateSyncOptions(syncOptions);
   }
+  const settings            = Object.assign({}, sync.defaultSyncOptions, syncOptions);
+  const overlapMilliseconds = settings.overlapMinutes * helpers.millisecondsPerMinute;
+  const rangeOptions        = _.pick(settings, ['concurrency', 'retries']);
+  const previousCursor      = cursor || {};
 
-  const startDateString = dataRange.start.systemTime;
-  const endDateString = dataRange.end.systemTime;
-  let startTime = endTime - daysPast *  86400 * 1000;
-  // go back to midnight of start time if possible
-  const midnightStartTime = new Date(startTime).setHours(0,0,0,0);
-  const availableStartTime = new Date(startDateString);
-  startTime = midnightStartTime;
-  if (midnightStartTime < availableStartTime.getTime()) {
-    startTime = availableStartTime.getTime();
+  const dataRangeResult = await this.getDataRange(userId);
+  let refreshedOauthTokens = dataRangeResult.oauthTokens;
+
+  const returnValue = {
+    records:  {egvs: [], events: [], calibrations: []},
+    unit:     null,
+    rateUnit: null,
+    cursor:   Object.assign({}, previousCursor),
+  };
+
+  for (const recordType of settings.recordTypes) {
+    const endpoint = rangeEndpoints[recordType];
+    const window   = sync.getSyncWindow(previousCursor[recordType], dataRangeResult.dataRange[recordType],
+      overlapMilliseconds);
+    if (!window) {
+      continue;
+    }
+
+    // A user identifier is passed on as is, since refreshed tokens are saved to the token store.
+    const oauthTokens = (typeof userId === 'string') ? userId : (refreshedOauthTokens || userId);
+    const fetched     = await fetchAnyDateRange(this, oauthTokens, window.startTime, window.endTime, endpoint,
+      rangeOptions);
+    if (fetched.authorization.refreshed) {
+      refreshedOauthTokens = fetched.authorization.oauthTokens;
+    }
+
+    let records = fetched.records;
+    if (recordType === 'egvs') {
+      const reconciled = units.reconcileEgvPayloads(fetched.responses.map(response => response.data),
+        settings.unit || this.options.glucoseUnit);
+      returnValue.unit     = reconciled.unit;
+      returnValue.rateUnit = reconciled.rateUnit;
+      records              = helpers.mergeRecords(
+        reconciled.payloads.map(payload => payload.egvs),
+        endpoint.getRecordKey,
+        endpoint.getRecordTime);
+    }
+    else {
+      records = convertToGlucoseUnit(this, recordType, {[recordType]: records}, settings.unit)[recordType];
+    }
+
+    const synced = sync.applySyncedRecords(records, previousCursor[recordType], endpoint, overlapMilliseconds);
+    returnValue.records[recordType] = synced.records;
+    if (synced.cursorEntry) {
+      returnValue.cursor[recordType] = synced.cursorEntry;
+    }
+  }
+
+  if (refreshedOauthTokens) {
+    returnValue['oauthTokens'] = refreshedOauthTokens;
   }
-  returnValue.startTime = startTime;
-  returnValue.endTime = endTime;
-  returnValue.valid = true;
   return returnValue;
-}
+};
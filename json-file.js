@@ -0,0 +1,99 @@
+/**
+ * This file contains the JSON files in which the file token store (see token-store.js) and the file cache (see
+ * cache.js) persist their data. Updates are serialized, and each update replaces its file atomically, so a crash never
+ * leaves a partially written file behind. The files are not locked, so they must not be shared by several processes.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const fs   = require('fs');
+const path = require('path');
+const util = require('util');
+
+
+//*************
+//* Constants *
+//*************
+
+const readFile  = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const rename    = util.promisify(fs.rename);
+const mkdir     = util.promisify(fs.mkdir);
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates an object that reads and updates JSON files, serializing the updates of every file it handles.
+ *
+ * @param fileOptions
+ * An object of the following format:
+ * {
+ *   fileMode: the file mode of the files, such as 0o600,
+ *   directoryMode: the file mode of the directories of the files, which are created with their parents when a file is
+ *                  first written, or undefined if the directories must already exist,
+ *   space: the indentation of the JSON (see JSON.stringify()), optional
+ * }
+ *
+ * @returns an object of the following format:
+ * {
+ *   read: function(filePath, emptyValue), returning a Promise that wraps the parsed content of a file once the
+ *         outstanding updates are written, or emptyValue if the file does not exist,
+ *   update: function(filePath, emptyValue, modify), returning a Promise that resolves once the file is replaced by the
+ *           value that modify(content) returns, content being the parsed content of the file, or emptyValue
+ * }
+ */
+function createJsonFiles(fileOptions) {
+  let pendingWrite = Promise.resolve();
+
+  async function load(filePath, emptyValue) {
+    try {
+      return JSON.parse(await readFile(filePath, 'utf8'));
+    }
+    catch (error) {
+      if (error.code === 'ENOENT') {
+        return emptyValue;
+      }
+      throw error;
+    }
+  }
+
+  async function save(filePath, emptyValue, modify) {
+    if (fileOptions.directoryMode !== undefined) {
+      await mkdir(path.dirname(filePath), {recursive: true, mode: fileOptions.directoryMode});
+    }
+
+    const content           = modify(await load(filePath, emptyValue));
+    const temporaryFilePath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(temporaryFilePath, JSON.stringify(content, null, fileOptions.space), {mode: fileOptions.fileMode});
+    await rename(temporaryFilePath, filePath);
+  }
+
+  return {
+    read: async function(filePath, emptyValue) {
+      // Wait for the outstanding writes, so that the content is read back exactly as it was last written.
+      await pendingWrite.catch(() => {});
+      return load(filePath, emptyValue);
+    },
+    update: function(filePath, emptyValue, modify) {
+      // Chain every write to the previous one, whether or not it succeeded, so that concurrent writes cannot
+      // overwrite each other's changes.
+      pendingWrite = pendingWrite.catch(() => {}).then(() => save(filePath, emptyValue, modify));
+      return pendingWrite;
+    },
+  };
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.createJsonFiles = createJsonFiles;
@@ -0,0 +1,192 @@
+/**
+ * This file contains the glycemic metrics computed locally from estimated glucose value records, e.g. records that were
+ * cached, or records for which the Dexcom statistics endpoint is not available. The metrics are named after the
+ * properties of the object returned by the Dexcom statistics endpoint wherever they overlap, so that both may be
+ * compared.
+ *
+ * Time in range is computed with the ranges of the international consensus on time in range:
+ *
+ * @see https://doi.org/10.2337/dci19-0028
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const helpers = require('./helpers.js');
+const units   = require('./units.js');
+const _       = require('lodash');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The bounds of the glucose ranges defined by the international consensus on time in range, in each glucose unit:
+ * very low (< 54 mg/dL), low (54-69 mg/dL), in range (70-180 mg/dL), high (181-250 mg/dL) and very high (> 250 mg/dL).
+ * The consensus states its own bounds in mmol/L, which are not exact conversions of the bounds in mg/dL.
+ */
+const consensusRanges = {
+  'mg/dL': {
+    veryLowBelow:  54,
+    lowBelow:      70,
+    highAbove:     180,
+    veryHighAbove: 250,
+  },
+  'mmol/L': {
+    veryLowBelow:  3.0,
+    lowBelow:      3.9,
+    highAbove:     10.0,
+    veryHighAbove: 13.9,
+  },
+};
+
+/**
+ * The number of minutes between two estimated glucose values of a Dexcom CGM that is active.
+ *
+ * @type {number}
+ */
+const defaultReadingIntervalMinutes = 5;
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Gets the percentage that a count represents of a total, or null if the total is 0.
+ */
+function percentOf(count, total) {
+  return total ? 100 * count / total : null;
+}
+
+/**
+ * Gets a quantile of an array of numbers sorted in ascending order, interpolating linearly between the two closest
+ * values.
+ */
+function quantile(sortedValues, fraction) {
+  const position = (sortedValues.length - 1) * fraction;
+  const lower    = Math.floor(position);
+  const upper    = Math.ceil(position);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+/**
+ * Computes glycemic metrics from estimated glucose value records.
+ *
+ * @param egvs
+ * An array of estimated glucose value records, such as the egvs property of the estimatedGlucoseValues object returned
+ * by getEstimatedGlucoseValues() or getEstimatedGlucoseValuesAnyDateRange(). Records without a numeric value are
+ * ignored.
+ *
+ * @param options
+ * An optional object of the following format:
+ * {
+ *   unit: the unit of the values, either 'mg/dL' or 'mmol/L' (defaults to 'mg/dL'),
+ *   startTime: the UTC epoch time, in milliseconds, of the beginning of the period during which the CGM may have been
+ *              active (defaults to the time of the oldest record),
+ *   endTime: the UTC epoch time, in milliseconds, of the end of that period (defaults to the time of the newest record
+ *            plus one reading interval),
+ *   readingIntervalMinutes: the number of minutes between two readings of an active CGM (defaults to 5)
+ * }
+ *
+ * @returns an object of the following format, whose glucose values are expressed in options.unit:
+ * {
+ *   unit: 'mg/dL' or 'mmol/L',
+ *   nValues: the number of values,
+ *   nDays: the number of days, by displayTime, on which at least one value was recorded,
+ *   min, max, mean, median, q1, q2, q3: the minimum, maximum, mean, median and quartiles of the values,
+ *   variance, stdDev: the population variance and standard deviation of the values,
+ *   coefficientOfVariation: the standard deviation as a percentage of the mean,
+ *   gmi: the glucose management indicator, an estimate of HbA1c in percent (3.31 + 0.02392 × mean in mg/dL),
+ *   utilizationPercent: the percentage of the period during which the CGM was active,
+ *   nUrgentLow, nBelowRange, nWithinRange, nAboveRange: the number of values < 54, < 70, 70-180 and > 180 mg/dL (or
+ *                                                       < 3.0, < 3.9, 3.9-10.0 and > 10.0 mmol/L),
+ *   percentUrgentLow, percentBelowRange, percentWithinRange, percentAboveRange: the same, as percentages of nValues,
+ *   timeInRanges: {
+ *     veryLow, low, inRange, high, veryHigh: the percentage of values in each consensus range
+ *   }
+ * }
+ * The statistics and percentages are null when there are no values. Values below the low range include the urgent low
+ * values, so that percentBelowRange, percentWithinRange and percentAboveRange add up to 100.
+ */
+function computeGlycemicMetrics(egvs, options) {
+  const settings   = Object.assign({unit: 'mg/dL', readingIntervalMinutes: defaultReadingIntervalMinutes}, options);
+  units.validateGlucoseUnit(settings.unit);
+
+  const ranges     = consensusRanges[settings.unit];
+  const records    = egvs.filter(egv => typeof egv.value === 'number');
+  const values     = records.map(egv => egv.value).sort((value1, value2) => value1 - value2);
+  const nValues    = values.length;
+  const countWhere = predicate => values.filter(predicate).length;
+  const whenAny    = compute => nValues ? compute() : null;
+
+  const mean     = whenAny(() => values.reduce((sum, value) => sum + value, 0) / nValues);
+  const variance = whenAny(() => values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / nValues);
+  const stdDev   = whenAny(() => Math.sqrt(variance));
+  const meanMgdl = whenAny(() => (settings.unit === 'mg/dL') ?
+    mean :
+    mean * units.milligramsPerDeciliterPerMillimolePerLiter);
+
+  // The CGM is considered active during each reading interval of the period in which at least one value was recorded.
+  const times            = records.map(egv => helpers.parseDexcomTime(egv.systemTime));
+  const intervalMs       = settings.readingIntervalMinutes * helpers.millisecondsPerMinute;
+  const periodStartTime  = (settings.startTime !== undefined) ? settings.startTime : _.min(times);
+  const periodEndTime    = (settings.endTime !== undefined) ? settings.endTime : _.max(times) + intervalMs;
+  const expectedReadings = Math.max(1, Math.floor((periodEndTime - periodStartTime) / intervalMs));
+  const activeIntervals  = new Set(times
+    .filter(time => time >= periodStartTime && time < periodEndTime)
+    .map(time => Math.floor((time - periodStartTime) / intervalMs))).size;
+
+  const nUrgentLow   = countWhere(value => value < ranges.veryLowBelow);
+  const nBelowRange  = countWhere(value => value < ranges.lowBelow);
+  const nAboveRange  = countWhere(value => value > ranges.highAbove);
+  const nVeryHigh    = countWhere(value => value > ranges.veryHighAbove);
+  const nWithinRange = nValues - nBelowRange - nAboveRange;
+
+  return {
+    unit:                   settings.unit,
+    nValues:                nValues,
+    nDays:                  new Set(records.map(helpers.getLocalDate)).size,
+    min:                    whenAny(() => values[0]),
+    max:                    whenAny(() => values[nValues - 1]),
+    mean:                   mean,
+    median:                 whenAny(() => quantile(values, 0.5)),
+    q1:                     whenAny(() => quantile(values, 0.25)),
+    q2:                     whenAny(() => quantile(values, 0.5)),
+    q3:                     whenAny(() => quantile(values, 0.75)),
+    variance:               variance,
+    stdDev:                 stdDev,
+    coefficientOfVariation: (nValues && mean) ? 100 * stdDev / mean : null,
+    gmi:                    whenAny(() => 3.31 + 0.02392 * meanMgdl),
+    utilizationPercent:     whenAny(() => Math.min(100, percentOf(activeIntervals, expectedReadings))),
+    nUrgentLow:             nUrgentLow,
+    nBelowRange:            nBelowRange,
+    nWithinRange:           nWithinRange,
+    nAboveRange:            nAboveRange,
+    percentUrgentLow:       percentOf(nUrgentLow, nValues),
+    percentBelowRange:      percentOf(nBelowRange, nValues),
+    percentWithinRange:     percentOf(nWithinRange, nValues),
+    percentAboveRange:      percentOf(nAboveRange, nValues),
+    timeInRanges: {
+      veryLow:  percentOf(nUrgentLow, nValues),
+      low:      percentOf(nBelowRange - nUrgentLow, nValues),
+      inRange:  percentOf(nWithinRange, nValues),
+      high:     percentOf(nAboveRange - nVeryHigh, nValues),
+      veryHigh: percentOf(nVeryHigh, nValues),
+    },
+  };
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.consensusRanges        = consensusRanges;
+exports.quantile               = quantile;
+exports.computeGlycemicMetrics = computeGlycemicMetrics;
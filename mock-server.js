@@ -0,0 +1,640 @@
+/**
+ * This file contains a mock of the Dexcom platform, for tests and local development without credentials or network
+ * access. The mock is an HTTP server on the loopback interface that implements the sandbox consent endpoint, the
+ * OAuth 2.0 token endpoint, and the user endpoints of the v2 and v3 APIs (egvs, events, calibrations, dataRange,
+ * devices, statistics and alerts), with deterministic synthetic data:
+ *
+ * - an estimated glucose value every five minutes over the data period, following two sine waves, one over a day and
+ *   one over a few hours;
+ * - carbs, insulin and exercise events, calibrations and alerts at the same times of day (of the user's device)
+ *   every day.
+ *
+ * The same request always returns the same records, whatever the day it is sent. Errors (401, 429, 500...) may be
+ * injected into the next requests, and access tokens may be expired on demand, so that error handling and token
+ * refreshes can be exercised.
+ *
+ * The mock validates what clients send it (credentials, tokens, time windows), but it is not a conformance test of the
+ * Dexcom API; its records have the properties documented by Dexcom that this package relies on.
+ *
+ * @see https://developer.dexcom.com/
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const http        = require('http');
+const url         = require('url');
+const crypto      = require('crypto');
+const querystring = require('querystring');
+const helpers     = require('./helpers.js');
+const metrics     = require('./metrics.js');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The number of milliseconds in one minute, and in one day.
+ *
+ * @type {number}
+ */
+const millisecondsPerMinute = 60 * 1000;
+const millisecondsPerDay    = 24 * 60 * millisecondsPerMinute;
+
+/**
+ * The number of milliseconds between two estimated glucose values.
+ *
+ * @type {number}
+ */
+const readingIntervalMilliseconds = 5 * millisecondsPerMinute;
+
+/**
+ * The longest time window, in milliseconds, that the mock accepts for each user endpoint, as Dexcom does.
+ */
+const maximumWindowMilliseconds = {
+  alerts:  30 * millisecondsPerDay,
+  default: 90 * millisecondsPerDay,
+};
+
+/**
+ * The options of a mock server, for the options that the caller does not specify.
+ */
+const defaultMockOptions = {
+  clientId:                 'mockclientid',
+  clientSecret:             'mockclientsecret',
+  redirectUri:              'http://localhost/callback',
+  dataStartTime:            Date.UTC(2015, 10, 1, 12, 0, 0),      // 2015-11-01T12:00:00
+  dataEndTime:              Date.UTC(2016, 0, 31, 12, 0, 0),      // 2016-01-31T12:00:00
+  displayTimeOffsetMinutes: 0,
+  tokenTimeToLiveSeconds:   7200,
+  strictRefreshTokens:      false,
+};
+
+/**
+ * The records that recur every day, by record type, at a number of minutes after midnight on the user's device.
+ */
+const dailySchedules = {
+  events: [
+    {minuteOfDay: 7 * 60 + 25,  eventType: 'insulin',  eventSubType: 'fastActing', value: 4,  unit: 'units'},
+    {minuteOfDay: 7 * 60 + 30,  eventType: 'carbs',    eventSubType: null,         value: 40, unit: 'grams'},
+    {minuteOfDay: 12 * 60 + 25, eventType: 'insulin',  eventSubType: 'fastActing', value: 6,  unit: 'units'},
+    {minuteOfDay: 12 * 60 + 30, eventType: 'carbs',    eventSubType: null,         value: 60, unit: 'grams'},
+    {minuteOfDay: 17 * 60,      eventType: 'exercise', eventSubType: 'medium',     value: 45, unit: 'minutes'},
+    {minuteOfDay: 18 * 60 + 25, eventType: 'insulin',  eventSubType: 'fastActing', value: 7,  unit: 'units'},
+    {minuteOfDay: 18 * 60 + 30, eventType: 'carbs',    eventSubType: null,         value: 70, unit: 'grams'},
+    {minuteOfDay: 21 * 60,      eventType: 'insulin',  eventSubType: 'longActing', value: 20, unit: 'units'},
+  ],
+  calibrations: [
+    {minuteOfDay: 7 * 60},
+    {minuteOfDay: 19 * 60},
+  ],
+  alerts: [
+    {minuteOfDay: 3 * 60,  alertName: 'low',  alertState: 'activeSnoozed'},
+    {minuteOfDay: 15 * 60, alertName: 'high', alertState: 'activeAlarming'},
+  ],
+};
+
+/**
+ * The trends of the synthetic glucose values, by the rate of change, in mg/dL/min, from which each applies. Rates
+ * below the last threshold have a 'doubleDown' trend.
+ */
+const trendThresholds = [
+  {minimumRate: 3.1,  trend: 'doubleUp'},
+  {minimumRate: 2.1,  trend: 'singleUp'},
+  {minimumRate: 1.1,  trend: 'fortyFiveUp'},
+  {minimumRate: -1,   trend: 'flat'},
+  {minimumRate: -2,   trend: 'fortyFiveDown'},
+  {minimumRate: -3,   trend: 'singleDown'},
+];
+
+/**
+ * The transmitter and display device of the synthetic user.
+ */
+const device = {
+  transmitterId:         '8XK2QZ',
+  transmitterGeneration: 'g6',
+  displayDevice:         'iOS',
+};
+
+/**
+ * The alert settings of the synthetic user's device.
+ */
+const alertSettings = [
+  {alertName: 'urgentLow', value: 55,  unit: 'mg/dL', snooze: 30,  enabled: true},
+  {alertName: 'low',       value: 70,  unit: 'mg/dL', snooze: 30,  enabled: true},
+  {alertName: 'high',      value: 250, unit: 'mg/dL', snooze: 120, enabled: true},
+];
+
+/**
+ * The bodies of the errors injected by failNextRequests(), by status.
+ */
+const injectedErrorBodies = {
+  400: {error: 'invalid_request', error_description: 'injected bad request'},
+  401: {error: 'invalid_token',   error_description: 'injected unauthorized request'},
+  403: {error: 'access_denied',   error_description: 'injected forbidden request'},
+  429: {error: 'rate_limited',    error_description: 'injected rate limit'},
+};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Gets the synthetic glucose value, in mg/dL, at an epoch time.
+ */
+function glucoseAt(time) {
+  const minutes = time / millisecondsPerMinute;
+  const value   = 140 + 45 * Math.sin(2 * Math.PI * minutes / 1440) + 20 * Math.sin(2 * Math.PI * minutes / 170);
+  return Math.max(40, Math.min(400, Math.round(value)));
+}
+
+/**
+ * Gets the rate of change, in mg/dL/min, of the synthetic glucose values at an epoch time, rounded to one decimal
+ * place.
+ */
+function glucoseRateAt(time) {
+  const rate = (glucoseAt(time) - glucoseAt(time - readingIntervalMilliseconds)) / 5;
+  return Math.round(rate * 10) / 10;
+}
+
+/**
+ * Gets the Dexcom trend of a rate of change, in mg/dL/min.
+ */
+function trendOf(rate) {
+  const trend = trendThresholds.find(threshold => rate >= threshold.minimumRate);
+  return trend ? trend.trend : 'doubleDown';
+}
+
+/**
+ * Creates a deterministic identifier, formatted as a UUID, from a string.
+ */
+function createRecordId(seed) {
+  const hex = crypto.createHash('sha1').update(seed).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Creates a random opaque token.
+ */
+function createToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Creates the functions that date records for the API version of a request: the system time, in UTC, and the display
+ * time, on the user's device, of an epoch time.
+ */
+function createTimeFormatter(settings, apiVersion) {
+  const offsetMinutes = settings.displayTimeOffsetMinutes;
+  const pad           = number => String(number).padStart(2, '0');
+  const offset        = `${(offsetMinutes < 0) ? '-' : '+'}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:` +
+    pad(Math.abs(offsetMinutes) % 60);
+
+  return {
+    systemTime:  time => helpers.dexcomifyEpochTime(time),
+    // The v3 API reports the UTC offset of the user's device in its display times.
+    displayTime: time => helpers.dexcomifyEpochTime(time + offsetMinutes * millisecondsPerMinute) +
+      ((apiVersion === 'v3') ? offset : ''),
+  };
+}
+
+/**
+ * Gets the epoch times of the estimated glucose values of a time window, newest first.
+ */
+function getReadingTimes(settings, startTime, endTime) {
+  const firstIndex = Math.max(0, Math.ceil((startTime - settings.dataStartTime) / readingIntervalMilliseconds));
+  const lastIndex  = Math.floor((Math.min(endTime, settings.dataEndTime) - settings.dataStartTime) /
+    readingIntervalMilliseconds);
+
+  const times = [];
+  for (let index = lastIndex; index >= firstIndex; index--) {
+    times.push(settings.dataStartTime + index * readingIntervalMilliseconds);
+  }
+  return times;
+}
+
+/**
+ * Gets the occurrences of a daily schedule within a time window, newest first, as objects of the following format:
+ * {
+ *   time: epochMilliseconds,
+ *   item: {<the item of the schedule>}
+ * }
+ */
+function getDailyOccurrences(settings, schedule, startTime, endTime) {
+  const offset          = settings.displayTimeOffsetMinutes * millisecondsPerMinute;
+  const windowStartTime = Math.max(startTime, settings.dataStartTime);
+  const windowEndTime   = Math.min(endTime, settings.dataEndTime);
+  const firstDay        = Math.floor((windowStartTime + offset) / millisecondsPerDay);
+  const lastDay         = Math.floor((windowEndTime + offset) / millisecondsPerDay);
+
+  const occurrences = [];
+  for (let day = lastDay; day >= firstDay; day--) {
+    schedule.slice().reverse().forEach(item => {
+      const time = day * millisecondsPerDay + item.minuteOfDay * millisecondsPerMinute - offset;
+      if (time >= windowStartTime && time <= windowEndTime) {
+        occurrences.push({time: time, item: item});
+      }
+    });
+  }
+  return occurrences;
+}
+
+/**
+ * Creates the records of a user endpoint for a time window, newest first, in the format of an API version.
+ */
+function createRecords(settings, endpoint, apiVersion, startTime, endTime) {
+  const format = createTimeFormatter(settings, apiVersion);
+  const dated  = (recordType, time) => Object.assign(
+    (apiVersion === 'v3') ? {recordId: createRecordId(`${recordType}:${time}`)} : {},
+    {systemTime: format.systemTime(time), displayTime: format.displayTime(time)});
+  const v3Device = (apiVersion === 'v3') ? device : {};
+
+  switch (endpoint) {
+    case 'egvs':
+      return getReadingTimes(settings, startTime, endTime).map(time => {
+        const rate = glucoseRateAt(time);
+        return Object.assign(dated('egvs', time), {
+          value:     glucoseAt(time),
+          status:    null,
+          trend:     trendOf(rate),
+          trendRate: rate,
+        }, (apiVersion === 'v3') ?
+          Object.assign({unit: 'mg/dL', rateUnit: 'mg/dL/min', transmitterTicks: time / 1000}, device) :
+          {realtimeValue: glucoseAt(time), smoothedValue: null});
+      });
+
+    case 'events':
+      return getDailyOccurrences(settings, dailySchedules.events, startTime, endTime).map(occurrence => Object.assign(
+        dated('events', occurrence.time),
+        (apiVersion === 'v2') ? {eventId: createRecordId(`events:${occurrence.time}`)} : {},
+        {
+          eventStatus:  'created',
+          eventType:    occurrence.item.eventType,
+          eventSubType: occurrence.item.eventSubType,
+          value:        occurrence.item.value,
+          unit:         occurrence.item.unit,
+        }, v3Device));
+
+    case 'calibrations':
+      return getDailyOccurrences(settings, dailySchedules.calibrations, startTime, endTime).map(occurrence =>
+        Object.assign(dated('calibrations', occurrence.time), {
+          value: glucoseAt(occurrence.time) + 5,
+          unit:  'mg/dL',
+        }, v3Device));
+
+    case 'alerts':
+      return getDailyOccurrences(settings, dailySchedules.alerts, startTime, endTime).map(occurrence =>
+        Object.assign(dated('alerts', occurrence.time), {
+          alertName:  occurrence.item.alertName,
+          alertState: occurrence.item.alertState,
+        }, device));
+
+    case 'devices':
+      return [Object.assign({
+        lastUploadDate: format.displayTime(settings.dataEndTime),
+        // Dexcom names the alert schedules of a device differently in each API version.
+        [(apiVersion === 'v3') ? 'alertSchedules' : 'alertScheduleList']: [{
+          alertScheduleSettings: {
+            alertScheduleName: 'Default',
+            isEnabled:         true,
+            isDefaultSchedule: true,
+            startTime:         '00:00',
+            endTime:           '00:00',
+            daysOfWeek:        ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+          },
+          alertSettings: alertSettings,
+        }],
+      }, device)];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Creates the data range of the synthetic user, i.e. the times of the oldest and newest record of each record type.
+ */
+function createDataRange(settings, apiVersion) {
+  const format  = createTimeFormatter(settings, apiVersion);
+  const twoDays = 2 * millisecondsPerDay;
+
+  return ['calibrations', 'egvs', 'events'].reduce((dataRange, recordType) => {
+    const oldest = createRecords(settings, recordType, 'v2', settings.dataStartTime, settings.dataStartTime + twoDays);
+    const newest = createRecords(settings, recordType, 'v2', settings.dataEndTime - twoDays, settings.dataEndTime);
+    const range  = time => ({systemTime: format.systemTime(time), displayTime: format.displayTime(time)});
+    dataRange[recordType] = {
+      start: range(helpers.parseDexcomTime(oldest[oldest.length - 1].systemTime)),
+      end:   range(helpers.parseDexcomTime(newest[0].systemTime)),
+    };
+    return dataRange;
+  }, {});
+}
+
+/**
+ * Creates the statistics of the estimated glucose values of a time window, in the format of the v2 statistics
+ * endpoint.
+ */
+function createStatistics(settings, startTime, endTime) {
+  const egvs             = createRecords(settings, 'egvs', 'v2', startTime, endTime);
+  const computed         = metrics.computeGlycemicMetrics(egvs, {startTime: startTime, endTime: endTime});
+  const nCalibrations    = createRecords(settings, 'calibrations', 'v2', startTime, endTime).length;
+  const hypoglycemiaRisk = (computed.percentBelowRange === null || computed.percentBelowRange < 1) ? 'minimal' :
+    (computed.percentBelowRange < 4) ? 'low' :
+    (computed.percentBelowRange < 10) ? 'moderate' : 'high';
+
+  return {
+    hypoglycemiaRisk:      hypoglycemiaRisk,
+    min:                   computed.min,
+    max:                   computed.max,
+    mean:                  computed.mean,
+    median:                computed.median,
+    variance:              computed.variance,
+    stdDev:                computed.stdDev,
+    sum:                   egvs.reduce((sum, egv) => sum + egv.value, 0),
+    q1:                    computed.q1,
+    q2:                    computed.q2,
+    q3:                    computed.q3,
+    utilizationPercent:    computed.utilizationPercent,
+    meanDailyCalibrations: computed.nDays ? nCalibrations / computed.nDays : 0,
+    nDays:                 computed.nDays,
+    nValues:               computed.nValues,
+    nUrgentLow:            computed.nUrgentLow,
+    nBelowRange:           computed.nBelowRange,
+    nWithinRange:          computed.nWithinRange,
+    nAboveRange:           computed.nAboveRange,
+    percentUrgentLow:      computed.percentUrgentLow,
+    percentBelowRange:     computed.percentBelowRange,
+    percentWithinRange:    computed.percentWithinRange,
+    percentAboveRange:     computed.percentAboveRange,
+  };
+}
+
+/**
+ * Creates a mock of the Dexcom platform.
+ *
+ * @param mockOptions
+ * An optional object of the following format, all properties being optional:
+ * {
+ *   clientId: the client identifier that the mock accepts (defaults to 'mockclientid'),
+ *   clientSecret: the client secret that the mock accepts (defaults to 'mockclientsecret'),
+ *   redirectUri: the redirect URI returned by getClientOptions() (defaults to 'http://localhost/callback'),
+ *   dataStartTime: the UTC epoch time, in milliseconds, of the oldest record (defaults to 2015-11-01T12:00:00),
+ *   dataEndTime: the UTC epoch time, in milliseconds, of the newest record (defaults to 2016-01-31T12:00:00),
+ *   displayTimeOffsetMinutes: the UTC offset of the user's device, in minutes (defaults to 0),
+ *   tokenTimeToLiveSeconds: the lifetime of the access tokens issued by the mock (defaults to 7200),
+ *   strictRefreshTokens: whether refresh tokens that the mock did not issue are rejected (defaults to false, as the
+ *                        Dexcom sandbox accepts them); refresh tokens that were already exchanged are always rejected
+ * }
+ *
+ * @returns an object of the following format:
+ * {
+ *   start: function(), returning a Promise that wraps the base URL of the mock once it listens on a free port of the
+ *          loopback interface,
+ *   stop: function(), returning a Promise that resolves once the mock is closed,
+ *   getClientOptions: function(apiVersion), returning the options (see setOptions()) of a client of the mock, for
+ *                     the 'v2' (default) or 'v3' API,
+ *   createAuthorizationCode: function(userId), returning an authorization code, as if the user had logged in through
+ *                            the URL returned by getAuthorizationUrl(),
+ *   failNextRequests: function(status, count, failureOptions), answering the next count requests (defaults to 1)
+ *                     with an error status, failureOptions being an optional object of the following format:
+ *                     {
+ *                       path: a string that the path of the failing requests contains (defaults to any request),
+ *                       retryAfterSeconds: the Retry-After header of 429 responses (defaults to 1)
+ *                     },
+ *   expireAccessTokens: function(), expiring every access token issued so far,
+ *   requests: [<the requests received, as objects of the following format>]
+ *             {method: 'GET', path: '/v2/users/self/egvs', query: {...}, body: {...} or null, status: number}
+ * }
+ */
+function createMockServer(mockOptions) {
+  const settings           = Object.assign({}, defaultMockOptions, mockOptions);
+  const authorizationCodes = new Map();
+  const accessTokens       = new Map();
+  const refreshTokens      = new Map();
+  const rotatedTokens      = new Set();
+  const failures           = [];
+  const requests           = [];
+  const sockets            = new Set();
+  let baseUrl              = null;
+
+  function issueTokens(userId) {
+    const accessToken  = createToken();
+    const refreshToken = createToken();
+    accessTokens.set(accessToken, {userId: userId, expiresAt: Date.now() + settings.tokenTimeToLiveSeconds * 1000});
+    refreshTokens.set(refreshToken, userId);
+    return {
+      access_token:  accessToken,
+      expires_in:    settings.tokenTimeToLiveSeconds,
+      token_type:    'Bearer',
+      refresh_token: refreshToken,
+    };
+  }
+
+  function handleConsent(body) {
+    if (!body || body.clientId !== settings.clientId) {
+      return {status: 401, body: {error: 'invalid_client', error_description: 'unknown client'}};
+    }
+    const authCode = createToken();
+    authorizationCodes.set(authCode, body.userId);
+    return {status: 200, body: {authCode: authCode}};
+  }
+
+  function handleToken(body) {
+    if (!body || body.client_id !== settings.clientId || body.client_secret !== settings.clientSecret) {
+      return {status: 401, body: {error: 'invalid_client', error_description: 'invalid client credentials'}};
+    }
+
+    if (body.grant_type === 'authorization_code' && authorizationCodes.has(body.code)) {
+      const userId = authorizationCodes.get(body.code);
+      authorizationCodes.delete(body.code);
+      return {status: 200, body: issueTokens(userId)};
+    }
+    // Like Dexcom, the mock rotates refresh tokens: a refresh token is invalidated once it has been exchanged.
+    if (body.grant_type === 'refresh_token' && body.refresh_token && !rotatedTokens.has(body.refresh_token) &&
+        (!settings.strictRefreshTokens || refreshTokens.has(body.refresh_token))) {
+      // The refreshed tokens belong to the user of the refresh token; refresh tokens that the mock did not issue belong
+      // to no user.
+      const userId = refreshTokens.has(body.refresh_token) ? refreshTokens.get(body.refresh_token) : null;
+      refreshTokens.delete(body.refresh_token);
+      rotatedTokens.add(body.refresh_token);
+      return {status: 200, body: issueTokens(userId)};
+    }
+    return {status: 400, body: {error: 'invalid_grant', error_description: 'invalid code or refresh token'}};
+  }
+
+  function handleUserEndpoint(method, apiVersion, endpoint, query, body, authorization) {
+    const token      = /^Bearer (.+)$/.exec(authorization || '');
+    const tokenEntry = token && accessTokens.get(token[1]);
+    if (!tokenEntry || tokenEntry.expiresAt <= Date.now()) {
+      return {status: 401, body: {error: 'invalid_token', error_description: 'the access token is invalid or expired'}};
+    }
+
+    const supportsStatistics = apiVersion === 'v2' && endpoint === 'statistics';
+    const expectedMethod     = supportsStatistics ? 'POST' : 'GET';
+    const known              = ['egvs', 'events', 'calibrations', 'devices', 'dataRange'].includes(endpoint) ||
+      supportsStatistics || (apiVersion === 'v3' && endpoint === 'alerts');
+    if (!known || method !== expectedMethod) {
+      return {status: 404, body: {error: 'not_found', error_description: `unknown endpoint ${endpoint}`}};
+    }
+
+    if (endpoint === 'dataRange') {
+      const dataRange = createDataRange(settings, apiVersion);
+      return {
+        status: 200,
+        body:   (apiVersion === 'v3') ?
+          Object.assign({recordType: 'dataRange', recordVersion: '3.0', userId: tokenEntry.userId}, dataRange) :
+          dataRange,
+      };
+    }
+
+    // Every other endpoint requires a time window, as Dexcom does.
+    const startTime = query.startDate ? helpers.parseDexcomTime(query.startDate) : NaN;
+    const endTime   = query.endDate ? helpers.parseDexcomTime(query.endDate) : NaN;
+    const maximum   = maximumWindowMilliseconds[endpoint] || maximumWindowMilliseconds.default;
+    if (!(startTime < endTime) || endTime - startTime > maximum) {
+      return {
+        status: 400,
+        body:   {error: 'invalid_request', error_description: 'startDate and endDate must delimit a valid window'},
+      };
+    }
+
+    if (endpoint === 'statistics') {
+      return {status: 200, body: createStatistics(settings, startTime, endTime)};
+    }
+
+    const records = createRecords(settings, endpoint, apiVersion, startTime, endTime);
+    if (apiVersion === 'v3') {
+      return {
+        status: 200,
+        body:   {recordType: endpoint, recordVersion: '3.0', userId: tokenEntry.userId, records: records},
+      };
+    }
+    return {
+      status: 200,
+      body:   Object.assign((endpoint === 'egvs') ? {unit: 'mg/dL', rateUnit: 'mg/dL/min'} : {}, {[endpoint]: records}),
+    };
+  }
+
+  function route(request, parsedUrl, body) {
+    const failureIndex = failures.findIndex(failure => parsedUrl.pathname.includes(failure.path));
+    if (failureIndex >= 0) {
+      const failure = failures[failureIndex];
+      if (--failure.count === 0) {
+        failures.splice(failureIndex, 1);
+      }
+      return {
+        status:  failure.status,
+        body:    injectedErrorBodies[failure.status] || {error: 'server_error', error_description: 'injected failure'},
+        headers: (failure.status === 429) ? {'Retry-After': String(failure.retryAfterSeconds)} : {},
+      };
+    }
+
+    if (request.method === 'POST' && parsedUrl.pathname === '/consent') {
+      return handleConsent(body);
+    }
+    if (request.method === 'POST' && parsedUrl.pathname === '/v2/oauth2/token') {
+      return handleToken(body);
+    }
+    const userEndpoint = /^\/(v2|v3)\/users\/self\/([A-Za-z]+)$/.exec(parsedUrl.pathname);
+    if (userEndpoint) {
+      return handleUserEndpoint(request.method, userEndpoint[1], userEndpoint[2], parsedUrl.query, body,
+        request.headers.authorization);
+    }
+    return {status: 404, body: {error: 'not_found', error_description: `unknown path ${parsedUrl.pathname}`}};
+  }
+
+  const server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const text      = Buffer.concat(chunks).toString('utf8');
+      const parsedUrl = url.parse(request.url, true);
+      let body        = null;
+      try {
+        body = !text ? null :
+          (String(request.headers['content-type']).includes('application/json') ? JSON.parse(text) :
+            querystring.parse(text));
+      }
+      catch (error) {
+        body = null;
+      }
+
+      const result = route(request, parsedUrl, body);
+      requests.push({
+        method: request.method,
+        path:   parsedUrl.pathname,
+        query:  Object.assign({}, parsedUrl.query),
+        body:   body,
+        status: result.status,
+      });
+      response.writeHead(result.status, Object.assign({'Content-Type': 'application/json'}, result.headers));
+      response.end(JSON.stringify(result.body));
+    });
+  });
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return {
+    requests: requests,
+    start: function() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          resolve(baseUrl);
+        });
+      });
+    },
+    stop: function() {
+      // Close the connections that HTTP clients keep alive, so that the server closes right away.
+      return new Promise(resolve => {
+        server.close(() => resolve());
+        sockets.forEach(socket => socket.destroy());
+      });
+    },
+    getClientOptions: function(apiVersion) {
+      return {
+        clientId:     settings.clientId,
+        clientSecret: settings.clientSecret,
+        redirectUri:  settings.redirectUri,
+        apiUri:       baseUrl,
+        consentUri:   `${baseUrl}/consent`,
+        apiVersion:   apiVersion || 'v2',
+      };
+    },
+    createAuthorizationCode: function(userId) {
+      const code = createToken();
+      authorizationCodes.set(code, userId);
+      return code;
+    },
+    failNextRequests: function(status, count = 1, failureOptions = {}) {
+      failures.push({
+        status:            status,
+        count:             count,
+        path:              failureOptions.path || '',
+        retryAfterSeconds: (failureOptions.retryAfterSeconds !== undefined) ? failureOptions.retryAfterSeconds : 1,
+      });
+    },
+    expireAccessTokens: function() {
+      accessTokens.forEach(tokenEntry => {
+        tokenEntry.expiresAt = 0;
+      });
+    },
+  };
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.defaultMockOptions = defaultMockOptions;
+exports.createMockServer   = createMockServer;
@@ -0,0 +1,239 @@
+/**
+ * This file contains the bridge to Nightscout, the open source CGM data server: the conversion of estimated glucose
+ * values to Nightscout entries and of events to Nightscout treatments, and the requests that upload them to a
+ * Nightscout site through its v1 API, authenticated by the SHA-1 hash of the site's API secret.
+ *
+ * Nightscout stores glucose values in mg/dL, whatever the unit its site displays, so values in mmol/L are converted.
+ *
+ * @see https://github.com/nightscout/cgm-remote-monitor
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const crypto  = require('crypto');
+const helpers = require('./helpers.js');
+const units   = require('./units.js');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The Nightscout direction and numeric trend of each Dexcom trend.
+ */
+const trends = {
+  doubleUp:       {direction: 'DoubleUp',          trend: 1},
+  singleUp:       {direction: 'SingleUp',          trend: 2},
+  fortyFiveUp:    {direction: 'FortyFiveUp',       trend: 3},
+  flat:           {direction: 'Flat',              trend: 4},
+  fortyFiveDown:  {direction: 'FortyFiveDown',     trend: 5},
+  singleDown:     {direction: 'SingleDown',        trend: 6},
+  doubleDown:     {direction: 'DoubleDown',        trend: 7},
+  notComputable:  {direction: 'NOT COMPUTABLE',    trend: 8},
+  rateOutOfRange: {direction: 'RATE OUT OF RANGE', trend: 9},
+  none:           {direction: 'NONE',              trend: 0},
+};
+
+/**
+ * The Nightscout treatment of each type of Dexcom event that has one: its event type, and the property that holds the
+ * value of the event. Other types of events are not converted.
+ */
+const treatmentTypes = {
+  carbs:    {eventType: 'Carb Correction',  valueProperty: 'carbs'},
+  insulin:  {eventType: 'Correction Bolus', valueProperty: 'insulin'},
+  exercise: {eventType: 'Exercise',         valueProperty: 'duration'},
+};
+
+/**
+ * The subtypes of events that are not converted, by type of event. Long acting insulin would count as a bolus in
+ * Nightscout, whose basal treatments hold rates of delivery rather than the doses of injections.
+ */
+const skippedEventSubTypes = {
+  insulin: ['longActing'],
+};
+
+/**
+ * The options used to convert records to Nightscout documents, for the options that the caller does not specify.
+ */
+const defaultNightscoutOptions = {
+  device: 'dexcom-js',
+};
+
+/**
+ * The paths of the Nightscout v1 API to which entries and treatments are posted.
+ */
+const apiPaths = {
+  entries:    '/api/v1/entries',
+  treatments: '/api/v1/treatments',
+};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Hashes the API secret of a Nightscout site, as Nightscout expects it in the api-secret header of requests.
+ *
+ * @param apiSecret
+ * The API secret of the Nightscout site, in plain text.
+ *
+ * @returns the SHA-1 hash of the secret, as lower case hexadecimal characters.
+ */
+function hashApiSecret(apiSecret) {
+  return crypto.createHash('sha1').update(apiSecret, 'utf8').digest('hex');
+}
+
+/**
+ * Converts estimated glucose value records to Nightscout entries.
+ *
+ * @param estimatedGlucoseValues
+ * An estimatedGlucoseValues object returned by getEstimatedGlucoseValues() or getEstimatedGlucoseValuesAnyDateRange().
+ * Records without a numeric value are skipped.
+ *
+ * @param nightscoutOptions
+ * The same as for convertToNightscout().
+ *
+ * @returns an array of entries of the following format, newest first as Nightscout lists them:
+ * {
+ *   type: 'sgv',
+ *   sgv: the glucose value, in mg/dL,
+ *   direction: the Nightscout direction of the record's trend, such as 'Flat',
+ *   trend: the numeric Nightscout trend, from 1 (DoubleUp) to 7 (DoubleDown),
+ *   date: the UTC epoch time, in milliseconds, of the record's systemTime,
+ *   dateString: the same time, as an ISO 8601 string in UTC,
+ *   device: the name of the uploading device
+ * }
+ */
+function convertEgvsToEntries(estimatedGlucoseValues, nightscoutOptions) {
+  const settings = Object.assign({}, defaultNightscoutOptions, nightscoutOptions);
+  const unit     = estimatedGlucoseValues.unit || 'mg/dL';
+
+  return (estimatedGlucoseValues.egvs || [])
+    .filter(egv => typeof egv.value === 'number')
+    .map(egv => {
+      const date  = helpers.parseDexcomTime(egv.systemTime);
+      const trend = trends[egv.trend] || trends.none;
+      return {
+        type:       'sgv',
+        sgv:        units.convertGlucose(egv.value, unit, 'mg/dL'),
+        direction:  trend.direction,
+        trend:      trend.trend,
+        date:       date,
+        dateString: new Date(date).toISOString(),
+        device:     settings.device,
+      };
+    })
+    .sort((entry1, entry2) => entry2.date - entry1.date);
+}
+
+/**
+ * Converts event records to Nightscout treatments. Only carbs, insulin and exercise events are converted; long acting
+ * insulin, and events that were deleted on the user's device, are skipped.
+ *
+ * @param events
+ * An events object returned by getEvents() or getEventsAnyDateRange().
+ *
+ * @param nightscoutOptions
+ * The same as for convertToNightscout().
+ *
+ * @returns an array of treatments of the following format, newest first:
+ * {
+ *   eventType: 'Carb Correction', 'Correction Bolus' or 'Exercise',
+ *   carbs, insulin or duration: the grams of carbs, the units of insulin or the minutes of exercise,
+ *   notes: the subtype of the event, such as 'fastActing' or 'light', if it has one,
+ *   created_at: the time of the record's systemTime, as an ISO 8601 string in UTC,
+ *   enteredBy: the name of the uploading device
+ * }
+ */
+function convertEventsToTreatments(events, nightscoutOptions) {
+  const settings = Object.assign({}, defaultNightscoutOptions, nightscoutOptions);
+
+  return (events.events || [])
+    .filter(event => event.eventType in treatmentTypes && event.eventStatus !== 'deleted')
+    .filter(event => !(skippedEventSubTypes[event.eventType] || []).includes(event.eventSubType))
+    .map(event => ({event: event, time: helpers.parseDexcomTime(event.systemTime)}))
+    .sort((el1, el2) => el2.time - el1.time)
+    .map(el => {
+      const treatmentType = treatmentTypes[el.event.eventType];
+      return Object.assign(
+        {eventType: treatmentType.eventType, [treatmentType.valueProperty]: el.event.value},
+        el.event.eventSubType ? {notes: el.event.eventSubType} : {},
+        {created_at: new Date(el.time).toISOString(), enteredBy: settings.device});
+    });
+}
+
+/**
+ * Converts estimated glucose values and events to Nightscout documents.
+ *
+ * @param results
+ * An object returned by getEstimatedGlucoseValues(), getEvents() or their date range counterparts, or an array of such
+ * objects.
+ *
+ * @param nightscoutOptions
+ * An optional object of the following format:
+ * {
+ *   device: the name of the uploading device, recorded in each document (defaults to 'dexcom-js')
+ * }
+ *
+ * @returns an object of the following format:
+ * {
+ *   entries: [<the entries of the estimated glucose values (see convertEgvsToEntries())>],
+ *   treatments: [<the treatments of the events (see convertEventsToTreatments())>]
+ * }
+ */
+function convertToNightscout(results, nightscoutOptions) {
+  return [].concat(results).reduce((documents, result) => ({
+    entries:    documents.entries.concat(result.estimatedGlucoseValues ?
+      convertEgvsToEntries(result.estimatedGlucoseValues, nightscoutOptions) :
+      []),
+    treatments: documents.treatments.concat(result.events ?
+      convertEventsToTreatments(result.events, nightscoutOptions) :
+      []),
+  }), {entries: [], treatments: []});
+}
+
+/**
+ * Builds the requests that upload Nightscout documents to a Nightscout site.
+ *
+ * @param baseUrl
+ * The URL of the Nightscout site, such as 'https://example.herokuapp.com'.
+ *
+ * @param apiSecret
+ * The API secret of the Nightscout site, in plain text.
+ *
+ * @param documents
+ * An object returned by convertToNightscout().
+ *
+ * @returns an array of axios request configurations, one for the entries and one for the treatments, without those
+ * that would post no documents.
+ */
+function buildUploadRequests(baseUrl, apiSecret, documents) {
+  const headers = {'api-secret': hashApiSecret(apiSecret)};
+  return Object.keys(apiPaths)
+    .filter(collection => documents[collection].length > 0)
+    .map(collection => ({
+      method:  'post',
+      url:     baseUrl.replace(/\/+$/, '') + apiPaths[collection],
+      headers: headers,
+      data:    documents[collection],
+    }));
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.defaultNightscoutOptions  = defaultNightscoutOptions;
+exports.hashApiSecret             = hashApiSecret;
+exports.convertEgvsToEntries      = convertEgvsToEntries;
+exports.convertEventsToTreatments = convertEventsToTreatments;
+exports.convertToNightscout       = convertToNightscout;
+exports.buildUploadRequests       = buildUploadRequests;
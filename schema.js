@@ -2,6 +2,8 @@
  * @brief The JSON schema for the objects in this package that will be validated using JSON schema validators.
  */
 
+const csvColumns = require('./csv-columns.js');
+
 /**
  * Epoch time in milliseconds (64-bit value).
  */
@@ -23,6 +25,9 @@ const packageOptions = {
     "clientSecret": {"type": "string", "minLength": 1, "maxLength": 16},
     "redirectUri":  {"type": "string", "format": "uri"},
     "apiUri":       {"type": "string", "format": "uri"},
+    "consentUri":   {"type": "string", "format": "uri"},
+    "apiVersion":   {"type": "string", "enum": ["v2", "v3"]},
+    "glucoseUnit":  {"type": "string", "enum": ["mg/dL", "mmol/L"]},
   },
   "required": [
     "clientId",
@@ -90,13 +95,303 @@ const sandboxAuthCodes = {
   ]
 };
 
+/**
+ * @brief Defines the list of OAuth 2.0 scopes that may be requested when sending a user to the Dexcom login page.
+ */
+const oauthScopes = {
+  "id":       "/OAuthScopes",
+  "type":     "array",
+  "minItems": 1,
+  "items":    {"type": "string", "minLength": 1, "maxLength": 64, "pattern": "^\\S+$"},
+};
+
+/**
+ * @brief Defines an authorization code that Dexcom passes to the redirect URI after the user grants access.
+ */
+const authorizationCode = {
+  "id":        "/AuthorizationCode",
+  "type":      "string",
+  "minLength": 1,
+  "maxLength": 1024,
+};
+
+/**
+ * @brief Defines a caller-chosen identifier under which a user's OAuth tokens are held by a token store.
+ */
+const userId = {
+  "id":        "/UserId",
+  "type":      "string",
+  "minLength": 1,
+  "maxLength": 256,
+};
+
+/**
+ * @brief Defines the options that control how a date range of any duration is split into requests and fetched.
+ */
+const rangeOptions = {
+  "id":   "/RangeOptions",
+  "type": "object",
+  "properties": {
+    "concurrency":         {"type": "integer", "minimum": 1, "maximum": 32},
+    "retries":             {"type": "integer", "minimum": 0, "maximum": 10},
+    "allowPartialResults": {"type": "boolean"},
+    "unit":                {"type": "string", "enum": ["mg/dL", "mmol/L"]},
+  },
+  "additionalProperties": false
+};
+
+/**
+ * @brief Defines the options that control how estimated glucose values are split into days.
+ */
+const shardOptions = {
+  "id":   "/ShardOptions",
+  "type": "object",
+  "properties": {
+    "byDisplayDate": {"type": "boolean"},
+    "timeZone":      {"type": "string", "minLength": 1},
+  },
+  "additionalProperties": false
+};
+
+/**
+ * @brief Defines the options that control how a user's data is synchronized incrementally.
+ */
+const syncOptions = {
+  "id":   "/SyncOptions",
+  "type": "object",
+  "properties": {
+    "overlapMinutes": {"type": "integer", "minimum": 0, "maximum": 10080},
+    "recordTypes": {
+      "type":        "array",
+      "minItems":    1,
+      "uniqueItems": true,
+      "items":       {"type": "string", "enum": ["egvs", "events", "calibrations"]}
+    },
+    "concurrency":    {"type": "integer", "minimum": 1, "maximum": 32},
+    "retries":        {"type": "integer", "minimum": 0, "maximum": 10},
+    "unit":           {"type": "string", "enum": ["mg/dL", "mmol/L"]},
+  },
+  "additionalProperties": false
+};
+
+/**
+ * @brief Defines the property of a synchronization cursor that records how far a record type was synchronized.
+ */
+const syncCursorEntry = {
+  "id":   "/SyncCursorEntry",
+  "type": "object",
+  "properties": {
+    "lastSystemTime": {"type": "string", "pattern": "^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}"},
+    "recentKeys":     {"type": "array", "items": {"type": "string"}},
+  },
+  "required": ["lastSystemTime", "recentKeys"],
+  "additionalProperties": false
+};
+
+/**
+ * @brief Defines the cursor that records how far a user's data was synchronized.
+ */
+const syncCursor = {
+  "id":   "/SyncCursor",
+  "type": "object",
+  "properties": {
+    "egvs":         {"$ref": "/SyncCursorEntry"},
+    "events":       {"$ref": "/SyncCursorEntry"},
+    "calibrations": {"$ref": "/SyncCursorEntry"},
+  },
+  "additionalProperties": false
+};
+
+/**
+ * @brief Defines the policy that governs how failed HTTP requests to the Dexcom platform are retried.
+ */
+const retryPolicy = {
+  "id":   "/RetryPolicy",
+  "type": "object",
+  "properties": {
+    "maxAttempts":           {"type": "integer", "minimum": 1, "maximum": 10},
+    "baseDelayMilliseconds": {"type": "integer", "minimum": 0, "maximum": 60000},
+    "maxDelayMilliseconds":  {"type": "integer", "minimum": 0, "maximum": 600000},
+    "jitter":                {"type": "boolean"},
+  },
+  "additionalProperties": false
+};
+
+/**
+ * @brief Defines the target ranges for which the Dexcom statistics endpoint computes time in range. Each target range
+ * applies to a time of day (e.g. day and night), and its bounds are in mg/dL.
+ */
+const targetRanges = {
+  "id":       "/TargetRanges",
+  "type":     "array",
+  "minItems": 1,
+  "maxItems": 24,
+  "items": {
+    "type": "object",
+    "properties": {
+      "name":      {"type": "string", "minLength": 1, "maxLength": 64},
+      "startTime": {"type": "string", "pattern": "^([01][0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$"},
+      "endTime":   {"type": "string", "pattern": "^([01][0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$"},
+      "egvRanges": {
+        "type":     "array",
+        "minItems": 1,
+        "maxItems": 3,
+        "items": {
+          "type": "object",
+          "properties": {
+            "name":  {"type": "string", "enum": ["urgentLow", "low", "high"]},
+            "bound": {"type": "number", "minimum": 40, "maximum": 400},
+          },
+          "required": ["name", "bound"],
+          "additionalProperties": false
+        }
+      },
+    },
+    "required": ["name", "startTime", "endTime", "egvRanges"],
+    "additionalProperties": false
+  }
+};
+
+/**
+ * @brief Defines the options that control how glycemic metrics are computed from estimated glucose values.
+ */
+const metricsOptions = {
+  "id":   "/MetricsOptions",
+  "type": "object",
+  "properties": {
+    "unit":                   {"type": "string", "enum": ["mg/dL", "mmol/L"]},
+    "startTime":              {"type": "integer", "minimum": 0},
+    "endTime":                {"type": "integer", "minimum": 0},
+    "readingIntervalMinutes": {"type": "number", "minimum": 0, "exclusiveMinimum": true, "maximum": 60},
+  },
+  "additionalProperties": false
+};
+
+/**
+ * @brief Defines the options that control how the gaps and completeness of estimated glucose values are reported.
+ */
+const completenessOptions = {
+  "id":   "/CompletenessOptions",
+  "type": "object",
+  "properties": {
+    "readingIntervalMinutes": {"type": "number", "minimum": 0, "exclusiveMinimum": true, "maximum": 60},
+    "minimumGapMinutes":      {"type": "number", "minimum": 0, "exclusiveMinimum": true},
+    "startTime":              {"type": "integer", "minimum": 0},
+    "endTime":                {"type": "integer", "minimum": 0},
+  },
+  "additionalProperties": false
+};
+
+/**
+ * @brief Defines the options that control how an Ambulatory Glucose Profile is built from estimated glucose values.
+ */
+const agpOptions = {
+  "id":   "/AgpOptions",
+  "type": "object",
+  "properties": {
+    "binMinutes":          {"type": "integer", "minimum": 1, "maximum": 1440},
+    "minimumValuesPerBin": {"type": "integer", "minimum": 1},
+    "percentiles": {
+      "type":     "array",
+      "minItems": 1,
+      "items":    {"type": "number", "minimum": 0, "maximum": 100}
+    },
+  },
+  "additionalProperties": false
+};
+
+/**
+ * @brief Defines the options that control how records are exported as CSV.
+ */
+const csvOptions = {
+  "id":   "/CsvOptions",
+  "type": "object",
+  "properties": {
+    "columns": {
+      "type":        "array",
+      "minItems":    1,
+      "uniqueItems": true,
+      "items":       {
+        "type": "string",
+        "enum": csvColumns.columnNames
+      }
+    },
+    "timeField": {"type": "string", "enum": ["systemTime", "displayTime"]},
+    "header":    {"type": "boolean"},
+  },
+  "additionalProperties": false
+};
+
+/**
+ * @brief Defines the options that control how CGM data is converted to a FHIR Bundle.
+ */
+const fhirOptions = {
+  "id":   "/FhirOptions",
+  "type": "object",
+  "properties": {
+    "patientReference": {"type": "string", "minLength": 1},
+    "deviceReference":  {"type": "string", "minLength": 1},
+    "bundleType":       {"type": "string", "enum": ["transaction", "collection"]},
+    "startTime":        {"type": "integer", "minimum": 0},
+    "endTime":          {"type": "integer", "minimum": 0},
+  },
+  "additionalProperties": false
+};
+
+/**
+ * @brief Defines the options that control how CGM data is converted for, and uploaded to, a Nightscout site.
+ */
+const nightscoutOptions = {
+  "id":   "/NightscoutOptions",
+  "type": "object",
+  "properties": {
+    "baseUrl":   {"type": "string", "pattern": "^https?://[^/]+"},
+    "apiSecret": {"type": "string", "minLength": 1},
+    "device":    {"type": "string", "minLength": 1},
+  },
+  "additionalProperties": false
+};
+
+/**
+ * @brief Defines the options that control which alerts are counted by the alert summaries.
+ */
+const alertSummaryOptions = {
+  "id":   "/AlertSummaryOptions",
+  "type": "object",
+  "properties": {
+    "alertStates": {
+      "type":        "array",
+      "uniqueItems": true,
+      "items":       {"type": "string", "enum": ["unknown", "inactive", "activeSnoozed", "activeAlarming"]}
+    },
+  },
+  "additionalProperties": false
+};
+
 
 //**************
 //* Public API *
 //**************
 
-exports.epochTime        = epochTime;
-exports.packageOptions   = packageOptions;
-exports.dexcomOAuthToken = dexcomOAuthToken;
-exports.oauthTokens      = oauthTokens;
-exports.sandboxAuthCodes = sandboxAuthCodes;
+exports.epochTime           = epochTime;
+exports.packageOptions      = packageOptions;
+exports.dexcomOAuthToken    = dexcomOAuthToken;
+exports.oauthTokens         = oauthTokens;
+exports.sandboxAuthCodes    = sandboxAuthCodes;
+exports.oauthScopes         = oauthScopes;
+exports.authorizationCode   = authorizationCode;
+exports.userId              = userId;
+exports.rangeOptions        = rangeOptions;
+exports.shardOptions        = shardOptions;
+exports.syncOptions         = syncOptions;
+exports.syncCursorEntry     = syncCursorEntry;
+exports.syncCursor          = syncCursor;
+exports.retryPolicy         = retryPolicy;
+exports.targetRanges        = targetRanges;
+exports.metricsOptions      = metricsOptions;
+exports.agpOptions          = agpOptions;
+exports.completenessOptions = completenessOptions;
+exports.csvOptions          = csvOptions;
+exports.fhirOptions         = fhirOptions;
+exports.nightscoutOptions   = nightscoutOptions;
+exports.alertSummaryOptions = alertSummaryOptions;
@@ -0,0 +1,139 @@
+/**
+ * This file contains the bookkeeping of incremental synchronization: the cursor that records, for each record type,
+ * how far a user's data was synchronized, the time window to request on the next synchronization, and the removal of
+ * the records that were already returned by a previous synchronization.
+ *
+ * A cursor is an object of the following format, each of its properties being optional:
+ * {
+ *   egvs: {
+ *     lastSystemTime: "YYYY-MM-DDThh:mm:ss", the system time of the newest record synchronized so far,
+ *     recentKeys: [<the keys of the records synchronized so far whose system time falls within the overlap that
+ *                  precedes lastSystemTime>]
+ *   },
+ *   events: {...},
+ *   calibrations: {...}
+ * }
+ *
+ * Every synchronization requests again the records of the overlap that precedes lastSystemTime, so that records
+ * uploaded late by the user's devices are not missed; recentKeys tells which of them were already returned.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const helpers = require('./helpers.js');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The record types that are synchronized.
+ *
+ * @type {string[]}
+ */
+const syncRecordTypes = ['egvs', 'events', 'calibrations'];
+
+/**
+ * The options used to synchronize a user's data, for the options that the caller does not specify.
+ */
+const defaultSyncOptions = {
+  overlapMinutes: 60,
+  recordTypes:    syncRecordTypes,
+};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Gets the time window to request in order to synchronize a record type.
+ *
+ * @param cursorEntry
+ * The property of the cursor for the record type, or undefined if the record type was never synchronized.
+ *
+ * @param recordRange
+ * The property of the object returned by getDataRange() for the record type, i.e. an object of the following format:
+ * {
+ *   start: {systemTime: "YYYY-MM-DDThh:mm:ss", ...},
+ *   end: {systemTime: "YYYY-MM-DDThh:mm:ss", ...}
+ * }
+ *
+ * @param overlapMilliseconds
+ * The duration, in milliseconds, of the overlap requested again before lastSystemTime.
+ *
+ * @returns an object of the following format, or null if there is nothing to request:
+ * {
+ *   startTime: epochMilliseconds,
+ *   endTime: epochMilliseconds
+ * }
+ */
+function getSyncWindow(cursorEntry, recordRange, overlapMilliseconds) {
+  const startTime = !cursorEntry ?
+    -Infinity :
+    helpers.parseDexcomTime(cursorEntry.lastSystemTime) - overlapMilliseconds;
+  return helpers.clampToAvailableData(startTime, Infinity, recordRange);
+}
+
+/**
+ * Removes, from the records fetched for a record type, those that a previous synchronization already returned, and
+ * advances the cursor of the record type.
+ *
+ * @param records
+ * The records fetched for the time window returned by getSyncWindow(), newest first.
+ *
+ * @param cursorEntry
+ * The property of the cursor for the record type, or undefined if the record type was never synchronized.
+ *
+ * @param endpoint
+ * The description of the Dexcom endpoint of the record type, whose getRecordKey() and getRecordTime() functions
+ * identify and date its records.
+ *
+ * @param overlapMilliseconds
+ * The duration, in milliseconds, of the overlap requested again before lastSystemTime.
+ *
+ * @returns an object of the following format:
+ * {
+ *   records: [<the records that no previous synchronization returned, newest first>],
+ *   cursorEntry: {<the new property of the cursor for the record type>}
+ * }
+ */
+function applySyncedRecords(records, cursorEntry, endpoint, overlapMilliseconds) {
+  const knownKeys  = new Set(cursorEntry ? cursorEntry.recentKeys : []);
+  const newRecords = records.filter(record => !knownKeys.has(endpoint.getRecordKey(record)));
+  if (records.length === 0) {
+    return {records: newRecords, cursorEntry: cursorEntry};
+  }
+
+  // The records fetched cover the whole overlap of the new cursor, since its lastSystemTime cannot move backwards.
+  const times        = records.map(record => helpers.parseDexcomTime(endpoint.getRecordTime(record)));
+  const previousTime = cursorEntry ? helpers.parseDexcomTime(cursorEntry.lastSystemTime) : -Infinity;
+  const lastTime     = times.reduce((maximum, time) => Math.max(maximum, time), previousTime);
+  const overlapStart = lastTime - overlapMilliseconds;
+
+  return {
+    records:     newRecords,
+    cursorEntry: {
+      lastSystemTime: helpers.dexcomifyEpochTime(lastTime),
+      recentKeys:     records
+        .filter((record, idx) => times[idx] >= overlapStart)
+        .map(record => endpoint.getRecordKey(record)),
+    },
+  };
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.syncRecordTypes    = syncRecordTypes;
+exports.defaultSyncOptions = defaultSyncOptions;
+exports.getSyncWindow      = getSyncWindow;
+exports.applySyncedRecords = applySyncedRecords;
@@ -12,18 +12,15 @@
 const tape          = require('tape');
 const _test         = require('tape-promise').default; // <---- notice 'default'
 const test          = _test(tape); // decorate tape
-const yaml          = require('js-yaml');
-const fs            = require('fs');
 const DexcomJS      = require('../index.js');
+const environment   = require('./lib/dexcom-environment.js');
 
 
 //*************
 //* Constants *
 //*************
 
-const options = yaml.safeLoad(fs.readFileSync('./test/secrets.yml', 'utf8'));
-//console.log(options);
-DexcomJS.setOptions(options);
+const tearDownDexcom = environment.setUpDexcom(test, DexcomJS);
 
 
 //**************
@@ -55,3 +52,4 @@ test('Verify we can obtain authentication tokens for SandboxUser2', async functi
   t.ok(oauthTokens.dexcomOAuthToken.refresh_token, 'result contains dexcomOAuthToken.refresh_token');
 });
 
+tearDownDexcom();
@@ -9,22 +9,19 @@
 //* Modules *
 //***********
 
-const yaml          = require('js-yaml');
-const fs            = require('fs');
 const tape          = require('tape');
 const _test         = require('tape-promise').default; // <---- notice 'default'
 const test          = _test(tape); // decorate tape
 const index         = require('../index.js');
 const helpers       = require('../helpers.js');
+const environment   = require('./lib/dexcom-environment.js');
 
 
 //*************
 //* Constants *
 //*************
 
-const options = yaml.safeLoad(fs.readFileSync('./test/secrets.yml', 'utf8'));
-//console.log(options);
-index.setOptions(options);
+const tearDownDexcom = environment.setUpDexcom(test, index);
 
 
 //**************
@@ -117,6 +114,15 @@ test('Verify dexcomifyEpochTime()', function (t) {
   t.end();
 });
 
+test('Verify getLocalDate()', function (t) {
+  t.equal(helpers.getLocalDate({systemTime: '2020-04-05T23:30:00', displayTime: '2020-04-06T01:30:00+02:00'}),
+    '2020-04-06', 'the date is that of the display time.');
+  t.equal(helpers.getLocalDate({systemTime: '2020-04-05T23:30:00'}), '2020-04-05',
+    'records without a display time fall back to their system time.');
+
+  t.end();
+});
+
 test('Verify validateTimeWindow()', function (t) {
   const t0 = -1;
   const t1 = 1;
@@ -187,7 +193,7 @@ test('Verify validateOAuthTokens()', function (t) {
 
 test('Verify refreshAccessToken()', async function (t) {
   const oauthTokens = await index.getSandboxAuthenticationToken('authcode6');
-  const result      = await helpers.refreshAccessToken(options, oauthTokens, true);
+  const result      = await helpers.refreshAccessToken(index.options, oauthTokens, true);
 
   console.log(oauthTokens);
   console.log(result);
@@ -200,10 +206,12 @@ test('Verify refreshAccessToken() with an old token', async function (t) {
 
   // this token appears to work no matter what the user is.   wut....
   oauthTokens.dexcomOAuthToken.refresh_token = 'f1749e8056cfebce02e29e903226dd17';
-  const result      = await helpers.refreshAccessToken(options, oauthTokens, true);
+  const result      = await helpers.refreshAccessToken(index.options, oauthTokens, true);
 
   //console.log(oauthTokens);
   //console.log(result);
   t.ok('timestamp'        in result, 'result contains timestamp');
   t.ok('dexcomOAuthToken' in result, 'result contains dexcomOAuthToken');
 });
+
+tearDownDexcom();
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for the Ambulatory Glucose Profiles built by module ../agp.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const days = ['2015-11-18', '2015-11-19', '2015-11-20', '2015-11-21', '2015-11-22'];
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates estimated glucose value records for each day, at 08:00, 08:05 and 08:10 device time, and a single record at
+ * 12:00 device time on the first day only. The values recorded at 08:00-08:14 are 100, 101, ..., 114.
+ */
+function createEgvs() {
+  const morningEgvs = days.map((day, dayIdx) => ['08:00', '08:05', '08:10'].map((time, timeIdx) => ({
+    systemTime:  `${day}T16:${time.slice(3)}:00`,
+    displayTime: `${day}T${time}:00-08:00`,
+    value:       100 + dayIdx * 3 + timeIdx,
+  })));
+  const noonEgv = {systemTime: `${days[0]}T20:00:00`, displayTime: `${days[0]}T12:00:00-08:00`, value: 250};
+  return [].concat(...morningEgvs, noonEgv, {systemTime: `${days[0]}T20:05:00`, value: null});
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify buildAmbulatoryGlucoseProfile() folds values into time-of-day bins', function (t) {
+  const profile = DexcomJS.buildAmbulatoryGlucoseProfile(createEgvs());
+
+  t.equal(profile.bins.length, 96,                              'the day is divided into 15-minute bins by default');
+  t.deepEqual([profile.bins[0].startTime, profile.bins[95].endTime], ['00:00', '24:00'], 'the bins cover the day');
+  t.equal(profile.nDays, 5,                                     'days with values are counted');
+  t.equal(profile.bins[32].startTime, '08:00',                  'bins begin at their time of day');
+  t.equal(profile.bins[32].nValues, 15,                         'values of every day are folded into their bin');
+  t.deepEqual(profile.bins[32].values, {p5: 100.7, p25: 103.5, p50: 107, p75: 110.5, p95: 113.3},
+    'the percentiles of a bin are interpolated');
+  t.equal(profile.bins[48].nValues, 1,                          'times of day are those of the device');
+  t.equal(profile.bins[48].values, null,                        'bins with too few values have no percentiles');
+  t.equal(profile.curves.p50[32], 107,                          'the curves hold the percentiles of each bin');
+  t.equal(profile.curves.p50[48], null,                         'the curves hold null for bins with too few values');
+
+  t.end();
+});
+
+test('Verify buildAmbulatoryGlucoseProfile() options', function (t) {
+  const profile = DexcomJS.buildAmbulatoryGlucoseProfile(createEgvs(),
+    {binMinutes: 60, minimumValuesPerBin: 1, percentiles: [10, 50, 90]});
+
+  t.equal(profile.bins.length, 24,                              'the bin width may be configured');
+  t.deepEqual(Object.keys(profile.curves), ['p10', 'p50', 'p90'], 'the percentiles may be configured');
+  t.deepEqual(profile.bins[12].values, {p10: 250, p50: 250, p90: 250}, 'the minimum number of values may be lowered');
+
+  t.throws(() => {DexcomJS.buildAmbulatoryGlucoseProfile([], {binMinutes: 7});},
+    DexcomJS.DexcomValidationError, 'bin widths that do not divide the day are rejected.');
+  t.throws(() => {DexcomJS.buildAmbulatoryGlucoseProfile([], {percentiles: [50, 25]});},
+    DexcomJS.DexcomValidationError, 'percentiles out of order are rejected.');
+  t.throws(() => {DexcomJS.buildAmbulatoryGlucoseProfile([], {minimumValuesPerBin: 0});},
+    DexcomJS.DexcomValidationError, 'minimum numbers of values below 1 are rejected.');
+
+  t.end();
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the alert history functions of module ../index.js, and for the summaries of module ../alerts.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const helpers       = require('../helpers.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options     = Object.assign({}, fixtures.options, {apiVersion: 'v3'});
+const oauthTokens = fixtures.createOAuthTokens(Date.now());
+
+const millisecondsPerDay = 86400 * 1000;
+const startTime          = 1447804800000;                    // 2015-11-18T00:00:00
+const endTime            = startTime + 60 * millisecondsPerDay;
+
+const alertRecords = [
+  {recordId: 'e', displayTime: '2015-11-19T23:30:00-08:00', alertName: 'high',       alertState: 'activeSnoozed'},
+  {recordId: 'd', displayTime: '2015-11-19T08:00:00-08:00', alertName: 'urgentLow',  alertState: 'activeAlarming'},
+  {recordId: 'c', displayTime: '2015-11-18T22:00:00-08:00', alertName: 'high',       alertState: 'activeAlarming'},
+  {recordId: 'b', displayTime: '2015-11-18T21:00:00-08:00', alertName: 'high',       alertState: 'activeAlarming'},
+  {recordId: 'a', displayTime: '2015-11-18T07:00:00-08:00', alertName: 'noReadings', alertState: 'activeAlarming'},
+];
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates a stand-in for an axios instance that answers like the v3 alerts endpoint, with one high alert per day,
+ * including both ends of the requested time window, newest first.
+ */
+function createAlertsHttpClient() {
+  return {
+    requests: [],
+    request: async function(requestConfig) {
+      this.requests.push(requestConfig);
+
+      const windowStartTime = helpers.parseDexcomTime(requestConfig.params.startDate);
+      const windowEndTime   = helpers.parseDexcomTime(requestConfig.params.endDate);
+      const records         = [];
+      for (let time = windowEndTime; time >= windowStartTime; time -= millisecondsPerDay) {
+        const systemTime = helpers.dexcomifyEpochTime(time);
+        records.push({recordId: systemTime, systemTime: systemTime, displayTime: systemTime, alertName: 'high'});
+      }
+      return {status: 200, data: {recordType: 'alert', recordVersion: '3.0', userId: 'user', records: records}};
+    }
+  };
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify getAlerts() splits date ranges into 30-day requests', async function (t) {
+  const httpClient = createAlertsHttpClient();
+  const client     = DexcomJS.createClient(options, {httpClient});
+
+  const result = await client.getAlerts(oauthTokens, startTime, endTime);
+  t.equal(httpClient.requests.length, 3,                'a 60-day range is fetched with three requests');
+  t.ok(httpClient.requests.every(requestConfig => requestConfig.url.endsWith('/v3/users/self/alerts')),
+    'the v3 alerts endpoint is used');
+  t.equal(result.alerts.alerts.length, 61,              'alerts on the boundaries are returned once');
+  t.equal(result.alerts.alerts[0].systemTime, helpers.dexcomifyEpochTime(endTime), 'alerts are ordered newest first');
+
+  const v2Client = DexcomJS.createClient(Object.assign({}, options, {apiVersion: 'v2'}), {httpClient});
+  await t.rejects(v2Client.getAlerts(oauthTokens, startTime, endTime), DexcomJS.DexcomValidationError,
+    'alerts are not available in v2.');
+});
+
+test('Verify summarizeAlertsByType()', function (t) {
+  const summary = DexcomJS.summarizeAlertsByType(alertRecords);
+  t.equal(summary.total, 5,               'every alert is counted');
+  t.equal(summary.byType.high, 3,         'alerts are counted by type');
+  t.equal(summary.byType.low, 0,          'types without alerts are counted as 0');
+
+  const alarming = DexcomJS.summarizeAlertsByType(alertRecords, {alertStates: ['activeAlarming']});
+  t.equal(alarming.total, 4,              'alerts may be restricted to some states');
+  t.equal(alarming.byType.high, 2,        'alerts in other states are not counted');
+
+  const renamed = DexcomJS.summarizeAlertsByType([{systemTime: '2015-11-18T00:00:00', alertName: 'fixedLow'}]);
+  t.equal(renamed.byType.fixedLow, 1,     'alerts of other names are counted under their own name');
+
+  t.throws(() => {DexcomJS.summarizeAlertsByType(alertRecords, {alertStates: 'activeAlarming'});},
+    DexcomJS.DexcomValidationError, 'alert states must be given as an array.');
+  t.throws(() => {DexcomJS.summarizeAlertsByDay(alertRecords, {alertStates: ['alarming']});},
+    DexcomJS.DexcomValidationError, 'unknown alert states are rejected.');
+  t.throws(() => {DexcomJS.summarizeAlertsByDay(alertRecords, {states: ['activeAlarming']});},
+    DexcomJS.DexcomValidationError, 'unknown options are rejected.');
+
+  t.end();
+});
+
+test('Verify summarizeAlertsByDay()', function (t) {
+  const summary = DexcomJS.summarizeAlertsByDay(alertRecords);
+  t.deepEqual(summary.map(day => day.date), ['2015-11-18', '2015-11-19'], 'days are those of the device, oldest first');
+  t.deepEqual(summary.map(day => day.total), [3, 2],                      'alerts are counted by day');
+  t.equal(summary[0].byType.high, 2,                                      'alerts are counted by type within a day');
+  t.equal(summary[1].byType.urgentLow, 1,                                 'every type is counted within a day');
+
+  t.end();
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the support of several versions of the Dexcom API by module ../api-versions.js and by the clients of
+ * module ../index.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const helpers       = require('../helpers.js');
+const mockServer    = require('../mock-server.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const v2Options         = fixtures.options;
+const v3Options         = Object.assign({}, v2Options, {apiVersion: 'v3'});
+const createOAuthTokens = fixtures.createOAuthTokens;
+
+const millisecondsPerDay = 86400 * 1000;
+const startTime          = 1447804800000;                    // 2015-11-18T00:00:00
+const endTime            = startTime + 100 * millisecondsPerDay;
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates a stand-in for an axios instance that answers like the v3 API, with one record per day, including both ends
+ * of the requested time window, newest first. The token endpoint issues new tokens.
+ */
+function createV3HttpClient() {
+  return {
+    requests: [],
+    request: async function(requestConfig) {
+      this.requests.push(requestConfig);
+      if (requestConfig.url.endsWith('/oauth2/token')) {
+        return {status: 200, data: createOAuthTokens(0).dexcomOAuthToken};
+      }
+
+      const endpoint        = requestConfig.url.split('/').pop();
+      const windowStartTime = helpers.parseDexcomTime(requestConfig.params.startDate);
+      const windowEndTime   = helpers.parseDexcomTime(requestConfig.params.endDate);
+      const records         = [];
+      for (let time = windowEndTime; time >= windowStartTime; time -= millisecondsPerDay) {
+        const systemTime = helpers.dexcomifyEpochTime(time);
+        records.push({
+          recordId:              `${endpoint} ${systemTime}`,
+          systemTime:            systemTime,
+          displayTime:           systemTime,
+          value:                 100,
+          unit:                  'mg/dL',
+          rateUnit:              'mg/dL/min',
+          eventType:             'carbs',
+          displayDevice:         'iOS',
+          transmitterGeneration: 'g7',
+        });
+      }
+      return {status: 200, data: {recordType: endpoint, recordVersion: '3.0', userId: 'user', records: records}};
+    }
+  };
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify v3 clients use the v3 endpoints and normalize their responses', async function (t) {
+  const httpClient = createV3HttpClient();
+  const client     = DexcomJS.createClient(v3Options, {httpClient});
+
+  const dayEnd = startTime + millisecondsPerDay;
+  const egvs   = await client.getEstimatedGlucoseValues(createOAuthTokens(0), startTime, dayEnd);
+  const events = await client.getEvents(createOAuthTokens(Date.now()), startTime, dayEnd);
+
+  t.equal(httpClient.requests[0].url, 'https://sandbox-api.dexcom.com/v2/oauth2/token', 'tokens are refreshed by v2');
+  t.equal(httpClient.requests[1].url, 'https://sandbox-api.dexcom.com/v3/users/self/egvs', 'the v3 endpoint is used');
+  t.equal(egvs.estimatedGlucoseValues.unit,     'mg/dL',     'the unit is reported next to the records');
+  t.equal(egvs.estimatedGlucoseValues.rateUnit, 'mg/dL/min', 'the rate unit is reported next to the records');
+  t.equal(egvs.estimatedGlucoseValues.egvs.length, 2,        'the records are held in the egvs property');
+  t.ok(!('records' in egvs.estimatedGlucoseValues),          'the v3 records property is removed');
+  t.equal(egvs.estimatedGlucoseValues.egvs[0].transmitterGeneration, 'g7', 'v3 properties are passed through');
+  t.equal(events.events.events[0].eventId, events.events.events[0].recordId, 'events are given an eventId');
+});
+
+test('Verify v3 date ranges of any duration are merged by record identifier', async function (t) {
+  const client = DexcomJS.createClient(v3Options, {httpClient: createV3HttpClient()});
+
+  const result = await client.getEstimatedGlucoseValuesAnyDateRange(createOAuthTokens(Date.now()), startTime, endTime,
+    {unit: 'mmol/L'});
+  const egvs   = result.estimatedGlucoseValues.egvs;
+  t.equal(egvs.length, 101,                               'records on the boundaries are returned once');
+  t.equal(result.estimatedGlucoseValues.unit, 'mmol/L',  'the requested unit is returned');
+  t.ok(egvs.every(egv => egv.unit === 'mmol/L' && egv.value === 5.6), 'the records and their units are converted');
+});
+
+test('Verify v2 responses are given record identifiers', async function (t) {
+  const httpClient = {
+    request: async () => ({status: 200, data: {events: [{eventId: 'event a'}], calibrations: [{value: 100}]}}),
+  };
+  const client     = DexcomJS.createClient(v2Options, {httpClient});
+
+  const events       = await client.getEvents(createOAuthTokens(Date.now()), startTime, endTime);
+  const calibrations = await client.getCalibrations(createOAuthTokens(Date.now()), startTime, endTime);
+  t.equal(events.events.events[0].recordId, 'event a',                'events are identified by their eventId');
+  t.equal(calibrations.calibrations.calibrations[0].recordId, null,   'other records have a null identifier');
+});
+
+test('Verify v3 devices have the same shape as v2 devices', async function (t) {
+  const server = mockServer.createMockServer();
+  await server.start();
+  try {
+    const dayEnd  = startTime + millisecondsPerDay;
+    const devices = {};
+    for (const apiVersion of ['v2', 'v3']) {
+      const client      = DexcomJS.createClient(server.getClientOptions(apiVersion));
+      const oauthTokens = await client.getSandboxAuthenticationToken('SandboxUser1');
+      devices[apiVersion] = (await client.getDevices(oauthTokens, startTime, dayEnd)).devices.devices[0];
+    }
+
+    t.deepEqual(Object.keys(devices.v3).sort(), Object.keys(devices.v2).sort(), 'v3 devices have the v2 properties');
+    t.deepEqual(devices.v3.alertScheduleList, devices.v2.alertScheduleList,    'alert schedules are renamed');
+    t.ok(!('alertSchedules' in devices.v3),                                     'the v3 name is removed');
+    t.equal(devices.v3.recordId, null,                                          'devices have a null identifier');
+  }
+  finally {
+    await server.stop();
+  }
+});
+
+test('Verify unsupported API versions and endpoints are rejected', async function (t) {
+  const client = DexcomJS.createClient(v3Options, {httpClient: createV3HttpClient()});
+
+  await t.rejects(client.getStatistics(createOAuthTokens(Date.now()), startTime, endTime),
+    DexcomJS.DexcomValidationError, 'statistics are not available in v3.');
+  t.throws(() => {DexcomJS.createClient(Object.assign({}, v2Options, {apiVersion: 'v4'}));},
+    'unknown versions are rejected.');
+});
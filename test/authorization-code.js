@@ -0,0 +1,75 @@
+/**
+ * Unit tests for the OAuth 2.0 authorization code flow provided by module ../index.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const url           = require('url');
+const DexcomJS      = require('../index.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options = Object.assign({}, fixtures.options, {apiUri: 'https://api.dexcom.com'});
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify getAuthorizationUrl() builds a Dexcom login URL', function (t) {
+  const client        = DexcomJS.createClient(options);
+  const authorization = client.getAuthorizationUrl();
+  const parsedUrl     = new url.URL(authorization.url);
+
+  t.equal(parsedUrl.origin,                               'https://api.dexcom.com', 'URL uses apiUri');
+  t.equal(parsedUrl.pathname,                             '/v2/oauth2/login',       'URL targets the login page');
+  t.equal(parsedUrl.searchParams.get('client_id'),        options.clientId,         'URL contains client_id');
+  t.equal(parsedUrl.searchParams.get('redirect_uri'),     options.redirectUri,      'URL contains redirect_uri');
+  t.equal(parsedUrl.searchParams.get('response_type'),    'code',                   'URL requests a code');
+  t.equal(parsedUrl.searchParams.get('scope'),            'offline_access',         'URL contains default scope');
+  t.equal(parsedUrl.searchParams.get('state'),            authorization.state,      'URL contains the state');
+  t.ok(authorization.state.length >= 32,                                            'state is long enough');
+  t.notEqual(client.getAuthorizationUrl().state,          authorization.state,      'every state is unique');
+
+  t.throws(() => {client.getAuthorizationUrl([]);},       'empty scopes are rejected.');
+  t.throws(() => {client.getAuthorizationUrl(['a b']);},  'scopes containing whitespace are rejected.');
+
+  t.end();
+});
+
+test('Verify exchangeAuthorizationCode() rejects unknown and reused state values', async function (t) {
+  const requests   = [];
+  const httpClient = {
+    request: async (requestConfig) => {
+      requests.push(requestConfig);
+      return {status: 200, data: {access_token: 'a', expires_in: 7200, token_type: 'Bearer', refresh_token: 'r'}};
+    }
+  };
+  const client        = DexcomJS.createClient(options, {httpClient});
+  const authorization = client.getAuthorizationUrl();
+
+  await t.rejects(client.exchangeAuthorizationCode('code', 'forged state'),      'unknown state is rejected.');
+  await t.rejects(client.exchangeAuthorizationCode('code', undefined),           'missing state is rejected.');
+  await t.rejects(client.exchangeAuthorizationCode('',     authorization.state), 'missing code is rejected.');
+  t.equal(requests.length, 0, 'nothing is sent to Dexcom for rejected requests');
+
+  const oauthTokens = await client.exchangeAuthorizationCode('code', authorization.state);
+  t.ok(oauthTokens.timestamp,                              'result contains timestamp');
+  t.equal(oauthTokens.dexcomOAuthToken.refresh_token, 'r', 'result contains dexcomOAuthToken');
+  t.equal(requests[0].url, 'https://api.dexcom.com/v2/oauth2/token',  'code is exchanged at the token endpoint');
+  t.ok(requests[0].data.includes('grant_type=authorization_code'),    'code is exchanged with the right grant type');
+
+  await t.rejects(client.exchangeAuthorizationCode('code', authorization.state), 'reused state is rejected.');
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for the caches of module ../cache.js, and for the caching of the records fetched by module ../index.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const fs            = require('fs');
+const os            = require('os');
+const path          = require('path');
+const DexcomJS      = require('../index.js');
+const helpers       = require('../helpers.js');
+const caches        = require('../cache.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options     = fixtures.options;
+const oauthTokens = fixtures.createOAuthTokens(Date.now());
+
+const millisecondsPerDay = 86400 * 1000;
+const startTime          = 1447804800000;                    // 2015-11-18T00:00:00
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates a client whose token store holds tokens for 'user a', and whose records are cached by the given cache.
+ */
+async function createCachingClient(httpClient, cache) {
+  const client = DexcomJS.createClient(options, {httpClient, cache});
+  await client.tokenStore.set('user a', oauthTokens);
+  return client;
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify findUncoveredWindows()', function (t) {
+  t.deepEqual(caches.findUncoveredWindows(0, 10, []), [{startTime: 0, endTime: 10}], 'an empty cache covers nothing');
+  t.deepEqual(caches.findUncoveredWindows(0, 10, [{startTime: 6, endTime: 8}, {startTime: 2, endTime: 4}]), [
+    {startTime: 0, endTime: 2},
+    {startTime: 4, endTime: 6},
+    {startTime: 8, endTime: 10},
+  ], 'the gaps between entries are uncovered');
+  t.deepEqual(caches.findUncoveredWindows(2, 8, [{startTime: 0, endTime: 5}, {startTime: 4, endTime: 9}]), [],
+    'overlapping entries cover the whole window');
+
+  t.end();
+});
+
+test('Verify getEstimatedGlucoseValues() serves cached windows locally', async function (t) {
+  const httpClient = fixtures.createDailyRecordHttpClient();
+  const client     = await createCachingClient(httpClient, DexcomJS.createMemoryCache());
+
+  const first = await client.getEstimatedGlucoseValues('user a', startTime, startTime + 10 * millisecondsPerDay);
+  t.equal(first.estimatedGlucoseValues.egvs.length, 11,         'the first query is fetched from Dexcom');
+  t.equal(httpClient.requests.length, 1,                        'the first query sends one request');
+
+  const again = await client.getEstimatedGlucoseValues('user a', startTime + millisecondsPerDay,
+    startTime + 5 * millisecondsPerDay);
+  t.equal(httpClient.requests.length, 1,                        'a query within a cached window sends no request');
+  t.equal(again.estimatedGlucoseValues.egvs.length, 5,          'the records of the query are served from the cache');
+  t.equal(again.estimatedGlucoseValues.unit, 'mg/dL',           'the unit is served from the cache');
+
+  const wider = await client.getEstimatedGlucoseValuesAnyDateRange('user a', startTime - 5 * millisecondsPerDay,
+    startTime + 10 * millisecondsPerDay);
+  t.equal(httpClient.requests.length, 2,                        'a wider query requests the uncovered gap only');
+  t.equal(httpClient.requests[1].params.endDate, helpers.dexcomifyEpochTime(startTime), 'the gap ends at the cache');
+  t.equal(wider.estimatedGlucoseValues.egvs.length, 16,         'cached and fetched records are merged once');
+
+  await client.getEstimatedGlucoseValues(oauthTokens, startTime, startTime + millisecondsPerDay);
+  t.equal(httpClient.requests.length, 3,                        'queries with OAuth tokens are not cached');
+
+  await client.getEvents('user a', startTime, startTime + millisecondsPerDay);
+  await client.getEvents('user a', startTime, startTime + millisecondsPerDay);
+  t.equal(httpClient.requests.length, 4,                        'events are cached too');
+});
+
+test('Verify recent windows are not cached', async function (t) {
+  const httpClient = fixtures.createDailyRecordHttpClient();
+  const client     = await createCachingClient(httpClient, DexcomJS.createMemoryCache());
+  const now        = Date.now();
+
+  await client.getEstimatedGlucoseValues('user a', now - 3 * millisecondsPerDay, now);
+  await client.getEstimatedGlucoseValues('user a', now - 3 * millisecondsPerDay, now);
+  t.equal(httpClient.requests.length, 2,                        'the last day is requested again');
+  t.ok(helpers.parseDexcomTime(httpClient.requests[1].params.startDate) >= now - 2 * millisecondsPerDay,
+    'the older days are served from the cache');
+});
+
+test('Verify windows without records are not cached', async function (t) {
+  const httpClient = {
+    requests: [],
+    request: async function(requestConfig) {
+      this.requests.push(requestConfig);
+      return {status: 200, data: {unit: 'mg/dL', rateUnit: 'mg/dL/min', egvs: []}};
+    }
+  };
+  const cache  = DexcomJS.createMemoryCache();
+  const client = await createCachingClient(httpClient, cache);
+
+  await client.getEstimatedGlucoseValues('user a', startTime, startTime + millisecondsPerDay);
+  await client.getEstimatedGlucoseValues('user a', startTime, startTime + millisecondsPerDay);
+  t.equal(httpClient.requests.length, 2,                        'an empty window is requested again');
+  t.deepEqual(await cache.get('user a', 'egvs'), [],            'an empty window is not stored');
+});
+
+test('Verify cache failures do not fail requests', async function (t) {
+  const failingCache = {
+    get: async () => [],
+    put: async () => {throw new Error('the disk is full');},
+  };
+  const failures = [];
+  const client   = DexcomJS.createClient(options, {
+    httpClient: fixtures.createDailyRecordHttpClient(),
+    cache:      failingCache,
+    hooks:      {onCacheWriteFailed: (error, userId, recordType) => {failures.push({error, userId, recordType});}},
+  });
+  await client.tokenStore.set('user a', oauthTokens);
+
+  const result = await client.getEstimatedGlucoseValues('user a', startTime, startTime + millisecondsPerDay);
+  t.equal(result.estimatedGlucoseValues.egvs.length, 2,         'the fetched records are returned');
+  t.equal(failures.length, 1,                                   'the failure is passed to onCacheWriteFailed');
+  t.equal(failures[0].error.message, 'the disk is full',        'the hook receives the error');
+  t.equal(failures[0].userId, 'user a',                         'the hook receives the user identifier');
+  t.equal(failures[0].recordType, 'egvs',                       'the hook receives the record type');
+
+  const warned        = new Promise(resolve => process.once('warning', resolve));
+  const warningClient = await createCachingClient(fixtures.createDailyRecordHttpClient(), failingCache);
+  await warningClient.getEstimatedGlucoseValues('user a', startTime, startTime + millisecondsPerDay);
+  const warning = await warned;
+  t.equal(warning.name, 'DexcomWarning',                        'without a hook, a process warning is emitted');
+});
+
+test('Verify createFileCache()', async function (t) {
+  const directory     = fs.mkdtempSync(path.join(os.tmpdir(), 'dexcom-js-'));
+  const directoryPath = path.join(directory, 'nested', 'cache');
+  const httpClient    = fixtures.createDailyRecordHttpClient();
+  const client        = await createCachingClient(httpClient, DexcomJS.createFileCache(directoryPath));
+
+  try {
+    await client.getEstimatedGlucoseValues('user a', startTime, startTime + 10 * millisecondsPerDay);
+    t.deepEqual(fs.readdirSync(directoryPath), ['user%20a.egvs.json'], 'the records are stored in a file');
+    t.equal(fs.statSync(directoryPath).mode & 0o777, 0o700,    'the directory is created with its parents');
+    t.equal(fs.statSync(path.join(directoryPath, 'user%20a.egvs.json')).mode & 0o777, 0o600,
+      'only the owner may read the file');
+
+    const restarted = await createCachingClient(httpClient, DexcomJS.createFileCache(directoryPath));
+    const result    = await restarted.getEstimatedGlucoseValues('user a', startTime, startTime + millisecondsPerDay);
+    t.equal(httpClient.requests.length, 1,                      'the file cache outlives its client');
+    t.equal(result.estimatedGlucoseValues.egvs.length, 2,       'the records are read back');
+  }
+  finally {
+    fs.readdirSync(directoryPath).forEach(file => fs.unlinkSync(path.join(directoryPath, file)));
+    fs.rmdirSync(directoryPath);
+    fs.rmdirSync(path.dirname(directoryPath));
+    fs.rmdirSync(directory);
+  }
+
+  t.throws(() => {DexcomJS.createClient(options, {cache: {get: () => {}}});}, DexcomJS.DexcomValidationError,
+    'caches without put() are rejected.');
+});
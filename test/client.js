@@ -0,0 +1,83 @@
+/**
+ * Unit tests for the clients created by function createClient() of module ../index.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const sandboxOptions = fixtures.options;
+
+const productionOptions = {
+  clientId:     'qmcnbkhvslwpeuaryzxitodjgfaoewbq',
+  clientSecret: 'pqlxmzvtnbrceowa',
+  redirectUri:  'https://foo.bar.com/callback',
+  apiUri:       'https://api.dexcom.com',
+};
+
+const oauthTokens = fixtures.createOAuthTokens(Date.now());
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify createClient() validates its options', function (t) {
+  t.throws(() => {DexcomJS.createClient(null);}, 'null options are rejected.');
+  t.throws(() => {DexcomJS.createClient({});},   'empty options are rejected.');
+
+  t.doesNotThrow(() => {DexcomJS.createClient(sandboxOptions);}, 'valid options are accepted.');
+
+  t.end();
+});
+
+test('Verify clients are independent of each other and of the default client', async function (t) {
+  const sandboxHttpClient    = fixtures.createRecordingHttpClient();
+  const productionHttpClient = fixtures.createRecordingHttpClient();
+  const sandbox              = DexcomJS.createClient(sandboxOptions,    {httpClient: sandboxHttpClient});
+  const production           = DexcomJS.createClient(productionOptions, {httpClient: productionHttpClient});
+  const defaultOptions       = DexcomJS.options;
+
+  await sandbox.getDataRange(oauthTokens);
+  await production.getDataRange(oauthTokens);
+
+  t.equal(sandboxHttpClient.requests.length,    1, 'sandbox client uses its own HTTP client');
+  t.equal(productionHttpClient.requests.length, 1, 'production client uses its own HTTP client');
+  t.equal(sandboxHttpClient.requests[0].url,    'https://sandbox-api.dexcom.com/v2/users/self/dataRange', 'sandbox URL');
+  t.equal(productionHttpClient.requests[0].url, 'https://api.dexcom.com/v2/users/self/dataRange',         'production URL');
+
+  sandbox.setOptions(productionOptions);
+  t.equal(production.options,  productionOptions, 'setOptions() changes only the client it is invoked on');
+  t.equal(DexcomJS.options,    defaultOptions,    'the default client keeps its options');
+  t.equal(sandbox.createClient, undefined,        'clients do not expose createClient()');
+});
+
+test('Verify client hooks are invoked around each request', async function (t) {
+  const events = [];
+  const hooks  = {
+    onRequest:  async (requestConfig) => { events.push(['request', requestConfig.url]); },
+    onResponse: (response, requestConfig) => { events.push(['response', response.status, requestConfig.url]); },
+  };
+  const client = DexcomJS.createClient(sandboxOptions, {httpClient: fixtures.createRecordingHttpClient(), hooks});
+
+  await client.getDataRange(oauthTokens);
+
+  t.deepEqual(events, [
+    ['request',       'https://sandbox-api.dexcom.com/v2/users/self/dataRange'],
+    ['response', 200, 'https://sandbox-api.dexcom.com/v2/users/self/dataRange'],
+  ], 'hooks observe the request and the response');
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit tests for the CSV exports of module ../csv.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const csvModule     = require('../csv.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const egvsResult = {
+  estimatedGlucoseValues: {
+    unit:     'mg/dL',
+    rateUnit: 'mg/dL/min',
+    egvs: [
+      {
+        systemTime:  '2018-02-10T08:05:00',
+        displayTime: '2018-02-10T00:05:00',
+        value:       112,
+        status:      null,
+        trend:       'flat',
+        trendRate:   0.3,
+      },
+      {
+        systemTime:  '2018-02-10T08:00:00',
+        displayTime: '2018-02-10T00:00:00',
+        value:       110,
+        status:      null,
+        trend:       'flat',
+        trendRate:   -0.1,
+      },
+    ],
+  },
+};
+
+const eventsResult = {
+  events: {
+    events: [
+      {
+        systemTime:   '2018-02-10T08:02:00',
+        displayTime:  '2018-02-10T00:02:00',
+        eventType:    'insulin',
+        eventSubType: 'fastActing',
+        value:        4.5,
+        unit:         'units',
+      },
+      {
+        systemTime:   '2018-02-10T08:03:00',
+        displayTime:  '2018-02-10T00:03:00',
+        eventType:    'exercise',
+        eventSubType: 'light',
+        value:        95,
+        unit:         'minutes',
+      },
+    ],
+  },
+};
+
+const calibrationsResult = {
+  calibrations: {
+    calibrations: [
+      {
+        systemTime:  '2018-02-10T08:04:00',
+        displayTime: '2018-02-10T00:04:00',
+        value:       115,
+        unit:        'mg/dL',
+      },
+    ],
+  },
+};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Reads a stream to its end, and returns a Promise that wraps its content as a string.
+ */
+function readStream(readable) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    readable.on('data', chunk => chunks.push(chunk.toString()));
+    readable.on('error', reject);
+    readable.on('end', () => resolve(chunks.join('')));
+  });
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify exportToCsv() exports the Clarity layout, oldest first', function (t) {
+  const lines = DexcomJS.exportToCsv([egvsResult, eventsResult, calibrationsResult]).split('\r\n');
+
+  t.deepEqual(lines, [
+    'Index,Timestamp (YYYY-MM-DDThh:mm:ss),Event Type,Event Subtype,Glucose Value (mg/dL),Insulin Value (u),' +
+      'Carb Value (grams),Duration (hh:mm:ss),Glucose Rate of Change (mg/dL/min),Transmitter ID',
+    '1,2018-02-10T00:00:00,EGV,,110,,,,-0.1,',
+    '2,2018-02-10T00:02:00,Insulin,fastActing,,4.5,,,,',
+    '3,2018-02-10T00:03:00,Exercise,light,,,,01:35:00,,',
+    '4,2018-02-10T00:04:00,Calibration,,115,,,,,',
+    '5,2018-02-10T00:05:00,EGV,,112,,,,0.3,',
+    '',
+  ], 'rows are merged, sorted and formatted.');
+
+  t.end();
+});
+
+test('Verify exportToCsv() honours columns, timeField and header', function (t) {
+  const csv = DexcomJS.exportToCsv(egvsResult, {
+    columns:   ['timestamp', 'glucoseValue', 'unit', 'trend'],
+    timeField: 'systemTime',
+    header:    false,
+  });
+
+  t.equal(csv, '2018-02-10T08:00:00,110,mg/dL,flat\r\n2018-02-10T08:05:00,112,mg/dL,flat\r\n',
+    'the selected columns and the system time are exported, without a header.');
+
+  const mmolCsv = DexcomJS.exportToCsv({
+    estimatedGlucoseValues: Object.assign({}, egvsResult.estimatedGlucoseValues, {unit: 'mmol/L', egvs: []}),
+  }, {columns: ['glucoseValue']});
+  t.equal(mmolCsv, 'Glucose Value (mmol/L)\r\n', 'the header holds the unit of the glucose values.');
+
+  t.end();
+});
+
+test('Verify exportToCsv() quotes fields that need it', function (t) {
+  const csv = DexcomJS.exportToCsv({
+    events: {
+      events: [{
+        systemTime:   '2018-02-10T08:00:00',
+        displayTime:  '2018-02-10T00:00:00',
+        eventType:    'notes',
+        eventSubType: 'said "hi", then\nleft',
+      }],
+    },
+  }, {columns: ['eventType', 'eventSubType'], header: false});
+
+  t.equal(csv, 'Notes,"said ""hi"", then\nleft"\r\n', 'commas, quotes and line breaks are quoted.');
+
+  t.end();
+});
+
+test('Verify exportToCsv() rejects invalid options and mixed units', function (t) {
+  t.throws(() => {DexcomJS.exportToCsv(egvsResult, {columns: ['bogus']});}, DexcomJS.DexcomValidationError,
+    'unknown columns are rejected.');
+  t.throws(() => {DexcomJS.exportToCsv(egvsResult, {timeField: 'recordTime'});}, DexcomJS.DexcomValidationError,
+    'unknown time fields are rejected.');
+  t.throws(() => {DexcomJS.exportToCsv(egvsResult, {columns: []});}, DexcomJS.DexcomValidationError,
+    'at least one column is required.');
+  t.doesNotThrow(() => {DexcomJS.exportToCsv(egvsResult, {columns: csvModule.csvColumns});},
+    'every column that may be exported is accepted.');
+
+  const mmolCalibrations = {
+    calibrations: {
+      calibrations: [Object.assign({}, calibrationsResult.calibrations.calibrations[0], {unit: 'mmol/L'})],
+    },
+  };
+  t.throws(() => {DexcomJS.exportToCsv([egvsResult, mmolCalibrations]);}, DexcomJS.DexcomError,
+    'glucose values in different units are rejected.');
+
+  t.end();
+});
+
+test('Verify createCsvStream() streams the same CSV as exportToCsv()', async function (t) {
+  // Enough records to span several chunks of the stream.
+  const egvs = Array.from({length: 1234}, (value, idx) => {
+    const time = new Date(Date.UTC(2018, 1, 10) + idx * 5 * 60 * 1000).toISOString().slice(0, 19);
+    return {systemTime: time, displayTime: time, value: 100 + idx % 50, trend: 'flat', trendRate: 0};
+  });
+  const results = [
+    {estimatedGlucoseValues: {unit: 'mg/dL', rateUnit: 'mg/dL/min', egvs: egvs}},
+    eventsResult,
+  ];
+
+  const streamed = await readStream(DexcomJS.createCsvStream(results));
+  t.equal(streamed, DexcomJS.exportToCsv(results), 'the stream holds the whole CSV.');
+  t.equal(streamed.split('\r\n').length, 1 + 1234 + 2 + 1, 'the stream holds the header and every row.');
+
+  const empty = await readStream(DexcomJS.createCsvStream([], {header: false}));
+  t.equal(empty, '', 'an empty export without a header is empty.');
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for the fetch ranges calculated by function rangeInDayIntervals() of module ../index.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const helpers       = require('../helpers.js');
+const sync          = require('../sync.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const millisecondsPerDay = 86400 * 1000;
+
+// The result of getDataRange() for a user whose events begin later than their other records.
+const dataRange = {
+  calibrations: {start: {systemTime: '2015-11-01T12:00:00'}, end: {systemTime: '2016-06-01T12:00:00'}},
+  egvs:         {start: {systemTime: '2015-11-01T12:00:00'}, end: {systemTime: '2016-06-01T12:00:00'}},
+  events:       {start: {systemTime: '2016-05-20T12:00:00'}, end: {systemTime: '2016-06-01T12:00:00'}},
+};
+
+const availableEndTime = helpers.parseDexcomTime('2016-06-01T12:00:00');
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify rangeInDayIntervals() clamps the range to the available data', function (t) {
+  const week = DexcomJS.rangeInDayIntervals(dataRange.egvs, availableEndTime - millisecondsPerDay, 7);
+  t.ok(week.valid,                                               'a range within the data is valid');
+  t.equal(week.startTime % millisecondsPerDay, 0,                'the range starts at UTC midnight');
+  t.ok(week.startTime <= availableEndTime - 8 * millisecondsPerDay, 'the range goes back to midnight');
+  t.deepEqual(week.windows, [{startTime: week.startTime, endTime: week.endTime}], 'a week is fetched in one window');
+
+  const future = DexcomJS.rangeInDayIntervals(dataRange.egvs, availableEndTime + 30 * millisecondsPerDay, 60);
+  t.equal(future.endTime, availableEndTime + 1000,               'the end is clamped just after the end of the data');
+
+  const events = DexcomJS.rangeInDayIntervals(dataRange, availableEndTime, 30, 'events');
+  t.equal(events.startTime, helpers.parseDexcomTime('2016-05-20T12:00:00'),
+    'the start is clamped to the beginning of the data of the given record type');
+
+  const syncWindow = sync.getSyncWindow(undefined, dataRange.egvs, 0);
+  t.equal(future.endTime, syncWindow.endTime,                    'the end is clamped as sync() clamps it');
+
+  t.end();
+});
+
+test('Verify rangeInDayIntervals() does not depend on the time zone of the server', function (t) {
+  const timeZone = process.env.TZ;
+  const ranges   = ['UTC', 'America/Los_Angeles', 'Asia/Tokyo'].map(zone => {
+    process.env.TZ = zone;
+    return DexcomJS.rangeInDayIntervals(dataRange.egvs, availableEndTime - millisecondsPerDay, 7);
+  });
+  if (timeZone === undefined) {
+    delete process.env.TZ;
+  }
+  else {
+    process.env.TZ = timeZone;
+  }
+
+  t.deepEqual(ranges[1], ranges[0], 'the range is the same west of UTC');
+  t.deepEqual(ranges[2], ranges[0], 'the range is the same east of UTC');
+
+  t.end();
+});
+
+test('Verify rangeInDayIntervals() validity and windows', function (t) {
+  const year = DexcomJS.rangeInDayIntervals(dataRange, availableEndTime, 365, 'calibrations');
+  t.equal(year.windows.length, 3,                                'seven months of data are fetched in three windows');
+  t.equal(year.windows[0].startTime, year.startTime,             'the windows begin with the range');
+  t.equal(year.windows[2].endTime, year.endTime,                 'the windows end with the range');
+  t.ok(year.windows.every(window => window.endTime - window.startTime < 90 * millisecondsPerDay),
+    'each window is shorter than 90 days');
+
+  const before = DexcomJS.rangeInDayIntervals(dataRange, helpers.parseDexcomTime('2015-10-01T00:00:00'), 7);
+  t.deepEqual(before, {startTime: 0, endTime: 0, valid: false, windows: []}, 'a range before the data is invalid');
+
+  const after = DexcomJS.rangeInDayIntervals(dataRange, availableEndTime + 30 * millisecondsPerDay, 7);
+  t.notOk(after.valid,                                           'a range after the data is invalid');
+
+  const missing = DexcomJS.rangeInDayIntervals({egvs: {}}, availableEndTime, 7);
+  t.notOk(missing.valid,                                         'a record type without data is invalid');
+
+  t.throws(() => {DexcomJS.rangeInDayIntervals(dataRange, availableEndTime, 7, 'devices');},
+    DexcomJS.DexcomValidationError, 'unknown record types are rejected.');
+
+  t.end();
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for function getDevices() of module ../index.js, against a stand-in for the Dexcom devices endpoint.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options = fixtures.options;
+
+const startTime = 1447804800000;                    // 2015-11-18T00:00:00
+const endTime   = 1447891199000;                    // 2015-11-18T23:59:59
+
+const devicesPayload = {
+  devices: [{
+    transmitterGeneration: 'g6',
+    displayDevice:         'iOS',
+    lastUploadDate:        '2015-11-18T23:55:00',
+    alertScheduleList:     [],
+  }],
+};
+
+// The devices returned by getDevices(), whose recordId is null since the v2 API does not identify devices.
+const normalizedDevicesPayload = {devices: [Object.assign({recordId: null}, devicesPayload.devices[0])]};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates a stand-in for an axios instance that records every request. Its token endpoint issues new tokens, and its
+ * devices endpoint answers with devicesPayload.
+ */
+function createDevicesHttpClient() {
+  const httpClient      = fixtures.createRecordingHttpClient();
+  const recordedRequest = httpClient.request;
+  httpClient.request    = async function(requestConfig) {
+    const response = await recordedRequest.call(this, requestConfig);
+    return requestConfig.url.endsWith('/devices') ? {status: 200, data: devicesPayload} : response;
+  };
+  return httpClient;
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify getDevices() requests the devices of a time window', async function (t) {
+  const httpClient  = createDevicesHttpClient();
+  const client      = DexcomJS.createClient(options, {httpClient});
+  const oauthTokens = fixtures.createOAuthTokens(Date.now());
+
+  const result = await client.getDevices(oauthTokens, startTime, endTime);
+
+  t.equal(httpClient.requests.length, 1,                             'one request is sent');
+  t.equal(httpClient.requests[0].method, 'get',                      'the devices are read');
+  t.equal(httpClient.requests[0].url, 'https://sandbox-api.dexcom.com/v2/users/self/devices', 'devices URL');
+  t.deepEqual(httpClient.requests[0].params, {startDate: '2015-11-18T00:00:00', endDate: '2015-11-18T23:59:59'},
+    'the time window is sent as startDate and endDate');
+  t.equal(httpClient.requests[0].headers.Authorization, 'Bearer some opaque access token', 'the request is authorized');
+  t.deepEqual(result, {devices: normalizedDevicesPayload},           'the devices are returned, without oauthTokens');
+});
+
+test('Verify getDevices() returns refreshed tokens', async function (t) {
+  const httpClient = createDevicesHttpClient();
+  const client     = DexcomJS.createClient(options, {httpClient});
+
+  const result = await client.getDevices(fixtures.createOAuthTokens(0), startTime, endTime);
+
+  t.deepEqual(httpClient.requests.map(requestConfig => requestConfig.url), [
+    'https://sandbox-api.dexcom.com/v2/oauth2/token',
+    'https://sandbox-api.dexcom.com/v2/users/self/devices',
+  ], 'expired tokens are refreshed before the devices are requested');
+  t.deepEqual(Object.keys(result), ['devices', 'oauthTokens'],        'the result holds devices and oauthTokens');
+  t.deepEqual(result.devices, normalizedDevicesPayload,              'the devices are returned');
+  t.equal(result.oauthTokens.dexcomOAuthToken.access_token, 'access token refreshed',
+    'the refreshed tokens are returned');
+  t.equal(httpClient.requests[1].headers.Authorization, 'Bearer access token refreshed',
+    'the devices are requested with the refreshed access token');
+});
@@ -12,18 +12,15 @@
 const tape          = require('tape');
 const _test         = require('tape-promise').default; // <---- notice 'default'
 const test          = _test(tape); // decorate tape
-const yaml          = require('js-yaml');
-const fs            = require('fs');
 const DexcomJS      = require('../index.js');
+const environment   = require('./lib/dexcom-environment.js');
 
 
 //*************
 //* Constants *
 //*************
 
-const options = yaml.safeLoad(fs.readFileSync('./test/secrets.yml', 'utf8'));
-//console.log(options);
-DexcomJS.setOptions(options);
+const tearDownDexcom = environment.setUpDexcom(test, DexcomJS);
 
 
 //**************
@@ -98,6 +95,29 @@ test('Verify we can obtain calibration events for SandboxUser2', async function
   t.ok(!('oauthTokens' in results), 'results does not contain oauthTokens');
 });
 
+test('Verify we can obtain devices for SandboxUser2', async function (t) {
+  // @see https://developer.dexcom.com/sandbox-data
+  // @see https://www.epochconverter.com/
+  const startTime = 1447804800000; // 2015-11-18T00:00:00
+  const endTime   = 1447891199000; // 2015-11-18T23:59:59
+
+  const oauthTokens = await DexcomJS.getSandboxAuthenticationToken('authcode2');
+  const results     = await DexcomJS.getDevices(oauthTokens, startTime, endTime);
+
+  t.ok('devices' in results,         'results contains devices');
+  t.ok('devices' in results.devices, 'results.devices contains devices');
+
+  t.ok(Array.isArray(results.devices.devices), 'results.devices.devices is an array');
+  results.devices.devices.forEach((device, idx) => {
+    t.ok('transmitterGeneration' in device,   `device ${idx} contains transmitterGeneration`);
+    t.ok('displayDevice'         in device,   `device ${idx} contains displayDevice`);
+    t.ok(Array.isArray(device.alertScheduleList), `device ${idx} contains an alertScheduleList array`);
+  });
+
+  // Since the authorization tokens have not expired, we do not expect any new tokens to be returned.
+  t.ok(!('oauthTokens' in results), 'results does not contain oauthTokens');
+});
+
 /*
  * XXX very long test, probably not needed
 test('Verify we can obtain estimated glucose values for SandboxUser2 for an entire available date range', async function (t) {
@@ -161,3 +181,5 @@ test('Verify we can obtain summary statistics for SandboxUser2', async function
   // Since the authorization tokens have not expired, we do not expect any new tokens to be returned.
   t.ok(!('oauthTokens' in results), 'results does not contain oauthTokens');
 });
+
+tearDownDexcom();
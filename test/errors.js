@@ -0,0 +1,109 @@
+/**
+ * Unit tests for the errors provided by module ../errors.js, and for their use by the clients of module ../index.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const helpers       = require('../helpers.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options                  = fixtures.options;
+const secretOAuthTokens        = fixtures.createOAuthTokens(Date.now(), 'secret');
+const expiredSecretOAuthTokens = fixtures.createOAuthTokens(0, 'secret');
+
+const noRetryPolicy = {maxAttempts: 1};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates a stand-in for an axios instance that rejects every request the way axios rejects a request that receives
+ * the given response. Like axios errors, the errors hold the request configuration.
+ */
+function createRejectingHttpClient(status, data, headers) {
+  return {
+    request: async function(requestConfig) {
+      const error           = fixtures.createResponseError(status, headers, data);
+      error.config          = requestConfig;
+      error.response.config = requestConfig;
+      throw error;
+    }
+  };
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify validation failures are reported as DexcomValidationError', async function (t) {
+  t.throws(() => {helpers.validateOptions({});}, DexcomJS.DexcomValidationError, 'invalid options are reported.');
+  t.throws(() => {helpers.validateOptions({});}, /options must be valid: instance requires property/,
+    'the message names the invalid property.');
+  t.throws(() => {DexcomJS.createClient(options, {retryPolicy: {maxAttempts: 0}});}, DexcomJS.DexcomError,
+    'validation errors are DexcomErrors.');
+});
+
+test('Verify HTTP failures are reported as typed errors without secrets', async function (t) {
+  const unauthorizedClient = DexcomJS.createClient(options, {
+    httpClient:  createRejectingHttpClient(401, {fault: 'Invalid access token'}),
+    retryPolicy: noRetryPolicy,
+  });
+  const unauthorized = await unauthorizedClient.getDataRange(secretOAuthTokens).catch(error => error);
+  const logged       = JSON.stringify(unauthorized);
+  t.ok(unauthorized instanceof DexcomJS.DexcomAuthError,     'rejected access tokens are reported as DexcomAuthError');
+  t.ok(unauthorized instanceof DexcomJS.DexcomApiError,      'a DexcomAuthError is a DexcomApiError');
+  t.equal(unauthorized.status, 401,                          'the status is reported');
+  t.equal(unauthorized.method, 'GET',                        'the method is reported');
+  t.equal(unauthorized.endpoint, 'https://sandbox-api.dexcom.com/v2/users/self/dataRange', 'the endpoint is reported');
+  t.deepEqual(unauthorized.body, {fault: 'Invalid access token'}, 'the Dexcom error body is reported');
+  t.ok(!('config' in unauthorized) && !('response' in unauthorized), 'the request configuration is not retained');
+  t.ok(logged.includes('DexcomAuthError') && !logged.includes('secret'), 'the error is logged without secrets');
+
+  const revokedClient = DexcomJS.createClient(options, {
+    httpClient:  createRejectingHttpClient(400, {error: 'invalid_grant', refresh_token: 'secret refresh token'}),
+    retryPolicy: noRetryPolicy,
+  });
+  const revoked = await revokedClient.getDataRange(expiredSecretOAuthTokens).catch(error => error);
+  t.ok(revoked instanceof DexcomJS.DexcomAuthError,           'rejected refresh tokens are reported as auth errors');
+  t.equal(revoked.body.refresh_token, '[redacted]',           'secrets in the Dexcom error body are redacted');
+  t.ok(!JSON.stringify(revoked).includes(options.clientSecret), 'the client secret is not logged');
+
+  const throttledClient = DexcomJS.createClient(options, {
+    httpClient:  createRejectingHttpClient(429, {}, {'retry-after': '120'}),
+    retryPolicy: noRetryPolicy,
+  });
+  const throttled = await throttledClient.getDataRange(secretOAuthTokens).catch(error => error);
+  t.ok(throttled instanceof DexcomJS.DexcomRateLimitError,    'rate limited requests are reported as such');
+  t.equal(throttled.retryAfterMilliseconds, 120000,           'the requested delay is reported');
+
+  const failingClient = DexcomJS.createClient(options, {
+    httpClient:  createRejectingHttpClient(500, 'Internal Server Error'),
+    retryPolicy: noRetryPolicy,
+  });
+  const failed = await failingClient.getDataRange(secretOAuthTokens).catch(error => error);
+  t.equal(failed.constructor, DexcomJS.DexcomApiError,       'other failures are reported as DexcomApiError');
+  t.equal(failed.message, 'GET https://sandbox-api.dexcom.com/v2/users/self/dataRange failed with status 500',
+    'the message describes the request');
+});
+
+test('Verify users without tokens are reported as DexcomAuthError', async function (t) {
+  const client = DexcomJS.createClient(options);
+  await t.rejects(client.getDataRange('unknown user'), DexcomJS.DexcomAuthError, 'unknown users must grant access.');
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for the FHIR conversion of module ../fhir.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const egvsResult = {
+  estimatedGlucoseValues: {
+    unit:     'mg/dL',
+    rateUnit: 'mg/dL/min',
+    egvs: [
+      {systemTime: '2018-02-10T08:10:00', displayTime: '2018-02-10T00:10:00', value: null, status: 'low'},
+      {systemTime: '2018-02-10T08:05:00', displayTime: '2018-02-10T00:05:00', value: 112, transmitterId: '8XK2'},
+      {systemTime: '2018-02-10T08:00:00', displayTime: '2018-02-10T00:00:00', value: 110, transmitterId: '8XK2'},
+    ],
+  },
+};
+
+const statisticsResult = {
+  statistics: {mean: 144.5, median: 140, percentWithinRange: 71.2, nValues: 288},
+};
+
+const startTime = Date.UTC(2018, 1, 10);
+const endTime   = Date.UTC(2018, 1, 11);
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify createFhirBundle() converts estimated glucose values to observations', function (t) {
+  const bundle = DexcomJS.createFhirBundle(egvsResult, {patientReference: 'Patient/123'});
+
+  t.equal(bundle.resourceType, 'Bundle',      'a Bundle is created.');
+  t.equal(bundle.type,         'transaction', 'the Bundle is a transaction by default.');
+  t.equal(bundle.entry.length, 2,             'records without a numeric value are skipped.');
+
+  const entry = bundle.entry[0];
+  t.ok(/^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(entry.fullUrl),
+    'each entry has a UUID URN.');
+  t.notEqual(entry.fullUrl, bundle.entry[1].fullUrl, 'the URNs are unique.');
+  t.deepEqual(entry.request, {method: 'POST', url: 'Observation'}, 'each entry is posted as an Observation.');
+  t.deepEqual(entry.resource, {
+    resourceType:      'Observation',
+    status:            'final',
+    category:          [{coding: [{
+      system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+      code:   'laboratory',
+    }]}],
+    subject:           {reference: 'Patient/123'},
+    code:              {coding: [{
+      system:  'http://loinc.org',
+      code:    '99504-3',
+      display: 'Glucose [Mass/volume] in Interstitial fluid',
+    }]},
+    effectiveDateTime: '2018-02-10T08:00:00.000Z',
+    valueQuantity:     {value: 110, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL'},
+    device:            {display: 'Dexcom CGM', identifier: {value: '8XK2'}},
+  }, 'the oldest value comes first, coded, timed in UTC and tied to its transmitter.');
+  t.equal(bundle.entry[1].resource.effectiveDateTime, '2018-02-10T08:05:00.000Z', 'the newest value comes last.');
+
+  t.end();
+});
+
+test('Verify createFhirBundle() converts mmol/L values to mg/dL and honours its options', function (t) {
+  const mmolResult = {
+    estimatedGlucoseValues: {
+      unit:     'mmol/L',
+      rateUnit: 'mmol/L/min',
+      egvs:     [{systemTime: '2018-02-10T08:00:00', displayTime: '2018-02-10T00:00:00', value: 6.1}],
+    },
+  };
+  const bundle   = DexcomJS.createFhirBundle(mmolResult, {bundleType: 'collection', deviceReference: 'Device/456'});
+  const resource = bundle.entry[0].resource;
+
+  t.equal(bundle.type, 'collection',                   'the Bundle type is honoured.');
+  t.ok(!('request' in bundle.entry[0]),                'collection entries have no request.');
+  t.equal(resource.code.coding[0].code, '99504-3',     'mmol/L values are coded as interstitial fluid glucose.');
+  t.deepEqual(resource.valueQuantity, {value: 110, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL'},
+    'mmol/L values are converted to mg/dL.');
+  t.deepEqual(resource.device, {reference: 'Device/456'}, 'the device reference is honoured.');
+  t.ok(!('subject' in resource),                       'there is no subject without a patient reference.');
+
+  t.end();
+});
+
+test('Verify createFhirBundle() converts statistics to summary observations', function (t) {
+  const bundle = DexcomJS.createFhirBundle([egvsResult, statisticsResult], {startTime: startTime, endTime: endTime});
+  const summaries = bundle.entry.slice(2).map(entry => entry.resource);
+
+  t.equal(bundle.entry.length, 4, 'values come first, then summaries.');
+  t.deepEqual(summaries.map(resource => resource.code.coding[0].code), ['97507-8', '97510-2'],
+    'the statistics that are present are summarized.');
+  t.deepEqual(summaries[0].valueQuantity,
+    {value: 144.5, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL'}, 'the mean is in mg/dL.');
+  t.deepEqual(summaries[1].valueQuantity,
+    {value: 71.2, unit: '%', system: 'http://unitsofmeasure.org', code: '%'}, 'the time in range is a percentage.');
+  t.deepEqual(summaries[0].effectivePeriod, {start: '2018-02-10T00:00:00.000Z', end: '2018-02-11T00:00:00.000Z'},
+    'summaries cover the period of the statistics.');
+
+  const metrics = DexcomJS.computeGlycemicMetrics(
+    [{systemTime: '2018-02-10T08:00:00', displayTime: '2018-02-10T00:00:00', value: 7}], {unit: 'mmol/L'});
+  const metricsBundle = DexcomJS.createFhirBundle({statistics: metrics}, {endTime: endTime});
+  const values        = metricsBundle.entry.map(entry => entry.resource.valueQuantity);
+  t.deepEqual(metricsBundle.entry.map(entry => entry.resource.code.coding[0].code), ['97507-8', '97506-0', '97510-2'],
+    'the glucose management indicator of computed metrics is summarized.');
+  t.equal(values[0].value, 126, 'a mean in mmol/L is converted to mg/dL.');
+  t.deepEqual(metricsBundle.entry[0].resource.effectivePeriod, {end: '2018-02-11T00:00:00.000Z'},
+    'a period may have only one end.');
+
+  const derivedBundle = DexcomJS.createFhirBundle([egvsResult, statisticsResult]);
+  t.deepEqual(derivedBundle.entry[2].resource.effectivePeriod,
+    {start: '2018-02-10T08:00:00.000Z', end: '2018-02-10T08:05:00.000Z'},
+    'without startTime and endTime, the period spans the estimated glucose values.');
+  t.throws(() => {DexcomJS.createFhirBundle(statisticsResult);}, DexcomJS.DexcomValidationError,
+    'statistics without estimated glucose values require a period.');
+
+  t.end();
+});
+
+test('Verify createFhirBundle() rejects invalid options', function (t) {
+  t.throws(() => {DexcomJS.createFhirBundle(egvsResult, {bundleType: 'batch'});}, DexcomJS.DexcomValidationError,
+    'unknown Bundle types are rejected.');
+  t.throws(() => {DexcomJS.createFhirBundle(egvsResult, {patientReference: ''});}, DexcomJS.DexcomValidationError,
+    'empty references are rejected.');
+  t.throws(() => {DexcomJS.createFhirBundle(egvsResult, {startTime: endTime, endTime: startTime});},
+    DexcomJS.DexcomValidationError, 'periods must not end before they begin.');
+
+  t.end();
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for the gaps and completeness of estimated glucose values reported by module ../gaps.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const helpers       = require('../helpers.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const millisecondsPerReading = 5 * 60 * 1000;
+const startTime              = 1447804800000;                    // 2015-11-18T00:00:00
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates estimated glucose value records for the given readings, counted in 5-minute intervals from startTime, newest
+ * first.
+ */
+function createEgvs(readings) {
+  return readings
+    .map(reading => {
+      const systemTime = helpers.dexcomifyEpochTime(startTime + reading * millisecondsPerReading);
+      return {systemTime: systemTime, displayTime: systemTime, value: 100};
+    })
+    .reverse();
+}
+
+/**
+ * Gets the epoch time of a reading, counted in 5-minute intervals from startTime.
+ */
+function timeOf(reading) {
+  return startTime + reading * millisecondsPerReading;
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify reportDataCompleteness() finds gaps', function (t) {
+  // Readings 0-2, a missing reading, readings 4-5, a sensor failure, then readings 20-21.
+  const egvs   = createEgvs([0, 1, 2, 4, 5, 20, 21]);
+  const report = DexcomJS.reportDataCompleteness(egvs);
+
+  t.deepEqual(report.gaps, [{startTime: timeOf(5), endTime: timeOf(20), durationMinutes: 75}],
+    'gaps longer than 15 minutes are reported, shorter ones are not');
+
+  const sensitive = DexcomJS.reportDataCompleteness(egvs, {minimumGapMinutes: 5});
+  t.equal(sensitive.gaps.length, 2,                                   'the threshold may be configured');
+
+  const bounded = DexcomJS.reportDataCompleteness(egvs, {startTime: timeOf(-12), endTime: timeOf(30)});
+  t.deepEqual(bounded.gaps.map(gap => gap.durationMinutes), [60, 75, 45], 'the ends of the period may have gaps');
+
+  const empty = DexcomJS.reportDataCompleteness([], {startTime: timeOf(0), endTime: timeOf(288)});
+  t.deepEqual(empty.gaps, [{startTime: timeOf(0), endTime: timeOf(288), durationMinutes: 1440}],
+    'a period without data is a single gap');
+
+  t.throws(() => {DexcomJS.reportDataCompleteness(egvs, {minimumGapMinutes: 0});}, DexcomJS.DexcomValidationError,
+    'thresholds must be positive.');
+
+  t.end();
+});
+
+test('Verify reportDataCompleteness() computes completeness per day', function (t) {
+  const fullDay = Array.from({length: 288}, (value, idx) => idx);
+  const halfDay = Array.from({length: 144}, (value, idx) => 288 + 2 * idx);
+  const report  = DexcomJS.reportDataCompleteness(createEgvs(fullDay.concat(halfDay)));
+
+  t.deepEqual(report.days.map(day => day.date), ['2015-11-18', '2015-11-19'], 'days are listed oldest first');
+  t.deepEqual(report.days.map(day => day.completenessPercent), [100, 50],   'completeness is computed per day');
+  t.equal(report.days[1].expectedValues, 288,                               'an active CGM records 288 values a day');
+  t.equal(report.gaps.length, 0,                                            'readings every 10 minutes are no gap');
+
+  t.end();
+});
+
+test('Verify reportDataCompleteness() expects the values of the real length of each day', function (t) {
+  // A user in New York, whose device changes from UTC-4 to UTC-5 on 2021-11-07 and from UTC-5 to UTC-4 on 2021-03-14.
+  const createDay = (startSystemTime, hours, offsetAt) => Array.from({length: hours * 12}, (value, idx) => {
+    const time = helpers.parseDexcomTime(startSystemTime) + idx * millisecondsPerReading;
+    return {
+      systemTime:  helpers.dexcomifyEpochTime(time),
+      displayTime: helpers.dexcomifyEpochTime(time + offsetAt(time) * 3600 * 1000),
+      value:       100,
+    };
+  });
+  const fallBack      = helpers.parseDexcomTime('2021-11-07T06:00:00');
+  const springForward = helpers.parseDexcomTime('2021-03-14T07:00:00');
+  const longDay       = createDay('2021-11-07T04:00:00', 25, time => (time < fallBack) ? -4 : -5);
+  const shortDay      = createDay('2021-03-14T05:00:00', 23, time => (time < springForward) ? -5 : -4);
+
+  const report = DexcomJS.reportDataCompleteness(longDay.concat(shortDay));
+  t.deepEqual(report.days.map(day => day.date), ['2021-03-14', '2021-11-07'], 'each day of the device is listed once');
+  t.deepEqual(report.days.map(day => day.expectedValues), [276, 300],         'days of 23 and 25 hours are expected');
+  t.deepEqual(report.days.map(day => day.completenessPercent), [100, 100],    'complete days are 100% complete');
+
+  const drifting = DexcomJS.reportDataCompleteness(createEgvs([0, 1, 2]).map(egv => Object.assign({}, egv, {
+    displayTime: helpers.dexcomifyEpochTime(helpers.parseDexcomTime(egv.systemTime) + 90 * 1000),
+  })));
+  t.equal(drifting.days[0].expectedValues, 288, 'the drift of the device clock is ignored');
+
+  const bounded = DexcomJS.reportDataCompleteness(createEgvs([0, 1, 2]), {startTime: timeOf(-6), endTime: timeOf(6)});
+  t.equal(bounded.days[0].expectedValues, 6, 'only the part of a day within the period is expected');
+
+  t.end();
+});
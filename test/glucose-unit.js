@@ -0,0 +1,133 @@
+/**
+ * Unit tests for the glucoseUnit option, which converts the glucose values returned by every function of module
+ * ../index.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options     = Object.assign({}, fixtures.options, {glucoseUnit: 'mmol/L'});
+const oauthTokens = fixtures.createOAuthTokens(Date.now());
+
+const startTime = 1447804800000;                    // 2015-11-18T00:00:00
+const endTime   = startTime + 86400 * 1000;
+
+const responses = {
+  egvs: {
+    unit:     'mg/dL',
+    rateUnit: 'mg/dL/min',
+    egvs:     [{systemTime: '2015-11-18T12:00:00', displayTime: '2015-11-18T04:00:00', value: 180, trendRate: 2}],
+  },
+  calibrations: {
+    calibrations: [{systemTime: '2015-11-18T12:00:00', displayTime: '2015-11-18T04:00:00', unit: 'mg/dL', value: 90}],
+  },
+  events: {
+    events: [
+      {systemTime: '2015-11-18T12:00:00', eventType: 'bloodGlucose', unit: 'mg/dL', value: 72},
+      {systemTime: '2015-11-18T11:00:00', eventType: 'carbs',        unit: 'grams', value: 30},
+    ],
+  },
+  statistics: {mean: 180.156, stdDev: 18.0156, nValues: 288},
+  devices: {
+    devices: [{
+      lastUploadDate:    '2015-11-18T12:00:00',
+      alertScheduleList: [{
+        alertScheduleSettings: {alertScheduleName: 'Default', isDefaultSchedule: true},
+        alertSettings:         [
+          {alertName: 'low',        value: 70,  unit: 'mg/dL',     snooze: 30,  enabled: true},
+          {alertName: 'high',       value: 250, unit: 'mg/dL',     snooze: 120, enabled: true},
+          {alertName: 'rise',       value: 3,   unit: 'mg/dL/min', snooze: 0,   enabled: true},
+          {alertName: 'outOfRange', value: 20,  unit: 'minutes',   snooze: 0,   enabled: true},
+        ],
+      }],
+    }],
+  },
+};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates a stand-in for an axios instance that answers each request with the response of its endpoint, in mg/dL.
+ */
+function createMilligramsHttpClient() {
+  return {
+    request: async function(requestConfig) {
+      return {status: 200, data: JSON.parse(JSON.stringify(responses[requestConfig.url.split('/').pop()]))};
+    }
+  };
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify the glucoseUnit option converts every glucose value', async function (t) {
+  const client = DexcomJS.createClient(options, {httpClient: createMilligramsHttpClient()});
+
+  const egvs = (await client.getEstimatedGlucoseValues(oauthTokens, startTime, endTime)).estimatedGlucoseValues;
+  t.deepEqual([egvs.unit, egvs.rateUnit], ['mmol/L', 'mmol/L/min'],      'the units of EGVs are converted');
+  t.deepEqual([egvs.egvs[0].value, egvs.egvs[0].trendRate], [10, 0.11],   'EGVs and trend rates are converted');
+
+  const ranged = await client.getEstimatedGlucoseValuesAnyDateRange(oauthTokens, startTime, endTime);
+  t.equal(ranged.estimatedGlucoseValues.egvs[0].value, 10,               'EGVs of date ranges are converted');
+
+  const calibrations = (await client.getCalibrations(oauthTokens, startTime, endTime)).calibrations;
+  t.deepEqual(calibrations.calibrations[0].value, 5,                     'calibrations are converted');
+
+  const events = (await client.getEventsAnyDateRange(oauthTokens, startTime, endTime)).events;
+  t.deepEqual(events.events.map(event => event.value), [4, 30],          'only blood glucose events are converted');
+
+  const statistics = (await client.getStatistics(oauthTokens, startTime, endTime)).statistics;
+  t.deepEqual([statistics.unit, statistics.mean, statistics.stdDev], ['mmol/L', 10, 1], 'statistics are converted');
+
+  const devices = (await client.getDevices(oauthTokens, startTime, endTime)).devices.devices;
+  t.deepEqual(devices[0].alertScheduleList[0].alertSettings.map(setting => [setting.value, setting.unit]),
+    [[3.9, 'mmol/L'], [13.9, 'mmol/L'], [0.17, 'mmol/L/min'], [20, 'minutes']],
+    'device alert thresholds are converted, other alert settings are not');
+  t.deepEqual(responses.devices.devices[0].alertScheduleList[0].alertSettings[0].value, 70,
+    'the alert settings of the response are not modified');
+
+  const rangedDevices = await client.getDevicesAnyDateRange(oauthTokens, startTime, endTime);
+  t.equal(rangedDevices.devices.devices[0].alertScheduleList[0].alertSettings[1].value, 13.9,
+    'device alert thresholds of date ranges are converted');
+
+  const metrics = client.computeGlycemicMetrics(egvs.egvs);
+  t.equal(metrics.unit, 'mmol/L',                                        'metrics default to the glucose unit');
+
+  const milligrams = await client.getEstimatedGlucoseValuesAnyDateRange(oauthTokens, startTime, endTime,
+    {unit: 'mg/dL'});
+  t.equal(milligrams.estimatedGlucoseValues.egvs[0].value, 180,          'a requested unit overrides the option');
+
+  t.throws(() => {DexcomJS.createClient(Object.assign({}, options, {glucoseUnit: 'mmol/l'}));},
+    DexcomJS.DexcomValidationError, 'unknown glucose units are rejected.');
+});
+
+test('Verify values are passed through without the glucoseUnit option', async function (t) {
+  const client = DexcomJS.createClient(Object.assign({}, options, {glucoseUnit: undefined}),
+    {httpClient: createMilligramsHttpClient()});
+
+  const egvs = (await client.getEstimatedGlucoseValues(oauthTokens, startTime, endTime)).estimatedGlucoseValues;
+  t.deepEqual([egvs.unit, egvs.egvs[0].value], ['mg/dL', 180],          'EGVs are returned as reported by Dexcom');
+
+  const statistics = (await client.getStatistics(oauthTokens, startTime, endTime)).statistics;
+  t.deepEqual(statistics, responses.statistics,                          'statistics are returned unchanged');
+});
@@ -0,0 +1,68 @@
+/**
+ * Selects the Dexcom platform that the tests of a file run against. By default, tests run offline against a mock
+ * Dexcom server (see ../../mock-server.js). When the DEXCOM_SANDBOX environment variable is set, tests run against the
+ * Dexcom sandbox instead, with the options of file test/secrets.yml.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const fs         = require('fs');
+const yaml       = require('js-yaml');
+const mockServer = require('../../mock-server.js');
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Tells whether tests run against the Dexcom sandbox.
+ */
+function usesSandbox() {
+  return Boolean(process.env.DEXCOM_SANDBOX);
+}
+
+/**
+ * Sets the options of a client for the Dexcom platform that tests run against. With the mock Dexcom server, a test
+ * that starts the server is registered, and a function is returned that registers a test that stops it; it must be
+ * called after the last test of the file.
+ *
+ * @param test
+ * The tape test function of the file.
+ *
+ * @param client
+ * The client whose options are set, such as the module exported by ../../index.js.
+ *
+ * @returns a function that registers the test that stops the mock Dexcom server, if any.
+ */
+function setUpDexcom(test, client) {
+  if (usesSandbox()) {
+    client.setOptions(yaml.safeLoad(fs.readFileSync('./test/secrets.yml', 'utf8')));
+    return () => {};
+  }
+
+  const server = mockServer.createMockServer();
+  test('Start the mock Dexcom server', async function (t) {
+    await server.start();
+    client.setOptions(server.getClientOptions());
+    t.pass('the mock Dexcom server is started');
+  });
+
+  return () => test('Stop the mock Dexcom server', async function (t) {
+    await server.stop();
+    t.pass('the mock Dexcom server is stopped');
+  });
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.usesSandbox = usesSandbox;
+exports.setUpDexcom = setUpDexcom;
@@ -0,0 +1,132 @@
+/**
+ * The fixtures shared by the unit tests: the options of a sandbox client, OAuth tokens, and stand-ins for axios
+ * instances and for the errors with which axios rejects requests.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const helpers = require('../../helpers.js');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The options of a client for the Dexcom sandbox. Tests that need other options copy them with Object.assign().
+ */
+const options = Object.freeze({
+  clientId:     'jitzdjgkgzocbygphnzgpgeibqrybaxj',
+  clientSecret: 'dnnukiodacexkmum',
+  redirectUri:  'https://foo.bar.com/callback',
+  apiUri:       'https://sandbox-api.dexcom.com',
+});
+
+const millisecondsPerDay = 86400 * 1000;
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates OAuth tokens that were acquired at the given time.
+ *
+ * @param timestamp
+ * The epoch time, in milliseconds, at which the tokens were acquired.
+ *
+ * @param suffix
+ * An optional suffix of the access token and of the refresh token, which tells tokens apart.
+ */
+function createOAuthTokens(timestamp, suffix) {
+  return {
+    timestamp: timestamp,
+    dexcomOAuthToken: {
+      access_token:  (suffix === undefined) ? 'some opaque access token' : `access token ${suffix}`,
+      expires_in:    7200,
+      token_type:    'Bearer',
+      refresh_token: (suffix === undefined) ? 'some opaque refresh token' : `refresh token ${suffix}`,
+    }
+  };
+}
+
+/**
+ * Creates an error like those with which axios rejects requests that receive an unsuccessful response.
+ *
+ * @param status
+ * The HTTP status of the response.
+ *
+ * @param headers
+ * The headers of the response, such as {'retry-after': '0'} (defaults to none).
+ *
+ * @param data
+ * The body of the response (defaults to an empty object).
+ */
+function createResponseError(status, headers, data) {
+  const error    = new Error(`Request failed with status code ${status}`);
+  error.response = {status: status, headers: headers || {}, data: (data === undefined) ? {} : data};
+  return error;
+}
+
+/**
+ * Creates a stand-in for an axios instance that records every request. Its token endpoint issues new tokens, whose
+ * suffix is 'refreshed', and it answers any other request with an empty data range.
+ */
+function createRecordingHttpClient() {
+  return {
+    requests: [],
+    request: async function(requestConfig) {
+      this.requests.push(requestConfig);
+      if (requestConfig.url.endsWith('/oauth2/token')) {
+        return {status: 200, data: createOAuthTokens(0, 'refreshed').dexcomOAuthToken};
+      }
+      return {status: 200, data: {calibrations: {}, egvs: {}, events: {}}};
+    }
+  };
+}
+
+/**
+ * Creates a stand-in for an axios instance that records every request, and answers it with one carbs record of value
+ * 100 per day, including both ends of the requested time window, newest first.
+ */
+function createDailyRecordHttpClient() {
+  return {
+    requests: [],
+    request: async function(requestConfig) {
+      this.requests.push(requestConfig);
+
+      const endpoint        = requestConfig.url.split('/').pop();
+      const windowStartTime = helpers.parseDexcomTime(requestConfig.params.startDate);
+      const windowEndTime   = helpers.parseDexcomTime(requestConfig.params.endDate);
+      const records         = [];
+      for (let time = windowEndTime; time >= windowStartTime; time -= millisecondsPerDay) {
+        const systemTime = helpers.dexcomifyEpochTime(time);
+        records.push({systemTime: systemTime, displayTime: systemTime, value: 100, eventType: 'carbs'});
+      }
+
+      const data = {};
+      data[endpoint] = records;
+      if (endpoint === 'egvs') {
+        data.unit     = 'mg/dL';
+        data.rateUnit = 'mg/dL/min';
+      }
+      return {status: 200, data: data};
+    }
+  };
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.options                     = options;
+exports.createOAuthTokens           = createOAuthTokens;
+exports.createResponseError         = createResponseError;
+exports.createRecordingHttpClient   = createRecordingHttpClient;
+exports.createDailyRecordHttpClient = createDailyRecordHttpClient;
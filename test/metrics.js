@@ -0,0 +1,100 @@
+/**
+ * Unit tests for the glycemic metrics computed by module ../metrics.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const helpers       = require('../helpers.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const millisecondsPerReading = 5 * 60 * 1000;
+const startTime              = 1447804800000;                    // 2015-11-18T00:00:00
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates estimated glucose value records with the given values, one every five minutes from startTime, newest first.
+ * Values that are null create no record, as when the CGM was not active.
+ */
+function createEgvs(values) {
+  return values
+    .map((value, idx) => {
+      const systemTime = helpers.dexcomifyEpochTime(startTime + idx * millisecondsPerReading);
+      return (value === null) ? null : {systemTime: systemTime, displayTime: systemTime, value: value};
+    })
+    .filter(egv => egv !== null)
+    .reverse();
+}
+
+/**
+ * Rounds a number to a given number of decimal places.
+ */
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify computeGlycemicMetrics() summarizes values', function (t) {
+  const metrics = DexcomJS.computeGlycemicMetrics(createEgvs([50, 60, 100, 120, 150, 200, 300, 140]));
+
+  t.equal(metrics.nValues, 8,                          'every value is counted');
+  t.equal(metrics.mean, 140,                           'the mean is computed');
+  t.equal(round(metrics.stdDev, 2), 75.66,             'the population standard deviation is computed');
+  t.equal(round(metrics.coefficientOfVariation, 2), 54.05, 'the coefficient of variation is computed');
+  t.equal(round(metrics.gmi, 2), 6.66,                 'the glucose management indicator is computed');
+  t.equal(metrics.median, 130,                         'the median is interpolated');
+  t.deepEqual([metrics.min, metrics.max], [50, 300],   'the extremes are computed');
+  t.equal(metrics.utilizationPercent, 100,             'a CGM without gaps was always active');
+  t.deepEqual(metrics.timeInRanges, {veryLow: 12.5, low: 12.5, inRange: 50, high: 12.5, veryHigh: 12.5},
+    'time is spread over the consensus ranges');
+  t.equal(metrics.percentBelowRange + metrics.percentWithinRange + metrics.percentAboveRange, 100,
+    'the Dexcom ranges cover every value');
+
+  t.end();
+});
+
+test('Verify computeGlycemicMetrics() handles gaps, units and missing values', function (t) {
+  const withGap = DexcomJS.computeGlycemicMetrics(createEgvs([100, 100, null, null, 100]));
+  t.equal(withGap.utilizationPercent, 60, 'readings missing from the period reduce the CGM activity');
+
+  const dayOptions = {startTime: startTime, endTime: startTime + 86400 * 1000};
+  const overDay    = DexcomJS.computeGlycemicMetrics(createEgvs([100]), dayOptions);
+  t.equal(round(overDay.utilizationPercent, 2), 0.35, 'the CGM activity covers the given period');
+
+  const millimoles = DexcomJS.computeGlycemicMetrics([{systemTime: '2015-11-18T00:00:00', value: 10.0},
+    {systemTime: '2015-11-18T00:05:00', value: 3.8}], {unit: 'mmol/L'});
+  t.equal(millimoles.unit, 'mmol/L',              'values in mmol/L are supported');
+  t.equal(millimoles.timeInRanges.inRange, 50,    'the consensus ranges in mmol/L are used');
+  t.equal(round(millimoles.gmi, 2), 6.28,         'the glucose management indicator is computed from mg/dL');
+
+  const empty = DexcomJS.computeGlycemicMetrics([{systemTime: '2015-11-18T00:00:00', value: null}]);
+  t.equal(empty.nValues, 0,                       'records without values are ignored');
+  t.equal(empty.mean, null,                       'statistics of no values are null');
+
+  t.throws(() => {DexcomJS.computeGlycemicMetrics([], {unit: 'mg/dl'});}, 'unknown units are rejected.');
+  t.throws(() => {DexcomJS.computeGlycemicMetrics([], {readingIntervalMinutes: 0});}, DexcomJS.DexcomValidationError,
+    'a reading interval of zero is rejected.');
+
+  t.end();
+});
@@ -0,0 +1,230 @@
+/**
+ * Unit tests for the mock Dexcom server of module ../mock-server.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const mockServer    = require('../mock-server.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const millisecondsPerDay = 86400 * 1000;
+const startTime          = 1447804800000;                    // 2015-11-18T00:00:00
+const endTime            = startTime + millisecondsPerDay;
+
+const retryPolicy = {
+  maxAttempts:           3,
+  baseDelayMilliseconds: 1,
+  jitter:                false,
+};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Starts a mock Dexcom server, runs a test function with the server and a client of it, and stops the server.
+ */
+async function withMockServer(mockOptions, apiVersion, testFunction) {
+  const server = mockServer.createMockServer(mockOptions);
+  await server.start();
+  try {
+    const client = DexcomJS.createClient(server.getClientOptions(apiVersion), {retryPolicy});
+    await testFunction(server, client);
+  }
+  finally {
+    await server.stop();
+  }
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify the mock server logs in sandbox users and serves deterministic v2 data', async function (t) {
+  await withMockServer({}, 'v2', async (server, client) => {
+    const oauthTokens = await client.getSandboxAuthenticationToken('SandboxUser2');
+    t.equal(oauthTokens.dexcomOAuthToken.token_type, 'Bearer', 'the consent and token endpoints issue tokens.');
+    t.deepEqual(server.requests.slice(0, 2).map(request => request.path), ['/consent', '/v2/oauth2/token'],
+      'the configured consent endpoint is used.');
+
+    const result = await client.getEstimatedGlucoseValues(oauthTokens, startTime, endTime);
+    const egvs   = result.estimatedGlucoseValues.egvs;
+    t.equal(result.estimatedGlucoseValues.unit, 'mg/dL', 'values are in mg/dL.');
+    t.equal(egvs.length, 289,                            'there is a value every five minutes, both ends included.');
+    t.equal(egvs[0].systemTime, '2015-11-19T00:00:00',   'values are newest first.');
+    t.ok(egvs.every(egv => egv.value >= 40 && egv.value <= 400 && typeof egv.trend === 'string'),
+      'values and trends are plausible.');
+
+    const again = await client.getEstimatedGlucoseValues(oauthTokens, startTime, endTime);
+    t.deepEqual(again.estimatedGlucoseValues, result.estimatedGlucoseValues, 'the same request returns the same data.');
+
+    const events = (await client.getEvents(oauthTokens, startTime, endTime)).events.events;
+    t.deepEqual(events.map(event => event.eventType).reverse(),
+      ['insulin', 'carbs', 'insulin', 'carbs', 'exercise', 'insulin', 'carbs', 'insulin'], 'events recur every day.');
+    t.ok(events.every(event => event.recordId === event.eventId), 'v2 events are identified by their eventId.');
+
+    const calibrations = (await client.getCalibrations(oauthTokens, startTime, endTime)).calibrations.calibrations;
+    t.equal(calibrations.length, 2, 'there are two calibrations a day.');
+
+    const dataRange = (await client.getDataRange(oauthTokens)).dataRange;
+    t.deepEqual(dataRange.egvs, {
+      start: {systemTime: '2015-11-01T12:00:00', displayTime: '2015-11-01T12:00:00'},
+      end:   {systemTime: '2016-01-31T12:00:00', displayTime: '2016-01-31T12:00:00'},
+    }, 'the data range covers the data period.');
+
+    const statistics = (await client.getStatistics(oauthTokens, startTime, endTime)).statistics;
+    t.equal(statistics.nValues, 289, 'statistics are computed from the values of the window.');
+    t.equal(statistics.meanDailyCalibrations * statistics.nDays, calibrations.length, 'statistics count calibrations.');
+
+    const devices = (await client.getDevices(oauthTokens, startTime, endTime)).devices.devices;
+    t.ok(Array.isArray(devices[0].alertScheduleList), 'v2 devices have an alert schedule list.');
+  });
+});
+
+test('Verify the mock server serves v3 data', async function (t) {
+  await withMockServer({displayTimeOffsetMinutes: -480}, 'v3', async (server, client) => {
+    const oauthTokens = await client.getSandboxAuthenticationToken('SandboxUser2');
+    const result      = await client.getEstimatedGlucoseValues(oauthTokens, startTime, endTime);
+    const egvs        = result.estimatedGlucoseValues;
+
+    t.equal(egvs.unit, 'mg/dL', 'the unit is taken from the records.');
+    t.equal(egvs.egvs[0].displayTime, '2015-11-18T16:00:00-08:00', 'display times hold the UTC offset of the device.');
+    t.ok(/^[0-9a-f]{8}-/.test(egvs.egvs[0].recordId), 'records are identified by a recordId.');
+    t.equal(server.requests[server.requests.length - 1].path, '/v3/users/self/egvs', 'the v3 endpoints are used.');
+
+    const alerts = await client.getAlerts(oauthTokens, startTime, endTime);
+    t.deepEqual(alerts.alerts.alerts.map(alert => alert.alertName).reverse(), ['low', 'high'],
+      'alerts recur every day.');
+
+    await t.rejects(client.getStatistics(oauthTokens, startTime, endTime), DexcomJS.DexcomValidationError,
+      'v3 clients have no statistics.');
+  });
+});
+
+test('Verify the mock server validates credentials, tokens and time windows', async function (t) {
+  await withMockServer({strictRefreshTokens: true}, 'v2', async (server, client) => {
+    const badClient = DexcomJS.createClient(Object.assign(server.getClientOptions(), {clientSecret: 'wrong'}));
+    await t.rejects(badClient.getSandboxAuthenticationToken('SandboxUser1'), DexcomJS.DexcomAuthError,
+      'wrong client credentials are rejected.');
+
+    const oauthTokens = await client.getSandboxAuthenticationToken('SandboxUser1');
+    await t.rejects(client.getEstimatedGlucoseValues(oauthTokens, startTime, startTime + 91 * millisecondsPerDay),
+      /status 400/, 'windows of more than 90 days are rejected.');
+
+    const result = await client.getEstimatedGlucoseValuesAnyDateRange(oauthTokens, startTime,
+      startTime + 120 * millisecondsPerDay);
+    t.equal(result.estimatedGlucoseValues.egvs[0].systemTime, '2016-01-31T12:00:00',
+      'longer date ranges are split and clamped to the data period.');
+
+    server.expireAccessTokens();
+    await t.rejects(client.getEvents(oauthTokens, startTime, endTime), DexcomJS.DexcomAuthError,
+      'expired access tokens are rejected.');
+
+    const staleTokens = Object.assign({}, oauthTokens, {timestamp: oauthTokens.timestamp - 3 * 3600 * 1000});
+    const refreshed   = await client.getEvents(staleTokens, startTime, endTime);
+    t.ok(refreshed.oauthTokens, 'tokens that the client knows to be expired are refreshed.');
+
+    const unknownTokens = {
+      timestamp:        0,
+      dexcomOAuthToken: Object.assign({}, oauthTokens.dexcomOAuthToken, {refresh_token: 'unknown'}),
+    };
+    await t.rejects(client.getEvents(unknownTokens, startTime, endTime), DexcomJS.DexcomApiError,
+      'unknown refresh tokens are rejected when they are strict.');
+
+    const state  = client.getAuthorizationUrl().state;
+    const tokens = await client.exchangeAuthorizationCode(server.createAuthorizationCode('user a'), state);
+    t.ok(tokens.dexcomOAuthToken.access_token, 'authorization codes are exchanged.');
+  });
+});
+
+test('Verify concurrent requests survive the rotation of refresh tokens by the mock server', async function (t) {
+  await withMockServer({strictRefreshTokens: true}, 'v2', async (server, client) => {
+    const oauthTokens = await client.getSandboxAuthenticationToken('SandboxUser1');
+    const staleTokens = Object.assign({}, oauthTokens, {timestamp: oauthTokens.timestamp - 3 * 3600 * 1000});
+    await client.tokenStore.set('user a', staleTokens);
+
+    const tokenRequests = () => server.requests.filter(request => request.path === '/v2/oauth2/token').length;
+    const before        = tokenRequests();
+    const results       = await Promise.all([
+      client.getEvents(staleTokens, startTime, endTime),
+      client.getEvents('user a', startTime, endTime),
+      client.getEvents('user a', startTime, endTime),
+    ]);
+    t.equal(tokenRequests() - before, 1, 'the stale tokens are refreshed once.');
+    t.ok(results.every(result => result.oauthTokens === results[0].oauthTokens),
+      'every request obtains the new tokens.');
+
+    const late = await client.getEvents(staleTokens, startTime, endTime);
+    t.equal(late.oauthTokens, results[0].oauthTokens, 'a late request presenting the rotated token obtains them too.');
+
+    const otherClient = DexcomJS.createClient(server.getClientOptions(), {retryPolicy});
+    await t.rejects(otherClient.getEvents(staleTokens, startTime, endTime), DexcomJS.DexcomAuthError,
+      'the rotated refresh token is rejected by the server.');
+    const refreshed = await otherClient.getEvents(results[0].oauthTokens, startTime, endTime);
+    t.ok(refreshed.events.events.length > 0, 'the new tokens remain valid.');
+  });
+});
+
+test('Verify the tokens refreshed by the mock server belong to the user of the refresh token', async function (t) {
+  await withMockServer({}, 'v3', async (server, client) => {
+    const state       = client.getAuthorizationUrl().state;
+    const oauthTokens = await client.exchangeAuthorizationCode(server.createAuthorizationCode('user a'), state);
+
+    const refreshed = await client.getDataRange(Object.assign({}, oauthTokens, {timestamp: 0}));
+    t.ok(refreshed.oauthTokens, 'the tokens are refreshed.');
+    t.equal(refreshed.dataRange.userId, 'user a', 'the refreshed tokens belong to the user.');
+
+    const rotated = await client.getDataRange(Object.assign({}, refreshed.oauthTokens, {timestamp: 0}));
+    t.equal(rotated.dataRange.userId, 'user a', 'the user is kept as the refresh token is rotated.');
+
+    const unknownTokens = {
+      timestamp:        0,
+      dexcomOAuthToken: Object.assign({}, oauthTokens.dexcomOAuthToken, {refresh_token: 'unknown'}),
+    };
+    const unknown = await client.getDataRange(unknownTokens);
+    t.equal(unknown.dataRange.userId, null, 'refresh tokens that the mock did not issue belong to no user.');
+  });
+});
+
+test('Verify the mock server injects errors', async function (t) {
+  await withMockServer({}, 'v2', async (server, client) => {
+    const oauthTokens = await client.getSandboxAuthenticationToken('SandboxUser2');
+
+    server.failNextRequests(500, 2, {path: '/egvs'});
+    const result = await client.getEstimatedGlucoseValues(oauthTokens, startTime, endTime);
+    t.equal(result.estimatedGlucoseValues.egvs.length, 289, 'server errors are retried.');
+    t.deepEqual(server.requests.slice(-3).map(request => request.status), [500, 500, 200],
+      'the requests are logged with their status.');
+
+    server.failNextRequests(429, 1, {retryAfterSeconds: 0});
+    await client.getEvents(oauthTokens, startTime, endTime);
+    t.deepEqual(server.requests.slice(-2).map(request => request.status), [429, 200], 'rate limits are retried.');
+
+    server.failNextRequests(429, 3, {retryAfterSeconds: 0});
+    await t.rejects(client.getEvents(oauthTokens, startTime, endTime), DexcomJS.DexcomRateLimitError,
+      'persistent rate limits are reported.');
+
+    server.failNextRequests(401);
+    await t.rejects(client.getCalibrations(oauthTokens, startTime, endTime), DexcomJS.DexcomAuthError,
+      'unauthorized requests are reported.');
+
+    server.failNextRequests(500, 1, {path: '/devices'});
+    await client.getCalibrations(oauthTokens, startTime, endTime);
+    t.equal(server.requests[server.requests.length - 1].status, 200, 'failures only apply to their path.');
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Unit tests for the Nightscout bridge of module ../nightscout.js. Uploads are sent to a local stand-in for a
+ * Nightscout site.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const http          = require('http');
+const crypto        = require('crypto');
+const DexcomJS      = require('../index.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options = Object.assign({}, fixtures.options, {apiVersion: 'v2'});
+
+const apiSecret = 'correct horse battery staple';
+
+const egvsResult = {
+  estimatedGlucoseValues: {
+    unit:     'mg/dL',
+    rateUnit: 'mg/dL/min',
+    egvs: [
+      {systemTime: '2018-02-10T08:10:00', displayTime: '2018-02-10T00:10:00', value: null, trend: 'none'},
+      {systemTime: '2018-02-10T08:00:00', displayTime: '2018-02-10T00:00:00', value: 110, trend: 'flat'},
+      {systemTime: '2018-02-10T08:05:00', displayTime: '2018-02-10T00:05:00', value: 125, trend: 'singleUp'},
+    ],
+  },
+};
+
+const eventsResult = {
+  events: {
+    events: [
+      {systemTime: '2018-02-10T08:01:00', eventType: 'carbs', value: 45, unit: 'grams', eventStatus: 'created'},
+      {
+        systemTime:   '2018-02-10T08:02:00',
+        eventType:    'insulin',
+        eventSubType: 'fastActing',
+        value:        4.5,
+        unit:         'units',
+        eventStatus:  'created',
+      },
+      {
+        systemTime:   '2018-02-10T08:02:30',
+        eventType:    'insulin',
+        eventSubType: 'longActing',
+        value:        20,
+        unit:         'units',
+        eventStatus:  'created',
+      },
+      {systemTime: '2018-02-10T08:03:00', eventType: 'exercise', eventSubType: 'light', value: 30, unit: 'minutes'},
+      {systemTime: '2018-02-10T08:04:00', eventType: 'health', eventSubType: 'stress', value: null, unit: null},
+      {systemTime: '2018-02-10T08:06:00', eventType: 'carbs', value: 20, unit: 'grams', eventStatus: 'deleted'},
+    ],
+  },
+};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Starts a local stand-in for a Nightscout site, which records the requests it receives and answers them with the
+ * given status, or with a status for each request, the last of which answers any further requests.
+ *
+ * @returns a Promise that wraps an object of the following format:
+ * {
+ *   baseUrl: the URL of the server,
+ *   requests: [{method, url, headers, body}, ...],
+ *   close: function(), returning a Promise that resolves once the server is closed
+ * }
+ */
+function startNightscoutServer(statuses) {
+  const responseStatuses = [].concat(statuses);
+  const requests         = [];
+  const server           = http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const body = Buffer.concat(chunks).toString();
+      requests.push({method: request.method, url: request.url, headers: request.headers, body: JSON.parse(body)});
+      response.writeHead(responseStatuses[Math.min(requests.length, responseStatuses.length) - 1],
+        {'Content-Type': 'application/json'});
+      response.end(body);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      baseUrl:  `http://127.0.0.1:${server.address().port}`,
+      requests: requests,
+      close:    () => new Promise(resolveClose => server.close(resolveClose)),
+    }));
+  });
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify convertToNightscout() converts estimated glucose values to entries', function (t) {
+  const documents = DexcomJS.convertToNightscout(egvsResult);
+
+  t.deepEqual(documents.entries, [
+    {
+      type:       'sgv',
+      sgv:        125,
+      direction:  'SingleUp',
+      trend:      2,
+      date:       Date.UTC(2018, 1, 10, 8, 5),
+      dateString: '2018-02-10T08:05:00.000Z',
+      device:     'dexcom-js',
+    },
+    {
+      type:       'sgv',
+      sgv:        110,
+      direction:  'Flat',
+      trend:      4,
+      date:       Date.UTC(2018, 1, 10, 8, 0),
+      dateString: '2018-02-10T08:00:00.000Z',
+      device:     'dexcom-js',
+    },
+  ], 'values are converted newest first, and records without a value are skipped.');
+  t.deepEqual(documents.treatments, [], 'there are no treatments without events.');
+
+  const mmolResult = {
+    estimatedGlucoseValues: {
+      unit:     'mmol/L',
+      rateUnit: 'mmol/L/min',
+      egvs:     [{systemTime: '2018-02-10T08:00:00', value: 6.1, trend: 'unknownTrend'}],
+    },
+  };
+  const mmolEntry = DexcomJS.convertToNightscout(mmolResult, {device: 'my-uploader'}).entries[0];
+  t.equal(mmolEntry.sgv, 110,                'values in mmol/L are converted to mg/dL.');
+  t.equal(mmolEntry.direction, 'NONE',       'unknown trends have no direction.');
+  t.equal(mmolEntry.device, 'my-uploader',   'the device is honoured.');
+
+  t.end();
+});
+
+test('Verify convertToNightscout() converts events to treatments', function (t) {
+  const documents = DexcomJS.convertToNightscout([egvsResult, eventsResult]);
+
+  t.equal(documents.entries.length, 2, 'entries and treatments are converted together.');
+  t.deepEqual(documents.treatments, [
+    {
+      eventType:  'Exercise',
+      duration:   30,
+      notes:      'light',
+      created_at: '2018-02-10T08:03:00.000Z',
+      enteredBy:  'dexcom-js',
+    },
+    {
+      eventType:  'Correction Bolus',
+      insulin:    4.5,
+      notes:      'fastActing',
+      created_at: '2018-02-10T08:02:00.000Z',
+      enteredBy:  'dexcom-js',
+    },
+    {
+      eventType:  'Carb Correction',
+      carbs:      45,
+      created_at: '2018-02-10T08:01:00.000Z',
+      enteredBy:  'dexcom-js',
+    },
+  ], 'carbs, fast acting insulin and exercise are converted newest first; other and deleted events are skipped.');
+  t.notOk(documents.treatments.some(treatment => treatment.insulin === 20), 'long acting insulin is not a bolus.');
+
+  t.end();
+});
+
+test('Verify uploadToNightscout() posts entries and treatments with the hashed API secret', async function (t) {
+  const server = await startNightscoutServer(200);
+  try {
+    const client = DexcomJS.createClient(options);
+    const result = await client.uploadToNightscout([egvsResult, eventsResult], {
+      baseUrl:   `${server.baseUrl}/`,
+      apiSecret: apiSecret,
+    });
+
+    const hash = crypto.createHash('sha1').update(apiSecret).digest('hex');
+    t.deepEqual(result, {entries: 2, treatments: 3}, 'the numbers of uploaded documents are returned.');
+    t.deepEqual(server.requests.map(request => `${request.method} ${request.url}`),
+      ['POST /api/v1/entries', 'POST /api/v1/treatments'], 'entries and treatments are posted to the v1 API.');
+    t.ok(server.requests.every(request => request.headers['api-secret'] === hash),
+      'the SHA-1 hash of the API secret is sent.');
+    t.ok(server.requests.every(request => !JSON.stringify(request).includes(apiSecret)),
+      'the API secret itself is never sent.');
+    t.deepEqual(server.requests[0].body, DexcomJS.convertToNightscout(egvsResult).entries,
+      'the converted entries are posted.');
+
+    await client.uploadToNightscout({estimatedGlucoseValues: {unit: 'mg/dL', egvs: []}}, {
+      baseUrl:   server.baseUrl,
+      apiSecret: apiSecret,
+    });
+    t.equal(server.requests.length, 2, 'nothing is posted when there is nothing to upload.');
+  }
+  finally {
+    await server.close();
+  }
+});
+
+test('Verify uploadToNightscout() reports errors', async function (t) {
+  const server = await startNightscoutServer(401);
+  try {
+    const client = DexcomJS.createClient(options, {retryPolicy: {maxAttempts: 1}});
+    try {
+      await client.uploadToNightscout(egvsResult, {baseUrl: server.baseUrl, apiSecret: 'wrong secret'});
+      t.fail('an unauthorized upload is rejected.');
+    }
+    catch (error) {
+      t.ok(error instanceof DexcomJS.NightscoutError, 'an unauthorized upload is rejected.');
+      t.notOk(error instanceof DexcomJS.DexcomApiError, 'the rejection is not one of the Dexcom platform.');
+      t.equal(error.status, 401, 'the error holds the status of the response.');
+      t.equal(error.endpoint, `${server.baseUrl}/api/v1/entries`, 'the error names the endpoint.');
+    }
+  }
+  finally {
+    await server.close();
+  }
+
+  const failingServer = await startNightscoutServer([502, 200]);
+  try {
+    const client = DexcomJS.createClient(options, {retryPolicy: {maxAttempts: 3, baseDelayMilliseconds: 1}});
+    await t.rejects(client.uploadToNightscout(eventsResult, {baseUrl: failingServer.baseUrl, apiSecret: apiSecret}),
+      DexcomJS.NightscoutError, 'a failed upload is reported.');
+    t.equal(failingServer.requests.length, 1, 'posts are not retried, so that no treatment is stored twice.');
+  }
+  finally {
+    await failingServer.close();
+  }
+
+  t.throws(() => {DexcomJS.convertToNightscout(egvsResult, {device: ''});}, DexcomJS.DexcomValidationError,
+    'an empty device is rejected.');
+  await t.rejects(DexcomJS.uploadToNightscout(egvsResult, {apiSecret: apiSecret}), DexcomJS.DexcomValidationError,
+    'the base URL is required.');
+  await t.rejects(DexcomJS.uploadToNightscout(egvsResult, {baseUrl: 'ftp://example.com', apiSecret: apiSecret}),
+    DexcomJS.DexcomValidationError, 'the base URL must be an HTTP URL.');
+});
@@ -0,0 +1,221 @@
+/**
+ * Unit tests for the functions of module ../index.js that accept date ranges of any duration, and for the helpers of
+ * module ../helpers.js on which they rely.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const helpers       = require('../helpers.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options     = fixtures.options;
+const oauthTokens = fixtures.createOAuthTokens(Date.now());
+
+const millisecondsPerDay = 86400 * 1000;
+const startTime          = 1447804800000;                    // 2015-11-18T00:00:00
+const endTime            = startTime + 200 * millisecondsPerDay;
+
+const retryPolicy = {
+  baseDelayMilliseconds: 1,
+  jitter:                false,
+};
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify parseDexcomTime()', function (t) {
+  t.equal(helpers.parseDexcomTime('2015-11-18T15:00:00'),       1447858800000, 'times without a designator are UTC');
+  t.equal(helpers.parseDexcomTime('2015-11-18T15:00:00Z'),      1447858800000, 'UTC times are parsed');
+  t.equal(helpers.parseDexcomTime('2015-11-18T07:00:00-08:00'), 1447858800000, 'times with an offset are parsed');
+
+  t.end();
+});
+
+test('Verify splitTimeWindow()', function (t) {
+  t.deepEqual(helpers.splitTimeWindow(0, 10, 4), [
+    {startTime: 0, endTime: 4},
+    {startTime: 4, endTime: 8},
+    {startTime: 8, endTime: 10},
+  ], 'windows are consecutive and no longer than the maximum');
+  t.deepEqual(helpers.splitTimeWindow(0, 8, 4), [
+    {startTime: 0, endTime: 4},
+    {startTime: 4, endTime: 8},
+  ], 'no empty window is created at the end');
+  t.deepEqual(helpers.splitTimeWindow(0, 3, 4), [{startTime: 0, endTime: 3}], 'short windows are not split');
+
+  t.end();
+});
+
+test('Verify mergeRecords()', function (t) {
+  const merged = helpers.mergeRecords([
+    [{systemTime: '2015-11-18T02:00:00', id: 'a'}, {systemTime: '2015-11-18T01:00:00', id: 'b'}],
+    undefined,
+    [{systemTime: '2015-11-18T03:00:00', id: 'c'}, {systemTime: '2015-11-18T02:00:00', id: 'duplicate'}],
+  ], record => record.systemTime, record => record.systemTime);
+
+  t.deepEqual(merged.map(record => record.id), ['c', 'a', 'b'], 'records are deduplicated and ordered newest first');
+
+  t.end();
+});
+
+test('Verify every range endpoint splits long date ranges', async function (t) {
+  const httpClient = fixtures.createDailyRecordHttpClient();
+  const client     = DexcomJS.createClient(options, {httpClient});
+
+  const egvs         = await client.getEstimatedGlucoseValuesAnyDateRange(oauthTokens, startTime, endTime);
+  const events       = await client.getEventsAnyDateRange(oauthTokens, startTime, endTime);
+  const calibrations = await client.getCalibrationsAnyDateRange(oauthTokens, startTime, endTime);
+
+  t.equal(httpClient.requests.length, 9, 'each 200-day range is fetched with three requests');
+  t.ok(httpClient.requests.every(requestConfig => {
+    const duration = helpers.parseDexcomTime(requestConfig.params.endDate) -
+      helpers.parseDexcomTime(requestConfig.params.startDate);
+    return duration <= 89 * millisecondsPerDay;
+  }), 'no request exceeds the Dexcom limit');
+
+  [egvs.estimatedGlucoseValues.egvs, events.events.events, calibrations.calibrations.calibrations].forEach(records => {
+    const times = records.map(record => helpers.parseDexcomTime(record.systemTime));
+    t.equal(records.length, 201, 'records on the boundaries are returned once');
+    t.ok(times.every((time, idx) => idx === 0 || time < times[idx - 1]), 'records are ordered newest first');
+  });
+  t.ok(!('oauthTokens' in egvs), 'result does not contain oauthTokens');
+});
+
+test('Verify mapWithConcurrency()', async function (t) {
+  let pending        = 0;
+  let maximumPending = 0;
+  const results = await helpers.mapWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+    pending        += 1;
+    maximumPending  = Math.max(maximumPending, pending);
+    await new Promise(resolve => setTimeout(resolve, 5 * (6 - item)));
+    pending        -= 1;
+    return item * 10;
+  });
+
+  t.deepEqual(results, [10, 20, 30, 40, 50], 'results are returned in the order of the items');
+  t.equal(maximumPending, 2, 'no more than the given number of items are pending at once');
+});
+
+test('Verify range requests are bounded, retried, and may return partial results', async function (t) {
+  const dailyRecordHttpClient = fixtures.createDailyRecordHttpClient();
+  const failuresByStartDate   = {};
+  let pending                 = 0;
+  let maximumPending          = 0;
+  const httpClient            = {
+    request: async function(requestConfig) {
+      pending        += 1;
+      maximumPending  = Math.max(maximumPending, pending);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      pending        -= 1;
+
+      const startDate = requestConfig.params.startDate;
+      if (failuresByStartDate[startDate] > 0) {
+        failuresByStartDate[startDate] -= 1;
+        throw fixtures.createResponseError(502);
+      }
+      return dailyRecordHttpClient.request(requestConfig);
+    }
+  };
+  const client                = DexcomJS.createClient(options, {httpClient, retryPolicy});
+  const windows               = helpers.splitTimeWindow(startTime, endTime, 89 * millisecondsPerDay);
+  const secondStartDate       = helpers.dexcomifyEpochTime(windows[1].startTime);
+
+  failuresByStartDate[secondStartDate] = 2;
+  const retried = await client.getEstimatedGlucoseValuesAnyDateRange(oauthTokens, startTime, endTime, {concurrency: 1});
+  t.equal(maximumPending, 1,                                'requests are sent one at a time');
+  t.equal(retried.estimatedGlucoseValues.egvs.length, 201,  'failed windows are retried');
+  t.ok(!('failedWindows' in retried),                       'failed windows are not reported by default');
+
+  failuresByStartDate[secondStartDate] = 3;
+  await t.rejects(client.getEstimatedGlucoseValuesAnyDateRange(oauthTokens, startTime, endTime),
+    'a window that fails after every retry rejects the call by default.');
+
+  failuresByStartDate[secondStartDate] = 1;
+  const partial = await client.getEstimatedGlucoseValuesAnyDateRange(oauthTokens, startTime, endTime,
+    {retries: 0, allowPartialResults: true});
+  t.equal(partial.failedWindows.length, 1,                         'the failed window is reported');
+  t.equal(partial.failedWindows[0].startTime, windows[1].startTime, 'the failed window starts where expected');
+  t.equal(partial.failedWindows[0].endTime,   windows[1].endTime,   'the failed window ends where expected');
+  t.ok(partial.failedWindows[0].error instanceof Error,             'the failed window carries its error');
+  t.equal(partial.estimatedGlucoseValues.egvs.length, 113,          'the other windows are returned');
+  t.equal(partial.estimatedGlucoseValues.unit, 'mg/dL',              'the unit is returned');
+
+  t.throws(() => helpers.validateRangeOptions({concurrency: 0}), 'a concurrency of 0 is rejected.');
+  await t.rejects(client.getEstimatedGlucoseValuesAnyDateRange(oauthTokens, startTime, endTime, {parallel: 2}),
+    'unknown range options are rejected.');
+});
+
+test('Verify failed windows are retried only by the retry policy, and only when that may help', async function (t) {
+  for (const status of [429, 400]) {
+    let requests     = 0;
+    const httpClient = {
+      request: async function() {
+        requests += 1;
+        throw fixtures.createResponseError(status, {'retry-after': '0'});
+      }
+    };
+    const client     = DexcomJS.createClient(options, {httpClient, retryPolicy});
+    const error      = await client.getEventsAnyDateRange(oauthTokens, startTime, startTime + millisecondsPerDay)
+      .catch(error => error);
+
+    const expectedAttempts = (status === 429) ? 3 : 1;
+    t.ok(error instanceof DexcomJS.DexcomApiError,  `status ${status} rejects the call`);
+    t.equal(requests, expectedAttempts,             `status ${status} is requested ${expectedAttempts} time(s)`);
+    t.equal(error.attempts, expectedAttempts,       `status ${status} reports every attempt`);
+  }
+
+  let requests     = 0;
+  const httpClient = {
+    request: async function() {
+      requests += 1;
+      throw fixtures.createResponseError(429, {'retry-after': '0'});
+    }
+  };
+  const client     = DexcomJS.createClient(options, {httpClient, retryPolicy});
+  const error      = await client.getEventsAnyDateRange(oauthTokens, startTime, startTime + millisecondsPerDay,
+    {retries: 4}).catch(error => error);
+  t.equal(requests, 5,        'the retries option overrides the retry policy');
+  t.equal(error.attempts, 5,  'and the attempts are reported');
+});
+
+test('Verify mismatched units of estimated glucose values are detected or converted', async function (t) {
+  const dailyRecordHttpClient = fixtures.createDailyRecordHttpClient();
+  const httpClient            = {
+    request: async function(requestConfig) {
+      const response = await dailyRecordHttpClient.request(requestConfig);
+      if (helpers.parseDexcomTime(requestConfig.params.startDate) > startTime) {
+        response.data.unit     = 'mmol/L';
+        response.data.rateUnit = 'mmol/L/min';
+        response.data.egvs.forEach(egv => { egv.value = 5.5; });
+      }
+      return response;
+    }
+  };
+  const client = DexcomJS.createClient(options, {httpClient});
+
+  await t.rejects(client.getEstimatedGlucoseValuesAnyDateRange(oauthTokens, startTime, endTime), /different units/,
+    'mixed units are rejected by default.');
+
+  const result = await client.getEstimatedGlucoseValuesAnyDateRange(oauthTokens, startTime, endTime, {unit: 'mg/dL'});
+  const values = new Set(result.estimatedGlucoseValues.egvs.map(egv => egv.value));
+  t.equal(result.estimatedGlucoseValues.unit,     'mg/dL',     'the requested unit is returned');
+  t.equal(result.estimatedGlucoseValues.rateUnit, 'mg/dL/min', 'the requested rate unit is returned');
+  t.deepEqual(Array.from(values).sort(), [100, 99], 'values are converted to the requested unit');
+  t.equal(result.estimatedGlucoseValues.egvs.length, 201, 'records on the boundaries are returned once');
+});
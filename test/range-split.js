@@ -12,19 +12,16 @@
 const tape          = require('tape');
 const _test         = require('tape-promise').default; // <---- notice 'default'
 const test          = _test(tape); // decorate tape
-const yaml          = require('js-yaml');
 const util          = require('util');
-const fs            = require('fs');
 const DexcomJS      = require('../index.js');
+const environment   = require('./lib/dexcom-environment.js');
 
 
 //*************
 //* Constants *
 //*************
 
-const options = yaml.safeLoad(fs.readFileSync('./test/secrets.yml', 'utf8'));
-//console.log(options);
-DexcomJS.setOptions(options);
+const tearDownDexcom = environment.setUpDexcom(test, DexcomJS);
 
 
 test('Verify we can obtain data range statistics for SandboxUser2 followd by last weeks of data', async function (t) {
@@ -78,3 +75,5 @@ test('Verify we can obtain data range statistics for SandboxUser2 followd by las
   t.equal(Object.keys(beginGroupedByDay).length, 7, 'going a week back to midnight before valid start date gets 7 days of data');
 
 });
+
+tearDownDexcom();
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for the retrying of failed HTTP requests by function sendRequest() of module ../helpers.js, and by the
+ * clients of module ../index.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const helpers       = require('../helpers.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options             = fixtures.options;
+const oauthTokens         = fixtures.createOAuthTokens(Date.now());
+const createResponseError = fixtures.createResponseError;
+
+const immediateRetryPolicy = {maxAttempts: 3, baseDelayMilliseconds: 0, jitter: false};
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates a stand-in for an axios instance that fails with each of the given errors in turn, then answers every
+ * request with an empty data range.
+ */
+function createFailingHttpClient(errors) {
+  return {
+    requests: 0,
+    request: async function() {
+      this.requests += 1;
+      if (errors.length) {
+        throw errors.shift();
+      }
+      return {status: 200, data: {calibrations: {}, egvs: {}, events: {}}};
+    }
+  };
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify isRetryableError()', function (t) {
+  const networkError = new Error('socket hang up');
+  networkError.code  = 'ECONNRESET';
+
+  t.ok(helpers.isRetryableError(createResponseError(429)),  'rate limited requests are retried');
+  t.ok(helpers.isRetryableError(createResponseError(502)),  'server errors are retried');
+  t.ok(helpers.isRetryableError(networkError),              'network errors are retried');
+  t.notOk(helpers.isRetryableError(createResponseError(401)), 'authentication errors are not retried');
+  t.notOk(helpers.isRetryableError(createResponseError(400)), 'other client errors are not retried');
+
+  t.end();
+});
+
+test('Verify getRetryAfterMilliseconds()', function (t) {
+  const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+  const delay        = helpers.getRetryAfterMilliseconds(createResponseError(429, {'retry-after': inTenSeconds}));
+
+  t.equal(helpers.getRetryAfterMilliseconds(createResponseError(429, {'retry-after': '2'})), 2000, 'seconds are read');
+  t.ok(delay > 8000 && delay <= 10000,                                          'HTTP dates are read');
+  t.equal(helpers.getRetryAfterMilliseconds(createResponseError(429)), null,    'a missing header yields null');
+  t.equal(helpers.getRetryAfterMilliseconds(new Error('socket hang up')), null, 'a missing response yields null');
+
+  t.end();
+});
+
+test('Verify clients retry failed requests', async function (t) {
+  const errors     = [createResponseError(503), createResponseError(429, {'retry-after': '0'})];
+  const httpClient = createFailingHttpClient(errors);
+  const retries    = [];
+  const hooks      = {
+    onRetry: (error, attempt, delayMilliseconds) => { retries.push({error, attempt, delayMilliseconds}); },
+  };
+  const client     = DexcomJS.createClient(options, {httpClient, hooks, retryPolicy: immediateRetryPolicy});
+
+  await client.getDataRange(oauthTokens);
+  t.equal(httpClient.requests, 3,                 'the request succeeds on its third attempt');
+  t.deepEqual(retries.map(retry => retry.attempt), [1, 2], 'each retry is observed');
+  t.equal(retries[1].error.status, 429,           'the observer receives the error');
+});
+
+test('Verify clients give up on errors that are not temporary', async function (t) {
+  const unauthorizedClient = DexcomJS.createClient(options, {
+    httpClient:  createFailingHttpClient([createResponseError(401)]),
+    retryPolicy: immediateRetryPolicy,
+  });
+  const error = await unauthorizedClient.getDataRange(oauthTokens).catch(error => error);
+  t.equal(error.status, 401,   'authentication errors are reported');
+  t.equal(error.attempts, 1,   'authentication errors are not retried');
+
+  const serverErrors  = [createResponseError(502), createResponseError(502), createResponseError(502)];
+  const failingClient = DexcomJS.createClient(options, {
+    httpClient:  createFailingHttpClient(serverErrors),
+    retryPolicy: immediateRetryPolicy,
+  });
+  const lastError = await failingClient.getDataRange(oauthTokens).catch(error => error);
+  t.equal(lastError.attempts, 3, 'the number of attempts is reported once every attempt has failed');
+
+  const throttledHttpClient = createFailingHttpClient([createResponseError(429, {'retry-after': '3600'})]);
+  const throttledClient     = DexcomJS.createClient(options, {
+    httpClient:  throttledHttpClient,
+    retryPolicy: immediateRetryPolicy,
+  });
+  const throttledError = await throttledClient.getDataRange(oauthTokens).catch(error => error);
+  t.equal(throttledError.attempts, 1, 'requests are not retried when Dexcom asks for a longer delay than allowed');
+
+  t.throws(() => DexcomJS.createClient(options, {retryPolicy: {maxAttempts: 0}}), 'invalid policies are rejected.');
+});
+
+test('Verify token requests are never retried', async function (t) {
+  const connectionReset = new Error('socket hang up');
+  connectionReset.code  = 'ECONNRESET';
+  const httpClient      = createFailingHttpClient([connectionReset, createResponseError(502)]);
+  const client          = DexcomJS.createClient(options, {httpClient, retryPolicy: immediateRetryPolicy});
+
+  const refreshError = await client.getDataRange(fixtures.createOAuthTokens(0)).catch(error => error);
+  t.equal(refreshError.code, 'ECONNRESET', 'the network error of the refresh is reported');
+  t.equal(refreshError.attempts, 1,        'a refresh is not retried after a network error');
+  t.equal(httpClient.requests, 1,          'the refresh token is sent once, since Dexcom may already have rotated it');
+
+  const state         = client.getAuthorizationUrl().state;
+  const exchangeError = await client.exchangeAuthorizationCode('some code', state).catch(error => error);
+  t.equal(exchangeError.status, 502,       'the server error of the exchange is reported');
+  t.equal(httpClient.requests, 2,          'an authorization code is sent once, since Dexcom accepts it only once');
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for the splitting of estimated glucose values into days by function shardEgvsByDay() of module
+ * ../index.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options = fixtures.options;
+
+// Records of a user in New York, around the end of daylight saving time on 2021-11-07 (a day of 25 hours), newest
+// first. Their system times are in UTC; their display times are those of the user's device.
+const egvs = [
+  {systemTime: '2021-11-08T04:30:00', displayTime: '2021-11-07T23:30:00', value: 140},
+  {systemTime: '2021-11-08T01:00:00', displayTime: '2021-11-07T20:00:00', value: 130},
+  {systemTime: '2021-11-07T06:30:00', displayTime: '2021-11-07T01:30:00', value: 120},
+  {systemTime: '2021-11-07T05:30:00', displayTime: '2021-11-07T01:30:00', value: 110},
+  {systemTime: '2021-11-07T03:30:00', displayTime: '2021-11-06T23:30:00', value: 100},
+];
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify shardEgvsByDay() splits records into the days of their display time', function (t) {
+  const client       = DexcomJS.createClient(options);
+  const original     = egvs.slice();
+  const groupedByDay = client.shardEgvsByDay(egvs, {byDisplayDate: true});
+
+  t.deepEqual(Object.keys(groupedByDay), ['2021-11-06', '2021-11-07'],
+    'days are the dates of the device, oldest first');
+  t.deepEqual(groupedByDay['2021-11-07'].map(egv => egv.value), [110, 120, 130, 140],
+    'the 25 hours of a day of daylight saving time are in the same day, in forward order');
+  t.deepEqual(egvs, original, 'the input is not modified');
+
+  t.end();
+});
+
+test('Verify shardEgvsByDay() splits records into the days of a time zone', function (t) {
+  const client = DexcomJS.createClient(options);
+
+  const newYork = client.shardEgvsByDay(egvs, {timeZone: 'America/New_York'});
+  t.deepEqual(Object.keys(newYork).map(date => newYork[date].length), [1, 4], 'days follow daylight saving time');
+
+  const utc = client.shardEgvsByDay(egvs, {timeZone: 'UTC'});
+  t.deepEqual(Object.keys(utc), ['2021-11-07', '2021-11-08'], 'days are the dates in the time zone');
+  t.deepEqual(utc['2021-11-07'].map(egv => egv.value), [100, 110, 120], 'records are assigned to their UTC day');
+
+  const springForward = client.shardEgvsByDay([
+    {systemTime: '2021-03-15T03:59:00', value: 100},
+    {systemTime: '2021-03-14T05:00:00', value: 90},
+    {systemTime: '2021-03-14T04:59:00', value: 80},
+  ], {timeZone: 'America/New_York'});
+  t.deepEqual(Object.keys(springForward).map(date => springForward[date].length), [1, 2],
+    'the 23 hours of a day of daylight saving time are in the same day');
+
+  t.throws(() => {client.shardEgvsByDay(egvs, {timeZone: 'Mars/Olympus_Mons'});}, DexcomJS.DexcomValidationError,
+    'unknown time zones are rejected.');
+  t.throws(() => {client.shardEgvsByDay(egvs, {byDisplayDate: true, timeZone: 'UTC'});},
+    DexcomJS.DexcomValidationError, 'display dates and time zones are not combined.');
+
+  t.end();
+});
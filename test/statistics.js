@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the target ranges accepted by function getStatistics() of module ../index.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const helpers       = require('../helpers.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options     = fixtures.options;
+const oauthTokens = fixtures.createOAuthTokens(Date.now());
+
+const startTime = 1447804800000;                    // 2015-11-18T00:00:00
+const endTime   = startTime + 14 * 86400 * 1000;
+
+const pregnancyTargetRanges = [
+  {
+    name:      'allDay',
+    startTime: '00:00:00',
+    endTime:   '23:59:59',
+    egvRanges: [
+      {name: 'urgentLow', bound: 54},
+      {name: 'low',       bound: 63},
+      {name: 'high',      bound: 140},
+    ]
+  },
+];
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates a copy of the pregnancy target ranges whose single target range is modified by a function.
+ */
+function modifyTargetRange(modify) {
+  const targetRange = JSON.parse(JSON.stringify(pregnancyTargetRanges[0]));
+  modify(targetRange);
+  return [targetRange];
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify getStatistics() posts the default or the given target ranges', async function (t) {
+  const httpClient = fixtures.createRecordingHttpClient();
+  const client     = DexcomJS.createClient(options, {httpClient});
+
+  await client.getStatistics(oauthTokens, startTime, endTime);
+  const defaultTargetRanges = httpClient.requests[0].data.targetRanges;
+  t.deepEqual(defaultTargetRanges.map(targetRange => targetRange.name), ['day', 'night'], 'day and night by default');
+  t.deepEqual(defaultTargetRanges[0].egvRanges.map(egvRange => egvRange.bound), [55, 70, 180], 'default day bounds');
+  t.deepEqual(defaultTargetRanges[1].egvRanges.map(egvRange => egvRange.bound), [55, 80, 200], 'default night bounds');
+
+  await client.getStatistics(oauthTokens, startTime, endTime, pregnancyTargetRanges);
+  t.deepEqual(httpClient.requests[1].data.targetRanges, pregnancyTargetRanges, 'the given target ranges are posted');
+});
+
+test('Verify validateTargetRanges()', async function (t) {
+  const client = DexcomJS.createClient(options, {httpClient: fixtures.createRecordingHttpClient()});
+
+  t.doesNotThrow(() => {helpers.validateTargetRanges(pregnancyTargetRanges);}, 'valid target ranges are accepted.');
+  t.throws(() => {helpers.validateTargetRanges([]);}, 'empty target ranges are rejected.');
+  t.throws(() => {helpers.validateTargetRanges(modifyTargetRange(range => { range.startTime = '7:00'; }));},
+    'invalid times of day are rejected.');
+  t.throws(() => {helpers.validateTargetRanges(modifyTargetRange(range => { range.egvRanges[0].name = 'veryLow'; }));},
+    'unknown range names are rejected.');
+  t.throws(() => {helpers.validateTargetRanges(modifyTargetRange(range => { range.egvRanges[2].bound = 60; }));},
+    'bounds that do not increase are rejected.');
+  t.throws(() => {helpers.validateTargetRanges(modifyTargetRange(range => { range.egvRanges[1].name = 'high'; }));},
+    'duplicate range names are rejected.');
+  await t.rejects(client.getStatistics(oauthTokens, startTime, endTime, [{name: 'day'}]),
+    DexcomJS.DexcomValidationError, 'getStatistics() rejects invalid target ranges.');
+});
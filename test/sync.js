@@ -0,0 +1,135 @@
+/**
+ * Unit tests for the incremental synchronization of function sync() of module ../index.js, and for the bookkeeping of
+ * module ../sync.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const helpers       = require('../helpers.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options     = fixtures.options;
+const oauthTokens = fixtures.createOAuthTokens(Date.now());
+
+const millisecondsPerReading = 5 * 60 * 1000;
+const startTime              = 1447804800000;                    // 2015-11-18T00:00:00
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates a stand-in for an axios instance that serves the records of a mutable store: the data range endpoint reports
+ * the range of the stored records, and the other endpoints return the stored records of the requested time window,
+ * newest first.
+ */
+function createStoreHttpClient() {
+  return {
+    requests: [],
+    store:    {egvs: [], events: [], calibrations: []},
+    request: async function(requestConfig) {
+      this.requests.push(requestConfig);
+
+      const endpoint = requestConfig.url.split('/').pop();
+      const data     = {};
+      if (endpoint === 'dataRange') {
+        Object.keys(this.store).filter(recordType => this.store[recordType].length).forEach(recordType => {
+          const times = this.store[recordType].map(record => record.systemTime).sort();
+          data[recordType] = {start: {systemTime: times[0]}, end: {systemTime: times[times.length - 1]}};
+        });
+        return {status: 200, data: data};
+      }
+
+      const windowStartTime = helpers.parseDexcomTime(requestConfig.params.startDate);
+      const windowEndTime   = helpers.parseDexcomTime(requestConfig.params.endDate);
+      data[endpoint] = this.store[endpoint]
+        .filter(record => helpers.parseDexcomTime(record.systemTime) >= windowStartTime)
+        .filter(record => helpers.parseDexcomTime(record.systemTime) <= windowEndTime)
+        .sort((record1, record2) => (record1.systemTime < record2.systemTime) ? 1 : -1);
+      if (endpoint === 'egvs') {
+        data.unit     = 'mg/dL';
+        data.rateUnit = 'mg/dL/min';
+      }
+      return {status: 200, data: data};
+    }
+  };
+}
+
+/**
+ * Creates an estimated glucose value record for the given reading, counted in 5-minute intervals from startTime.
+ */
+function createEgv(reading, value) {
+  const systemTime = helpers.dexcomifyEpochTime(startTime + reading * millisecondsPerReading);
+  return {systemTime: systemTime, displayTime: systemTime, value: value};
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify sync() returns all records, then only new records', async function (t) {
+  const httpClient = createStoreHttpClient();
+  const client     = DexcomJS.createClient(options, {httpClient});
+
+  httpClient.store.egvs   = [0, 1, 2, 3].map(reading => createEgv(reading, 100 + reading));
+  httpClient.store.events = [{systemTime: '2015-11-18T00:10:00', eventId: 'event 1', eventType: 'carbs', value: 30}];
+
+  const first = await client.sync(oauthTokens, null);
+  t.deepEqual(first.records.egvs.map(egv => egv.value), [103, 102, 101, 100], 'the first sync returns every record');
+  t.equal(first.records.events.length, 1,                          'events are synchronized');
+  t.deepEqual(first.records.calibrations, [],                      'record types without data return no records');
+  t.equal(first.unit, 'mg/dL',                                     'the unit of the glucose values is returned');
+  t.equal(first.cursor.egvs.lastSystemTime, createEgv(3).systemTime, 'the cursor records the newest record');
+  t.notOk('calibrations' in first.cursor,                          'record types without data have no cursor');
+
+  // A new reading arrives, and a reading of the overlap is uploaded late.
+  httpClient.store.egvs.push(createEgv(4, 104), createEgv(-20, 80), createEgv(2.5, 99));
+  const requestCount = httpClient.requests.length;
+
+  const second = await client.sync(oauthTokens, first.cursor);
+  t.deepEqual(second.records.egvs.map(egv => egv.value), [104, 99], 'the next sync returns new and late records only');
+  t.deepEqual(second.records.events, [],                           'records already returned are not returned again');
+  const egvRequest = httpClient.requests.slice(requestCount).find(requestConfig => requestConfig.url.endsWith('/egvs'));
+  t.equal(egvRequest.params.startDate, helpers.dexcomifyEpochTime(startTime + 3 * millisecondsPerReading - 3600000),
+    'the next sync requests the overlap before the cursor only');
+  t.equal(second.cursor.egvs.lastSystemTime, createEgv(4).systemTime, 'the cursor advances');
+
+  const third = await client.sync(oauthTokens, second.cursor);
+  t.deepEqual(third.records.egvs, [],                              'a sync without new data returns no records');
+  t.deepEqual(third.cursor, second.cursor,                         'a sync without new data keeps the cursor');
+});
+
+test('Verify sync() options and cursor validation', async function (t) {
+  const httpClient = createStoreHttpClient();
+  const client     = DexcomJS.createClient(options, {httpClient});
+  httpClient.store.egvs = [0, 1, 2].map(reading => createEgv(reading, 100));
+
+  const result = await client.sync(oauthTokens, null, {recordTypes: ['egvs'], unit: 'mmol/L'});
+  t.equal(result.unit, 'mmol/L',                                   'estimated glucose values may be converted');
+  t.notOk(httpClient.requests.some(requestConfig => requestConfig.url.endsWith('/events')),
+    'only the given record types are synchronized');
+
+  const noOverlap = await client.sync(oauthTokens, result.cursor, {overlapMinutes: 0});
+  t.deepEqual(noOverlap.records.egvs, [],                          'the overlap may be disabled');
+
+  await t.rejects(client.sync(oauthTokens, {egvs: {lastSystemTime: 'yesterday', recentKeys: []}}),
+    DexcomJS.DexcomValidationError, 'invalid cursors are rejected.');
+  await t.rejects(client.sync(oauthTokens, null, {recordTypes: ['devices']}),
+    DexcomJS.DexcomValidationError, 'unknown record types are rejected.');
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for the refreshing of expired access tokens by the clients of module ../index.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const DexcomJS      = require('../index.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options           = fixtures.options;
+const createOAuthTokens = fixtures.createOAuthTokens;
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates a stand-in for an axios instance whose token endpoint answers slowly, rotating the refresh token on every
+ * refresh, and which answers any other request with an empty data range.
+ */
+function createRotatingHttpClient() {
+  return {
+    tokenRequests: 0,
+    request: async function(requestConfig) {
+      if (requestConfig.url.endsWith('/oauth2/token')) {
+        this.tokenRequests += 1;
+        const generation = this.tokenRequests;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return {status: 200, data: createOAuthTokens(0, `generation ${generation}`).dexcomOAuthToken};
+      }
+      return {status: 200, data: {calibrations: {}, egvs: {}, events: {}}};
+    }
+  };
+}
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify concurrent requests share a single token refresh', async function (t) {
+  const httpClient    = createRotatingHttpClient();
+  const refreshEvents = [];
+  const hooks         = {
+    onTokensRefreshed: (refreshedOauthTokens, previousOauthTokens, userId) => {
+      refreshEvents.push({refreshedOauthTokens, previousOauthTokens, userId});
+    },
+  };
+  const client        = DexcomJS.createClient(options, {httpClient, hooks});
+  const expiredTokens = createOAuthTokens(0, 'expired');
+
+  await client.tokenStore.set('user a', expiredTokens);
+
+  // The request made with the tokens themselves starts the refresh, since the others first read the token store.
+  const results = await Promise.all([
+    client.getDataRange(expiredTokens),
+    client.getDataRange('user a'),
+    client.getDataRange('user a'),
+  ]);
+
+  t.equal(httpClient.tokenRequests, 1, 'only one refresh request is sent');
+  t.ok(results.every(result => result.oauthTokens === results[0].oauthTokens), 'every request obtains the same tokens');
+  t.equal(results[0].oauthTokens.dexcomOAuthToken.refresh_token, 'refresh token generation 1', 'tokens are refreshed');
+  t.equal(await client.tokenStore.get('user a'), results[0].oauthTokens, 'refreshed tokens are saved for the user');
+
+  t.equal(refreshEvents.length, 1,                               'the refresh is observed once');
+  t.equal(refreshEvents[0].previousOauthTokens, expiredTokens,   'the observer receives the previous tokens');
+  t.equal(refreshEvents[0].refreshedOauthTokens, results[0].oauthTokens, 'the observer receives the refreshed tokens');
+  t.equal(refreshEvents[0].userId, null,                         'the refresh was not started by user identifier');
+
+  const lateResult = await client.getDataRange(expiredTokens);
+  t.equal(httpClient.tokenRequests, 1, 'a request presenting the replaced refresh token reuses the completed refresh');
+  t.equal(lateResult.oauthTokens, results[0].oauthTokens, 'and obtains the refreshed tokens');
+});
+
+test('Verify a failed token refresh is not shared with later requests', async function (t) {
+  let failures     = 1;
+  const httpClient = {
+    request: async function(requestConfig) {
+      if (requestConfig.url.endsWith('/oauth2/token') && failures-- > 0) {
+        throw new Error('socket hang up');
+      }
+      if (requestConfig.url.endsWith('/oauth2/token')) {
+        return {status: 200, data: createOAuthTokens(0, 'refreshed').dexcomOAuthToken};
+      }
+      return {status: 200, data: {calibrations: {}, egvs: {}, events: {}}};
+    }
+  };
+  const client        = DexcomJS.createClient(options, {httpClient});
+  const expiredTokens = createOAuthTokens(0, 'expired');
+
+  await t.rejects(client.getDataRange(expiredTokens), 'the failed refresh is reported');
+
+  const result = await client.getDataRange(expiredTokens);
+  t.equal(result.oauthTokens.dexcomOAuthToken.refresh_token, 'refresh token refreshed', 'a new refresh is started');
+});
+
+test('Verify a failure to persist refreshed tokens does not reject the requests waiting for them', async function (t) {
+  const httpClient  = createRotatingHttpClient();
+  const failures    = [];
+  const storedUsers = [];
+  const tokenStore  = {
+    get: async () => createOAuthTokens(0, 'expired'),
+    set: async userId => {
+      storedUsers.push(userId);
+      throw new Error('disk full');
+    },
+  };
+  const hooks       = {
+    onTokenPersistenceFailed: (error, refreshedOauthTokens, userId) => {
+      failures.push({error, refreshedOauthTokens, userId});
+    },
+  };
+  const client      = DexcomJS.createClient(options, {httpClient, hooks, tokenStore});
+
+  const results = await Promise.all([
+    client.getDataRange('user a'),
+    client.getDataRange('user a'),
+  ]);
+
+  t.equal(httpClient.tokenRequests, 1, 'only one refresh request is sent');
+  t.ok(results.every(result => result.oauthTokens.dexcomOAuthToken.refresh_token === 'refresh token generation 1'),
+    'every waiting request obtains the refreshed tokens');
+  t.deepEqual(storedUsers, ['user a'], 'the refreshed tokens are saved once');
+  t.equal(failures.length, 1,                                  'the failure is reported once');
+  t.equal(failures[0].error.message, 'disk full',              'the hook receives the error');
+  t.equal(failures[0].refreshedOauthTokens, results[0].oauthTokens, 'the hook receives the refreshed tokens');
+  t.equal(failures[0].userId, 'user a',                        'the hook receives the user identifier');
+
+  const warnings      = [];
+  const onWarning     = warning => warnings.push(warning);
+  const failingClient = DexcomJS.createClient(options, {
+    httpClient: createRotatingHttpClient(),
+    hooks:      {onTokensRefreshed: () => Promise.reject(new Error('database down'))},
+  });
+  process.on('warning', onWarning);
+  try {
+    const result = await failingClient.getDataRange(createOAuthTokens(0, 'expired'));
+    t.ok(result.oauthTokens, 'a failing onTokensRefreshed hook does not reject the request');
+    await new Promise(resolve => setImmediate(resolve));
+    t.ok(warnings.some(warning => /database down/.test(warning.message)), 'without a hook, a warning is emitted');
+  }
+  finally {
+    process.removeListener('warning', onWarning);
+  }
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the token stores provided by module ../token-store.js, and for their use by the clients of module
+ * ../index.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const fs            = require('fs');
+const os            = require('os');
+const path          = require('path');
+const DexcomJS      = require('../index.js');
+const tokenStores   = require('../token-store.js');
+const fixtures      = require('./lib/fixtures.js');
+
+
+//*************
+//* Constants *
+//*************
+
+const options           = fixtures.options;
+const createOAuthTokens = fixtures.createOAuthTokens;
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify createMemoryTokenStore()', async function (t) {
+  const tokenStore  = tokenStores.createMemoryTokenStore();
+  const oauthTokens = createOAuthTokens(10000, 'a');
+
+  t.equal(await tokenStore.get('user a'), undefined, 'unknown users have no tokens');
+
+  await tokenStore.set('user a', oauthTokens);
+  t.deepEqual(await tokenStore.get('user a'), oauthTokens, 'stored tokens are returned');
+  t.equal(await tokenStore.get('user b'), undefined, 'tokens are stored per user');
+});
+
+test('Verify createFileTokenStore()', async function (t) {
+  const directory  = fs.mkdtempSync(path.join(os.tmpdir(), 'dexcom-js-'));
+  const filePath   = path.join(directory, 'tokens.json');
+  const tokenStore = tokenStores.createFileTokenStore(filePath);
+
+  try {
+    t.equal(await tokenStore.get('user a'), undefined, 'a missing file holds no tokens');
+
+    await Promise.all([
+      tokenStore.set('user a', createOAuthTokens(10000, 'a')),
+      tokenStore.set('user b', createOAuthTokens(20000, 'b')),
+    ]);
+
+    const reopenedTokenStore = tokenStores.createFileTokenStore(filePath);
+    t.deepEqual(await reopenedTokenStore.get('user a'), createOAuthTokens(10000, 'a'), 'tokens of user a are persisted');
+    t.deepEqual(await reopenedTokenStore.get('user b'), createOAuthTokens(20000, 'b'), 'concurrent writes are not lost');
+    t.equal(fs.statSync(filePath).mode & 0o777, 0o600, 'only the owner may read the file');
+  }
+  finally {
+    fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+    fs.rmdirSync(directory);
+  }
+});
+
+test('Verify token stores hold the tokens of users named after Object properties', async function (t) {
+  const directory  = fs.mkdtempSync(path.join(os.tmpdir(), 'dexcom-js-'));
+  const filePath   = path.join(directory, 'tokens.json');
+  const tokenStore = tokenStores.createFileTokenStore(filePath);
+
+  try {
+    for (const store of [tokenStores.createMemoryTokenStore(), tokenStore]) {
+      t.equal(await store.get('constructor'), undefined, 'inherited properties are not tokens');
+      t.equal(await store.get('__proto__'), undefined,   'the prototype is not tokens');
+
+      await store.set('__proto__', createOAuthTokens(10000, 'proto'));
+      await store.set('constructor', createOAuthTokens(20000, 'constructor'));
+      await store.set('user a', createOAuthTokens(30000, 'a'));
+      t.deepEqual(await store.get('__proto__'), createOAuthTokens(10000, 'proto'),         'a __proto__ user is stored');
+      t.deepEqual(await store.get('constructor'), createOAuthTokens(20000, 'constructor'), 'a constructor user is stored');
+      t.equal(await store.get('access_token'), undefined,  'the tokens do not leak to other users');
+    }
+
+    const reopenedTokenStore = tokenStores.createFileTokenStore(filePath);
+    t.deepEqual(await reopenedTokenStore.get('__proto__'), createOAuthTokens(10000, 'proto'),
+      'a __proto__ user is persisted');
+    t.deepEqual(await reopenedTokenStore.get('user a'), createOAuthTokens(30000, 'a'), 'the other users are persisted');
+    t.deepEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8'))), ['__proto__', 'constructor', 'user a'],
+      'the file holds every user');
+  }
+  finally {
+    fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+    fs.rmdirSync(directory);
+  }
+});
+
+test('Verify clients load, refresh and persist tokens by user identifier', async function (t) {
+  const httpClient = fixtures.createRecordingHttpClient();
+  const tokenStore = tokenStores.createMemoryTokenStore();
+  const client     = DexcomJS.createClient(options, {httpClient, tokenStore});
+
+  await tokenStore.set('fresh user',   createOAuthTokens(Date.now(), 'fresh'));
+  await tokenStore.set('expired user', createOAuthTokens(0,          'expired'));
+
+  const freshResults = await client.getDataRange('fresh user');
+  t.ok(!('oauthTokens' in freshResults), 'unexpired tokens are not refreshed');
+  t.equal(httpClient.requests[0].headers.Authorization, 'Bearer access token fresh', 'stored access token is used');
+
+  const expiredResults = await client.getDataRange('expired user');
+  const storedTokens   = await tokenStore.get('expired user');
+  t.ok('oauthTokens' in expiredResults, 'expired tokens are refreshed');
+  t.ok(httpClient.requests[1].data.includes('refresh_token=refresh%20token%20expired'), 'stored refresh token is used');
+  t.equal(storedTokens, expiredResults.oauthTokens, 'refreshed tokens are saved to the token store');
+  t.equal(httpClient.requests[2].headers.Authorization, 'Bearer access token refreshed', 'refreshed token is used');
+
+  await t.rejects(client.getDataRange('unknown user'), 'unknown users are rejected.');
+  t.throws(() => {client.setTokenStore({});}, 'objects that are not token stores are rejected.');
+});
+
+test('Verify exchangeAuthorizationCode() saves the tokens of a user', async function (t) {
+  const client        = DexcomJS.createClient(options, {httpClient: fixtures.createRecordingHttpClient()});
+  const authorization = client.getAuthorizationUrl();
+
+  const oauthTokens = await client.exchangeAuthorizationCode('code', authorization.state, 'new user');
+  t.equal(await client.tokenStore.get('new user'), oauthTokens, 'tokens are saved to the token store');
+});
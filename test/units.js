@@ -0,0 +1,127 @@
+/**
+ * Unit tests for the functions provided by module ../units.js.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const tape          = require('tape');
+const _test         = require('tape-promise').default; // <---- notice 'default'
+const test          = _test(tape); // decorate tape
+const errors        = require('../errors.js');
+const units         = require('../units.js');
+
+
+//**************
+//* Unit Tests *
+//**************
+
+test('Verify convertGlucose()', function (t) {
+  t.equal(units.convertGlucose(100,  'mg/dL',  'mmol/L'), 5.6,  'mg/dL is converted to mmol/L with one decimal');
+  t.equal(units.convertGlucose(5.6,  'mmol/L', 'mg/dL'),  101,  'mmol/L is converted to whole mg/dL');
+  t.equal(units.convertGlucose(180,  'mg/dL',  'mmol/L'), 10,   '180 mg/dL is 10.0 mmol/L');
+  t.equal(units.convertGlucose(99.5, 'mg/dL',  'mg/dL'),  99.5, 'values are unchanged when the units are the same');
+  t.equal(units.convertGlucose(null, 'mg/dL',  'mmol/L'), null, 'missing values are unchanged');
+
+  t.throws(() => {units.convertGlucose(100, 'mg/dl', 'mmol/L');}, 'unknown units are rejected.');
+
+  t.end();
+});
+
+test('Verify convertGlucoseRate()', function (t) {
+  t.equal(units.convertGlucoseRate(2,    'mg/dL',  'mmol/L'), 0.11, 'rates are converted to mmol/L/min with two decimals');
+  t.equal(units.convertGlucoseRate(0.11, 'mmol/L', 'mg/dL'),  2,    'rates are converted to mg/dL/min with one decimal');
+
+  t.end();
+});
+
+test('Verify convertEgvPayload()', function (t) {
+  const v3Payload = {unit: 'mg/dL', rateUnit: 'mg/dL/min', egvs: [
+    {value: 180, trendRate: 2, unit: 'mg/dL', rateUnit: 'mg/dL/min'},
+    {value: 5.6, trendRate: -0.11, unit: 'mmol/L', rateUnit: 'mmol/L/min'},
+  ]};
+  t.deepEqual(units.convertEgvPayload(v3Payload, 'mmol/L').egvs, [
+    {value: 10,  trendRate: 0.11,  unit: 'mmol/L', rateUnit: 'mmol/L/min'},
+    {value: 5.6, trendRate: -0.11, unit: 'mmol/L', rateUnit: 'mmol/L/min'},
+  ], 'each record is converted from its own units');
+  t.deepEqual(units.convertEgvPayload(v3Payload, 'mg/dL').egvs[1],
+    {value: 101, trendRate: -2, unit: 'mg/dL', rateUnit: 'mg/dL/min'},
+    'records in another unit than their payload are converted even to the unit of the payload');
+
+  const unitless = {egvs: [{value: 180, trendRate: 2}]};
+  t.deepEqual(units.convertEgvPayload(unitless, 'mmol/L'),
+    {unit: 'mmol/L', rateUnit: 'mmol/L/min', egvs: [{value: 10, trendRate: 0.11}]},
+    'values without a unit are taken to be in mg/dL');
+  t.deepEqual(units.convertEgvPayload({}, 'mg/dL'), {unit: 'mg/dL', rateUnit: 'mg/dL/min', egvs: []},
+    'payloads without a unit or records are accepted');
+
+  try {
+    units.convertEgvPayload({unit: 'mg/dl', egvs: [{value: 180}]}, 'mmol/L');
+    t.fail('unknown units reported by Dexcom are rejected.');
+  }
+  catch (error) {
+    t.ok(error instanceof errors.DexcomError, 'unknown units reported by Dexcom are rejected.');
+    t.notOk(error instanceof errors.DexcomValidationError, 'the rejection is not a validation error.');
+  }
+
+  t.end();
+});
+
+test('Verify reconcileEgvPayloads()', function (t) {
+  const milligrams = {unit: 'mg/dL',  rateUnit: 'mg/dL/min',  egvs: [{value: 180, trendRate: 2, status: null}]};
+  const millimoles = {unit: 'mmol/L', rateUnit: 'mmol/L/min', egvs: [{value: 5.6, trendRate: -0.11}]};
+
+  const same = units.reconcileEgvPayloads([milligrams, milligrams]);
+  t.equal(same.unit,     'mg/dL',     'a common unit is reported');
+  t.equal(same.rateUnit, 'mg/dL/min', 'a common rate unit is reported');
+
+  const none = units.reconcileEgvPayloads([]);
+  t.equal(none.unit, null, 'no unit is reported without payloads');
+
+  t.throws(() => {units.reconcileEgvPayloads([milligrams, millimoles]);}, /different units/, 'mixed units are rejected.');
+
+  const converted = units.reconcileEgvPayloads([milligrams, millimoles], 'mmol/L');
+  t.equal(converted.unit,     'mmol/L',     'the requested unit is reported');
+  t.equal(converted.rateUnit, 'mmol/L/min', 'the requested rate unit is reported');
+  t.deepEqual(converted.payloads.map(payload => payload.egvs[0]), [
+    {value: 10,  trendRate: 0.11, status: null},
+    {value: 5.6, trendRate: -0.11},
+  ], 'every payload is converted to the requested unit');
+  t.equal(milligrams.egvs[0].value, 180, 'the original records are not modified');
+
+  t.end();
+});
+
+test('Verify convertUnitRecordPayload()', function (t) {
+  const payload = {events: [
+    {eventType: 'bloodGlucose', unit: 'mg/dL', value: 180},
+    {eventType: 'carbs',        unit: 'grams', value: 30},
+  ]};
+
+  const converted = units.convertUnitRecordPayload(payload, 'events', 'mmol/L');
+  t.deepEqual(converted.events[0], {eventType: 'bloodGlucose', unit: 'mmol/L', value: 10},
+    'glucose records are converted');
+  t.equal(converted.events[1], payload.events[1],   'records in other units are unchanged');
+  t.equal(payload.events[0].value, 180,              'the original records are not modified');
+
+  t.end();
+});
+
+test('Verify convertStatistics()', function (t) {
+  const statistics = {mean: 144.1248, stdDev: 36.0312, variance: 1298.2474, nValues: 100, percentWithinRange: 70};
+
+  const converted = units.convertStatistics(statistics, 'mmol/L');
+  t.equal(converted.unit, 'mmol/L',                  'the unit is reported');
+  t.equal(converted.mean, 8,                         'glucose statistics are converted with two decimals');
+  t.equal(converted.stdDev, 2,                       'standard deviations are converted');
+  t.equal(converted.variance, 4,                     'variances are converted with the square of the factor');
+  t.equal(converted.percentWithinRange, 70,          'percentages are unchanged');
+  t.equal(converted.nValues, 100,                    'counts are unchanged');
+  t.equal(units.convertStatistics(statistics, 'mg/dL').mean, 144.1248, 'statistics in mg/dL are unchanged');
+
+  t.end();
+});
@@ -0,0 +1,98 @@
+/**
+ * This file contains the token stores provided by this package. A token store holds the OAuth tokens of each user,
+ * keyed by a user identifier chosen by the caller, so that a client can load a user's tokens before each request and
+ * persist the tokens that Dexcom issues whenever an access token is refreshed.
+ *
+ * A token store is any object that implements the following functions:
+ * {
+ *   get: function(userId), returning a Promise that wraps the user's oauthTokens object, or undefined,
+ *   set: function(userId, oauthTokens), returning a Promise that resolves once the tokens are stored
+ * }
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const jsonFiles = require('./json-file.js');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The file mode of token files. Token files contain refresh tokens, so only their owner may read them.
+ *
+ * @type {number}
+ */
+const tokenFileMode = 0o600;
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Creates a token store that holds tokens in memory. Tokens are lost when the process exits.
+ *
+ * @returns a token store.
+ */
+function createMemoryTokenStore() {
+  const tokensByUserId = new Map();
+
+  return {
+    get: async function(userId) {
+      return tokensByUserId.get(userId);
+    },
+    set: async function(userId, oauthTokens) {
+      tokensByUserId.set(userId, oauthTokens);
+    },
+  };
+}
+
+/**
+ * Creates a token store that holds the tokens of every user in a single JSON file of the following format:
+ * {
+ *   "userId": {<oauthTokens>},
+ *   ...
+ * }
+ *
+ * The file is created when tokens are first stored. Writes are serialized and atomic (see json-file.js); the file is
+ * not locked, so it must not be shared by several processes.
+ *
+ * @param filePath
+ * The path of the JSON file.
+ *
+ * @returns a token store.
+ */
+function createFileTokenStore(filePath) {
+  const files = jsonFiles.createJsonFiles({fileMode: tokenFileMode, space: 2});
+
+  // User identifiers such as '__proto__' or 'constructor' must be neither inherited nor assigned to the prototype of
+  // the parsed object, so only own properties are read, and tokens are written to an object without a prototype.
+  return {
+    get: async function(userId) {
+      const tokensByUserId = await files.read(filePath, {});
+      return Object.prototype.hasOwnProperty.call(tokensByUserId, userId) ? tokensByUserId[userId] : undefined;
+    },
+    set: function(userId, oauthTokens) {
+      return files.update(filePath, {}, content => {
+        const tokensByUserId   = Object.assign(Object.create(null), content);
+        tokensByUserId[userId] = oauthTokens;
+        return tokensByUserId;
+      });
+    },
+  };
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.createMemoryTokenStore = createMemoryTokenStore;
+exports.createFileTokenStore   = createFileTokenStore;
@@ -0,0 +1,408 @@
+/**
+ * This file contains the glucose unit conversions utilized by this package.
+ */
+
+'use strict';
+
+
+//***********
+//* Modules *
+//***********
+
+const errors = require('./errors.js');
+
+
+//*************
+//* Constants *
+//*************
+
+/**
+ * The glucose units reported by Dexcom, mapped to the unit of the corresponding rates of change.
+ */
+const rateUnits = {
+  'mg/dL':  'mg/dL/min',
+  'mmol/L': 'mmol/L/min',
+};
+
+/**
+ * The number of mg/dL in one mmol/L of glucose, which is one tenth of the molar mass of glucose (180.156 g/mol).
+ *
+ * @type {number}
+ */
+const milligramsPerDeciliterPerMillimolePerLiter = 18.0156;
+
+/**
+ * The number of decimal places to which converted values are rounded, for each glucose unit and rate unit. These match
+ * the precision with which Dexcom displays values in each unit.
+ */
+const decimalPlaces = {
+  'mg/dL':      0,
+  'mmol/L':     1,
+  'mg/dL/min':  1,
+  'mmol/L/min': 2,
+};
+
+/**
+ * The properties of an estimated glucose value record that hold glucose values, and those that hold rates of change.
+ */
+const egvGlucoseProperties = ['value', 'realtimeValue', 'smoothedValue'];
+const egvRateProperties    = ['trendRate'];
+
+/**
+ * The properties of the statistics returned by the Dexcom statistics endpoint that hold glucose values, and those that
+ * hold squared glucose values. Dexcom computes statistics in mg/dL, whatever the unit of the user's display device.
+ */
+const statisticsGlucoseProperties = ['min', 'max', 'mean', 'median', 'stdDev', 'q1', 'q2', 'q3', 'sum'];
+const statisticsSquaredProperties = ['variance'];
+
+/**
+ * The unit of the statistics returned by the Dexcom statistics endpoint.
+ *
+ * @type {string}
+ */
+const statisticsUnit = 'mg/dL';
+
+
+//*************
+//* Functions *
+//*************
+
+/**
+ * Converts a quantity of glucose, or of its rate of change, between mg/dL and mmol/L, rounding the result to a given
+ * number of decimal places.
+ */
+function convert(value, fromUnit, toUnit, places) {
+  const converted = (toUnit === 'mmol/L') ?
+    value / milligramsPerDeciliterPerMillimolePerLiter :
+    value * milligramsPerDeciliterPerMillimolePerLiter;
+  const factor    = Math.pow(10, places);
+  return Math.round(converted * factor) / factor;
+}
+
+/**
+ * Validates a glucose unit.
+ *
+ * @param unit
+ * Either 'mg/dL' or 'mmol/L'.
+ */
+function validateGlucoseUnit(unit) {
+  errors.assertValid(unit in rateUnits, `unit must be one of ${Object.keys(rateUnits).join(', ')}`);
+}
+
+/**
+ * Converts a glucose value from one unit to another.
+ *
+ * @param value
+ * The glucose value. Values that are not numbers (e.g. null) are returned unchanged.
+ *
+ * @param fromUnit
+ * The unit of value, either 'mg/dL' or 'mmol/L'.
+ *
+ * @param toUnit
+ * The unit to convert to, either 'mg/dL' or 'mmol/L'.
+ *
+ * @returns The converted value, rounded to the precision of toUnit. Values are returned unchanged, without rounding,
+ * when fromUnit and toUnit are the same.
+ */
+function convertGlucose(value, fromUnit, toUnit) {
+  validateGlucoseUnit(fromUnit);
+  validateGlucoseUnit(toUnit);
+
+  if (typeof value !== 'number' || fromUnit === toUnit) {
+    return value;
+  }
+  return convert(value, fromUnit, toUnit, decimalPlaces[toUnit]);
+}
+
+/**
+ * Converts a rate of change of glucose from one unit to another.
+ *
+ * @param value
+ * The rate of change. Values that are not numbers (e.g. null) are returned unchanged.
+ *
+ * @param fromUnit
+ * The glucose unit of value, either 'mg/dL' or 'mmol/L'.
+ *
+ * @param toUnit
+ * The glucose unit to convert to, either 'mg/dL' or 'mmol/L'.
+ *
+ * @returns The converted value, rounded to the precision of the rate unit that corresponds to toUnit. Values are
+ * returned unchanged, without rounding, when fromUnit and toUnit are the same.
+ */
+function convertGlucoseRate(value, fromUnit, toUnit) {
+  validateGlucoseUnit(fromUnit);
+  validateGlucoseUnit(toUnit);
+
+  if (typeof value !== 'number' || fromUnit === toUnit) {
+    return value;
+  }
+  return convert(value, fromUnit, toUnit, decimalPlaces[rateUnits[toUnit]]);
+}
+
+/**
+ * Gets the glucose unit that corresponds to a Dexcom rate unit.
+ *
+ * @param rateUnit
+ * Either 'mg/dL/min' or 'mmol/L/min'.
+ *
+ * @returns Either 'mg/dL' or 'mmol/L', or undefined if rateUnit is not a known rate unit.
+ */
+function glucoseUnitOfRateUnit(rateUnit) {
+  return Object.keys(rateUnits).find(unit => rateUnits[unit] === rateUnit);
+}
+
+/**
+ * Gets the glucose unit and the rate unit of an estimated glucose value record: its own units, which records of the v3
+ * API report, or else those of its payload, or else mg/dL.
+ *
+ * @returns an object of the following format:
+ * {
+ *   unit: 'mg/dL' or 'mmol/L', the unit of the glucose values of the record,
+ *   rateUnit: 'mg/dL' or 'mmol/L', the glucose unit of the rates of change of the record
+ * }
+ *
+ * A DexcomError is thrown if Dexcom reported a unit that is not a glucose unit.
+ */
+function getEgvUnits(egv, payload) {
+  const unit     = egv.unit || payload.unit || 'mg/dL';
+  const rateUnit = egv.rateUnit || payload.rateUnit;
+  const egvUnits = {unit: unit, rateUnit: rateUnit ? glucoseUnitOfRateUnit(rateUnit) : unit};
+  if (!(egvUnits.unit in rateUnits) || !egvUnits.rateUnit) {
+    throw new errors.DexcomError(`the estimated glucose values use an unknown unit (${unit}) or rate unit ` +
+      `(${rateUnit})`);
+  }
+  return egvUnits;
+}
+
+/**
+ * Converts the estimated glucose values of an object returned by the Dexcom egvs endpoint to another unit.
+ *
+ * @param payload
+ * An object of the following format:
+ * {
+ *   unit: 'mg/dL' or 'mmol/L', optional,
+ *   rateUnit: 'mg/dL/min' or 'mmol/L/min', optional,
+ *   egvs: [<estimated glucose value records>]
+ * }
+ * The records that report their own unit and rate unit, as those of the v3 API do, are converted from those units;
+ * the other records are converted from the units of the payload, and values without any unit are taken to be in mg/dL.
+ *
+ * @param toUnit
+ * The unit to convert to, either 'mg/dL' or 'mmol/L'.
+ *
+ * @returns A new object of the same format, whose records are copies of the original records. The original object is
+ * returned when it already uses toUnit.
+ */
+function convertEgvPayload(payload, toUnit) {
+  validateGlucoseUnit(toUnit);
+
+  const records = (payload.egvs || []).map(egv => ({egv: egv, units: getEgvUnits(egv, payload)}));
+  if (payload.unit === toUnit && payload.rateUnit === rateUnits[toUnit] &&
+    records.every(record => record.units.unit === toUnit && record.units.rateUnit === toUnit)) {
+    return payload;
+  }
+
+  const egvs = records.map(record => {
+    const egv       = record.egv;
+    const converted = Object.assign({}, egv);
+    egvGlucoseProperties.filter(property => property in egv).forEach(property => {
+      converted[property] = convertGlucose(egv[property], record.units.unit, toUnit);
+    });
+    egvRateProperties.filter(property => property in egv).forEach(property => {
+      converted[property] = convertGlucoseRate(egv[property], record.units.rateUnit, toUnit);
+    });
+    if ('unit' in egv) {
+      converted.unit = toUnit;
+    }
+    if ('rateUnit' in egv) {
+      converted.rateUnit = rateUnits[toUnit];
+    }
+    return converted;
+  });
+
+  return Object.assign({}, payload, {
+    unit:     toUnit,
+    rateUnit: rateUnits[toUnit],
+    egvs:     egvs,
+  });
+}
+
+/**
+ * Converts the records of an object returned by a Dexcom endpoint whose records each report the unit of their value,
+ * such as the calibrations endpoint, or the events endpoint for blood glucose events. Records whose unit is not a
+ * glucose unit, such as carbohydrate or insulin events, are left unchanged.
+ *
+ * @param payload
+ * An object whose recordsProperty property holds an array of records of the following format:
+ * {
+ *   unit: 'mg/dL', 'mmol/L' or any other unit,
+ *   value: number,
+ *   ...
+ * }
+ *
+ * @param recordsProperty
+ * The name of the property of payload that holds the records, e.g. 'calibrations' or 'events'.
+ *
+ * @param toUnit
+ * The unit to convert to, either 'mg/dL' or 'mmol/L'.
+ *
+ * @returns A new object of the same format, whose converted records are copies of the original records.
+ */
+function convertUnitRecordPayload(payload, recordsProperty, toUnit) {
+  validateGlucoseUnit(toUnit);
+
+  const records = (payload[recordsProperty] || []).map(record => {
+    if (!(record.unit in rateUnits) || record.unit === toUnit) {
+      return record;
+    }
+    return Object.assign({}, record, {
+      unit:  toUnit,
+      value: convertGlucose(record.value, record.unit, toUnit),
+    });
+  });
+
+  return Object.assign({}, payload, {[recordsProperty]: records});
+}
+
+/**
+ * Converts the alert settings of the devices returned by the Dexcom devices endpoint to another unit. The thresholds
+ * of glucose alerts (e.g. high, low, urgentLow) and of rate alerts (rise, fall) are converted; the settings of other
+ * alerts, such as the duration of the outOfRange alert, are left unchanged.
+ *
+ * @param payload
+ * An object of the following format, normalized by api-versions.js:
+ * {
+ *   devices: [{alertScheduleList: [{alertSettings: [{alertName, value, unit, ...}, ...], ...}, ...], ...}, ...]
+ * }
+ *
+ * @param toUnit
+ * The unit to convert to, either 'mg/dL' or 'mmol/L'.
+ *
+ * @returns A new object of the same format, whose converted devices, alert schedules and alert settings are copies of
+ * the original ones.
+ */
+function convertDevicePayload(payload, toUnit) {
+  validateGlucoseUnit(toUnit);
+
+  const convertAlertSetting = alertSetting => {
+    const rateUnit = glucoseUnitOfRateUnit(alertSetting.unit);
+    if (alertSetting.unit in rateUnits && alertSetting.unit !== toUnit) {
+      return Object.assign({}, alertSetting, {
+        unit:  toUnit,
+        value: convertGlucose(alertSetting.value, alertSetting.unit, toUnit),
+      });
+    }
+    if (rateUnit && rateUnit !== toUnit) {
+      return Object.assign({}, alertSetting, {
+        unit:  rateUnits[toUnit],
+        value: convertGlucoseRate(alertSetting.value, rateUnit, toUnit),
+      });
+    }
+    return alertSetting;
+  };
+
+  const devices = (payload.devices || []).map(device => {
+    if (!Array.isArray(device.alertScheduleList)) {
+      return device;
+    }
+    return Object.assign({}, device, {
+      alertScheduleList: device.alertScheduleList.map(alertSchedule => Array.isArray(alertSchedule.alertSettings) ?
+        Object.assign({}, alertSchedule, {alertSettings: alertSchedule.alertSettings.map(convertAlertSetting)}) :
+        alertSchedule),
+    });
+  });
+
+  return Object.assign({}, payload, {devices: devices});
+}
+
+/**
+ * Converts the statistics returned by the Dexcom statistics endpoint to another unit. Statistics are rounded to one
+ * more decimal place than glucose values, so that small differences between periods remain visible; squared
+ * statistics (the variance) are rounded to two more decimal places.
+ *
+ * @param statistics
+ * An object returned by the Dexcom statistics endpoint, whose glucose statistics are in mg/dL.
+ *
+ * @param toUnit
+ * The unit to convert to, either 'mg/dL' or 'mmol/L'.
+ *
+ * @returns A new object of the same format, with a unit property that holds toUnit.
+ */
+function convertStatistics(statistics, toUnit) {
+  validateGlucoseUnit(toUnit);
+
+  const converted = Object.assign({}, statistics, {unit: toUnit});
+  if (toUnit === statisticsUnit) {
+    return converted;
+  }
+
+  statisticsGlucoseProperties.filter(property => typeof statistics[property] === 'number').forEach(property => {
+    converted[property] = convert(statistics[property], statisticsUnit, toUnit, decimalPlaces[toUnit] + 1);
+  });
+  statisticsSquaredProperties.filter(property => typeof statistics[property] === 'number').forEach(property => {
+    const factor        = Math.pow(milligramsPerDeciliterPerMillimolePerLiter, 2);
+    const places        = Math.pow(10, decimalPlaces[toUnit] + 2);
+    converted[property] = Math.round(statistics[property] / factor * places) / places;
+  });
+  return converted;
+}
+
+/**
+ * Reconciles the units of the objects returned by several requests to the Dexcom egvs endpoint, so that their records
+ * may be merged. Each request may in theory report its own unit, for example if the user changed the unit of their
+ * display device in between.
+ *
+ * @param payloads
+ * An array of objects returned by the Dexcom egvs endpoint (see convertEgvPayload()).
+ *
+ * @param requestedUnit
+ * The unit to which every payload is converted, either 'mg/dL' or 'mmol/L'. Optional.
+ *
+ * @returns An object of the following format:
+ * {
+ *   unit: the glucose unit of every payload, or null if no payload reports a unit,
+ *   rateUnit: the rate unit of every payload, or null if no payload reports a rate unit,
+ *   payloads: [<the payloads, converted to requestedUnit if it was provided>]
+ * }
+ *
+ * A DexcomError is thrown if no unit was requested and the payloads report different units.
+ */
+function reconcileEgvPayloads(payloads, requestedUnit) {
+  if (requestedUnit) {
+    return {
+      unit:     requestedUnit,
+      rateUnit: rateUnits[requestedUnit],
+      payloads: payloads.map(payload => convertEgvPayload(payload, requestedUnit)),
+    };
+  }
+
+  const reportedUnits     = Array.from(new Set(payloads.map(payload => payload.unit).filter(Boolean)));
+  const reportedRateUnits = Array.from(new Set(payloads.map(payload => payload.rateUnit).filter(Boolean)));
+  if (reportedUnits.length > 1 || reportedRateUnits.length > 1) {
+    throw new errors.DexcomError(`the estimated glucose values use different units (${reportedUnits.join(', ')}) ` +
+      `or rate units (${reportedRateUnits.join(', ')}); request a single unit in order to have them converted`);
+  }
+
+  return {
+    unit:     reportedUnits.length ? reportedUnits[0] : null,
+    rateUnit: reportedRateUnits.length ? reportedRateUnits[0] : null,
+    payloads: payloads,
+  };
+}
+
+
+//**************
+//* Public API *
+//**************
+
+exports.rateUnits             = rateUnits;
+exports.milligramsPerDeciliterPerMillimolePerLiter = milligramsPerDeciliterPerMillimolePerLiter;
+exports.validateGlucoseUnit   = validateGlucoseUnit;
+exports.convertGlucose        = convertGlucose;
+exports.convertGlucoseRate    = convertGlucoseRate;
+exports.glucoseUnitOfRateUnit = glucoseUnitOfRateUnit;
+exports.convertEgvPayload     = convertEgvPayload;
+exports.convertUnitRecordPayload = convertUnitRecordPayload;
+exports.convertDevicePayload  = convertDevicePayload;
+exports.convertStatistics     = convertStatistics;
+exports.reconcileEgvPayloads  = reconcileEgvPayloads;